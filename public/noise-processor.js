@@ -0,0 +1,113 @@
+/**
+ * ノイズ生成 AudioWorkletProcessor
+ * オーディオスレッド上でサンプルごとにノイズを生成するため、ループの継ぎ目がありません
+ * このファイルは AudioWorkletGlobalScope で実行されるため import は使用できません
+ *
+ * 色は color パラメータ（0 = ホワイト、1 = ピンク、2 = ブラウン、3 = -9dB/oct）で連続的に指定し、
+ * 隣り合う2つの色の信号を混ぜ合わせて中間の傾きを近似します
+ */
+
+// 種類ごとの出力レベルをおおよそ揃えるための補正係数
+const PINK_GAIN = 0.11;
+const BROWN_GAIN = 3.5;
+const DEEP_GAIN = 1.5;
+
+const MAX_COLOR = 3;
+
+class NoiseProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'color', defaultValue: 2, minValue: 0, maxValue: MAX_COLOR, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.active = true;
+
+    // ピンクノイズ用フィルタ状態（Paul Kellet の近似）
+    this.b0 = 0;
+    this.b1 = 0;
+    this.b2 = 0;
+    this.b3 = 0;
+    this.b4 = 0;
+    this.b5 = 0;
+    this.b6 = 0;
+
+    // ブラウンノイズ・ディープノイズ用の積分値
+    this.lastBrown = 0;
+    this.lastDeep = 0;
+
+    // 隣り合う色の信号（white, pink, brown, deep）
+    this.colors = new Float32Array(MAX_COLOR + 1);
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'stop') {
+        this.active = false;
+      }
+    };
+  }
+
+  /**
+   * ピンクノイズ（-3dB/octave, 1/f）
+   * 7段の一次ローパスを重ね合わせて 1/f 特性を近似する
+   */
+  nextPink(white) {
+    this.b0 = 0.99886 * this.b0 + white * 0.0555179;
+    this.b1 = 0.99332 * this.b1 + white * 0.0750759;
+    this.b2 = 0.96900 * this.b2 + white * 0.1538520;
+    this.b3 = 0.86650 * this.b3 + white * 0.3104856;
+    this.b4 = 0.55000 * this.b4 + white * 0.5329522;
+    this.b5 = -0.7616 * this.b5 - white * 0.0168980;
+    const pink = this.b0 + this.b1 + this.b2 + this.b3 + this.b4 + this.b5 + this.b6 + white * 0.5362;
+    this.b6 = white * 0.115926;
+    return pink * PINK_GAIN;
+  }
+
+  /**
+   * ブラウンノイズ（-6dB/octave, 1/f²）
+   * ホワイトノイズを積分し、わずかにリークさせて直流成分の蓄積を防ぐ
+   */
+  nextBrown(white) {
+    this.lastBrown = (this.lastBrown + 0.02 * white) / 1.02;
+    return this.lastBrown * BROWN_GAIN;
+  }
+
+  /**
+   * ブラウンより深いノイズ（-9dB/octave）
+   * ピンクノイズを同じように積分する
+   */
+  nextDeep(pink) {
+    this.lastDeep = (this.lastDeep + 0.02 * pink) / 1.02;
+    return this.lastDeep * DEEP_GAIN;
+  }
+
+  process(inputs, outputs, parameters) {
+    if (!this.active) return false;
+
+    const output = outputs[0];
+    const channel = output[0];
+    if (!channel) return true;
+
+    const color = Math.min(MAX_COLOR, Math.max(0, parameters.color[0]));
+    const lower = Math.min(Math.floor(color), MAX_COLOR - 1);
+    const mix = color - lower;
+    const colors = this.colors;
+
+    for (let i = 0; i < channel.length; i++) {
+      // 色を切り替えたときに途切れないよう、すべてのフィルタ状態を常に進めておく
+      colors[0] = Math.random() * 2 - 1;
+      colors[1] = this.nextPink(colors[0]);
+      colors[2] = this.nextBrown(colors[0]);
+      colors[3] = this.nextDeep(colors[1]);
+      channel[i] = colors[lower] * (1 - mix) + colors[lower + 1] * mix;
+    }
+
+    // 残りのチャンネルには同じ信号をコピー
+    for (let c = 1; c < output.length; c++) {
+      output[c].set(channel);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('noise-generator', NoiseProcessor);
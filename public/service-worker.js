@@ -1,16 +1,30 @@
-const CACHE_NAME = 'brown-noise-timer-v1771399147';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-];
+// ビルド時に precache-manifest プラグインが全出力ファイルの一覧とバージョンに置き換える
+// 開発サーバーでは置き換えられないため、最低限のファイルだけをキャッシュする
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || {
+  version: 'dev',
+  urls: ['/', '/index.html', '/manifest.json'],
+};
+
+const CACHE_NAME = `brown-noise-timer-${PRECACHE_MANIFEST.version}`;
+const urlsToCache = PRECACHE_MANIFEST.urls;
+
+// ページとのメッセージプロトコル
+//   ページ → SW
+//     SKIP_WAITING                 待機中の新バージョンに切り替える
+//     ENABLE_BACKGROUND_PLAYBACK   送信元をタイマーを実行中のページとして登録する
+//     SHOW_NOTIFICATION            { notification: { title, body, actions, vibrate } } を表示する
+//   SW → ページ
+//     BACKGROUND_PLAYBACK_ENABLED  ENABLE_BACKGROUND_PLAYBACK の応答
+//     NOTIFICATION_ACTION          { action } 通知のボタンが押された
+// SW は停止・再起動されることがあるため、登録したページ ID は失われる前提で扱う
+let timerClientId = null;
 
 // インストール時
+// 新しいバージョンは waiting のまま待機し、ページからの SKIP_WAITING で切り替える
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => cache.addAll(urlsToCache))
-      .then(() => self.skipWaiting())
   );
 });
 
@@ -29,14 +43,64 @@ self.addEventListener('activate', event => {
   );
 });
 
+// ページからのメッセージ
+self.addEventListener('message', event => {
+  const { type } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    // ユーザーが更新バナーで再読み込みを選んだときだけ切り替える
+    self.skipWaiting();
+  } else if (type === 'ENABLE_BACKGROUND_PLAYBACK') {
+    timerClientId = event.source?.id || null;
+    event.source?.postMessage({ type: 'BACKGROUND_PLAYBACK_ENABLED' });
+  } else if (type === 'SHOW_NOTIFICATION') {
+    const { title, body, actions = [], vibrate = [] } = event.data.notification || {};
+    event.waitUntil(
+      self.registration.showNotification(title, {
+        body,
+        actions,
+        vibrate,
+        tag: 'phase-end',
+        renotify: true,
+        icon: '/icon-192.png',
+      })
+    );
+  }
+});
+
+// 通知のクリック
+// アクションはタイマーを実行中のページに転送し、ページがなければ新しく開いて URL で渡す
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const action = event.action;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const client = windows.find(c => c.id === timerClientId) || windows[0];
+
+      if (client) {
+        if (action) {
+          client.postMessage({ type: 'NOTIFICATION_ACTION', action });
+        }
+        return client.focus();
+      }
+
+      const url = action ? `/?notificationAction=${encodeURIComponent(action)}` : '/';
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
 // フェッチ時
+// ページの表示はクエリ（ディープリンクのパラメータ）を無視してキャッシュ済みのページを返す
+// クエリごとに別々のページがキャッシュされないようにするため
 self.addEventListener('fetch', event => {
   if (event.request.method !== 'GET') {
     return;
   }
 
   event.respondWith(
-    caches.match(event.request)
+    caches.match(event.request, { ignoreSearch: event.request.mode === 'navigate' })
       .then(response => {
         if (response) {
           return response;
@@ -0,0 +1,65 @@
+/**
+ * プリキャッシュマニフェスト生成プラグイン（Vite）
+ * ビルド後に出力ディレクトリの全ファイルを列挙し、内容のハッシュをバージョンとして
+ * Service Worker の `self.__PRECACHE_MANIFEST` に埋め込みます
+ */
+
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+
+const PLACEHOLDER = 'self.__PRECACHE_MANIFEST'
+
+// キャッシュ対象から外すファイル
+const EXCLUDED = [/\.map$/, /^\.DS_Store$/, /(^|\/)_redirects$/, /(^|\/)_headers$/]
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) return listFiles(fullPath, base)
+    return [path.relative(base, fullPath).split(path.sep).join('/')]
+  })
+}
+
+export default function precacheManifest({ serviceWorker = 'service-worker.js' } = {}) {
+  let outDir
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+
+    // public ディレクトリのコピーも終わった後に実行する
+    closeBundle() {
+      const swPath = path.join(outDir, serviceWorker)
+      if (!fs.existsSync(swPath)) {
+        this.warn(`${serviceWorker} が見つからないため、プリキャッシュマニフェストを生成しません`)
+        return
+      }
+
+      const files = listFiles(outDir)
+        .filter(file => file !== serviceWorker)
+        .filter(file => !EXCLUDED.some(pattern => pattern.test(file)))
+        .sort()
+
+      // 全ファイルの内容からビルドごとのバージョンを計算
+      const hash = createHash('sha256')
+      files.forEach((file) => {
+        hash.update(file)
+        hash.update(fs.readFileSync(path.join(outDir, file)))
+      })
+      const version = hash.digest('hex').slice(0, 12)
+
+      const urls = ['/', ...files.map(file => `/${file}`)]
+      const source = fs.readFileSync(swPath, 'utf-8')
+      if (!source.includes(PLACEHOLDER)) {
+        this.error(`${serviceWorker} に ${PLACEHOLDER} が含まれていません`)
+      }
+
+      fs.writeFileSync(swPath, source.replace(PLACEHOLDER, () => JSON.stringify({ version, urls })))
+    },
+  }
+}
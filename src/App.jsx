@@ -1,173 +1,1427 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { startNoise, stopBrownNoise, setBrownNoiseVolume, isBrownNoisePlaying, enableBackgroundPlayback, changeNoiseType } from './brownNoise'
+import { createPortal } from 'react-dom'
+import {
+  startNoise,
+  stopBrownNoise,
+  setBrownNoiseVolume,
+  isBrownNoisePlaying,
+  enableBackgroundPlayback,
+  changeNoiseType,
+  changeNoiseColor,
+  setNoiseFilters,
+  setToneLayer,
+  setNoiseLevel,
+  setSoundscapeLayers,
+  setFadeDurations,
+  setBaseAudio,
+} from './brownNoise'
+import { getAudioFiles, updateAudioFile, deleteAudioFile, loadAudioFileBuffer, getAudioFileGain } from './audioFiles'
+import { loadTimerSession, saveTimerSession, getRemainingSeconds, getElapsedSeconds } from './timerSession'
+import { loadTimerSettings, getNextPhase } from './timerSettings'
+import {
+  loadSoundscapeLayers,
+  saveSoundscapeLayers,
+  loadSoundscapes,
+  saveSoundscapes,
+  createSoundscape,
+  loadToneLayer,
+  saveToneLayer,
+  getNearestNoiseType,
+  isAudioFileSound,
+  toAudioFileSound,
+  SOUND_OPTIONS,
+  NOISE_COLOR_VALUES,
+  NOISE_FILTER_LIMITS,
+} from './soundscape'
+import { addSession, getAllSessions } from './sessionHistory'
+import { getCompletedCountOn } from './statistics'
+import { createInterruption } from './interruptions'
+import { loadAlertSettings, saveAlertSettings, playAlertSound, CUE_SOUNDS } from './alertSounds'
+import { consumeDeepLink } from './deepLink'
+import { loadGoalSettings, saveGoalSettings, getStreak } from './goals'
+import { loadFlowtimeSettings, saveFlowtimeSettings, getSuggestedBreakSeconds } from './flowtime'
+import { getNewBadges } from './badges'
+import {
+  loadThemeSettings,
+  saveThemeSettings,
+  prefersDarkScheme,
+  subscribeToSystemTheme,
+  resolveTheme,
+  getThemeClass,
+  getPhaseColor,
+  getPageBackground,
+  setThemeColor,
+} from './theme'
+import {
+  TAB_MESSAGES,
+  isLeaderTab,
+  subscribeToLeadership,
+  subscribeToTabMessages,
+  subscribeToStorageChanges,
+  postTabMessage,
+} from './tabSync'
+import { loadShortcuts, saveShortcuts, shouldIgnoreKeyEvent, getShortcutAction, getKeyLabel } from './shortcuts'
+import { subscribeToUpdates, applyUpdate } from './serviceWorker'
+import {
+  NOTIFICATION_ACTIONS,
+  VIBRATION_PATTERNS,
+  VIBRATION_OPTIONS,
+  getNotificationPermission,
+  requestNotificationPermission,
+  showPhaseNotification,
+  subscribeToNotificationActions,
+  consumeLaunchAction,
+  vibrate,
+} from './notifications'
+import SoundscapeMixer from './components/SoundscapeMixer'
+import NoiseTuning from './components/NoiseTuning'
+import AlertSoundSettings from './components/AlertSoundSettings'
+import InterruptionDialog from './components/InterruptionDialog'
+import ShortcutHelp from './components/ShortcutHelp'
+import ShortcutSettings from './components/ShortcutSettings'
+import StatsView from './components/StatsView'
+import TaskList from './components/TaskList'
+import DataManager from './components/DataManager'
+import SetupLink from './components/SetupLink'
+import DailyGoal from './components/DailyGoal'
+import GoalSettings from './components/GoalSettings'
+import FlowtimeSettings from './components/FlowtimeSettings'
+import BadgeCelebration from './components/BadgeCelebration'
+import ThemeSettings from './components/ThemeSettings'
+import PresetManager from './components/PresetManager'
+import AudioFileManager from './components/AudioFileManager'
+import ProgressRing from './components/ProgressRing'
+import MiniTimer from './components/MiniTimer'
+import {
+  loadPresets,
+  savePresets,
+  createPreset,
+  loadDefaultPresetId,
+  saveDefaultPresetId,
+  loadActivePresetId,
+  saveActivePresetId,
+} from './presets'
+import { loadTasks, saveTasks, loadCurrentTaskId, saveCurrentTaskId, creditPomodoro } from './tasks'
+import { setMediaSessionActive, updateMediaMetadata, updateMediaPosition, setMediaActionHandlers } from './mediaSession'
+import { getPipSupport, openDocumentPip, openVideoPip, closeVideoPip, drawPipFrame } from './pictureInPicture'
+import { drawProgressFavicon, resetFavicon } from './favicon'
+import { useI18n } from './i18n/I18nProvider'
+import { LOCALES } from './i18n'
 import './App.css'
 
-const PRESETS = [
-  { name: '25分/5分', focus: 25, break: 5 },
-  { name: '15分/3分', focus: 15, break: 3 },
-  { name: '45分/10分', focus: 45, break: 10 },
-  { name: 'カスタム', focus: null, break: null },
-]
+// 読み上げる残り時間の選択肢（分）
+const MILESTONE_OPTIONS = [15, 10, 5, 2, 1]
+
+// バッジ獲得のお祝いを表示する時間（ミリ秒）
+const BADGE_CELEBRATION_MS = 4000
+
+// スリープタイマーの選択肢（分）。'custom' は任意の分数
+const SLEEP_TIMER_OPTIONS = ['off', '15', '30', '60', 'custom']
 
 export default function App() {
+  const { t, formatters, locale, setLocale } = useI18n()
+
+  // 前回のセッション（リロード・PWA再起動からの復元用）
+  const [savedSession] = useState(() => loadTimerSession())
+  // 保存された設定を読み込んだか（読み込む前の既定値を保存して、他のタブに送らないため）
+  const [settingsLoaded, setSettingsLoaded] = useState(false)
+
   // タイマー設定
-  const [focusMinutes, setFocusMinutes] = useState(25)
-  const [breakMinutes, setBreakMinutes] = useState(5)
-  const [timeRemaining, setTimeRemaining] = useState(25 * 60)
-  const [isRunning, setIsRunning] = useState(false)
-  const [isPaused, setIsPaused] = useState(false)
-  const [isBreak, setIsBreak] = useState(false)
+  // 閉じている間に終わったフェーズの終了処理に必要なため、最初のレンダリングから保存値を使う
+  const [savedTimerSettings] = useState(loadTimerSettings)
+  const [focusMinutes, setFocusMinutes] = useState(savedTimerSettings.focusMinutes)
+  const [breakMinutes, setBreakMinutes] = useState(savedTimerSettings.breakMinutes)
+  const [longBreakMinutes, setLongBreakMinutes] = useState(savedTimerSettings.longBreakMinutes)
+  // 長い休憩までの集中セッション数
+  const [cycleLength, setCycleLength] = useState(savedTimerSettings.cycleLength)
+  const [autoStartBreaks, setAutoStartBreaks] = useState(savedTimerSettings.autoStartBreaks)
+  const [autoStartFocus, setAutoStartFocus] = useState(savedTimerSettings.autoStartFocus)
+  const [timeRemaining, setTimeRemaining] = useState(savedSession.remaining)
+  const [isRunning, setIsRunning] = useState(savedSession.isRunning)
+  const [isPaused, setIsPaused] = useState(savedSession.isPaused)
+  const [isBreak, setIsBreak] = useState(savedSession.isBreak)
+  const [isLongBreak, setIsLongBreak] = useState(savedSession.isLongBreak)
+  const [cyclePosition, setCyclePosition] = useState(savedSession.cyclePosition)
+  // 実行中フェーズの終了時刻（エポックミリ秒）。一時停止中・アイドル時は null
+  const [phaseEndTime, setPhaseEndTime] = useState(savedSession.endTime)
+  // フェーズを最初に開始した時刻（履歴の記録用）。フェーズ開始前は null
+  const [phaseStartedAt, setPhaseStartedAt] = useState(savedSession.startedAt)
+  // 現在の集中セッションで記録した中断
+  const [interruptions, setInterruptions] = useState(savedSession.interruptions)
+  // Flowtime モード（集中を数え上げ、集中時間に比例した休憩を提案する）
+  // 閉じている間に終わったフェーズの終了処理に必要なため、最初のレンダリングから保存値を使う
+  const [flowtimeMode, setFlowtimeMode] = useState(() => localStorage.getItem('flowtimeMode') === 'true')
+  const [flowtimeSettings, setFlowtimeSettings] = useState(loadFlowtimeSettings)
+  // 数え上げの開始時刻（一時停止した分を差し引いた時刻）。数え上げ中でなければ null
+  const [countUpStart, setCountUpStart] = useState(savedSession.countUpStart)
+  const [elapsedSeconds, setElapsedSeconds] = useState(savedSession.elapsed)
+  // Flowtime で提案された休憩の長さ（秒）。Flowtime の休憩中でなければ null
+  const [flowBreakSeconds, setFlowBreakSeconds] = useState(savedSession.breakSeconds)
+  // 集中中の一時停止・リセットで理由を尋ねるか
+  const [askInterruptionReason, setAskInterruptionReason] = useState(true)
   const [noiseVolume, setNoiseVolume] = useState(0.3)
   const [noiseType, setNoiseType] = useState('brown')
+  // ノイズの色（0 = ホワイト 〜 3）。noiseType は色にもっとも近い種類
+  const [noiseColor, setNoiseColor] = useState(NOISE_COLOR_VALUES.brown)
+  const [lowCutHz, setLowCutHz] = useState(NOISE_FILTER_LIMITS.lowCut.min)
+  const [highCutHz, setHighCutHz] = useState(NOISE_FILTER_LIMITS.highCut.max)
+  const [toneLayer, setToneLayerConfig] = useState(loadToneLayer)
+  // アラート音（フェーズ終了のチャイム・音量・途中の合図）
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings)
+  // フェード時間（秒）
+  const [fadeInSeconds, setFadeInSeconds] = useState(2)
+  const [fadeOutSeconds, setFadeOutSeconds] = useState(2)
+  const [crossfadeSeconds, setCrossfadeSeconds] = useState(1.5)
+  // 通知
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false)
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission)
+  const [vibrationPattern, setVibrationPattern] = useState('double')
+  // 休憩中もノイズを流す場合の音量（集中中に対する割合）
+  const [breakNoise, setBreakNoise] = useState(false)
+  const [breakNoiseLevel, setBreakNoiseLevel] = useState(0.5)
+  // ノイズのみモード（ポモドーロを使わずにノイズを流す）とスリープタイマー
+  const [noiseOnlyMode, setNoiseOnlyMode] = useState(false)
+  const [noiseOnlyPlaying, setNoiseOnlyPlaying] = useState(false)
+  const [sleepOption, setSleepOption] = useState('off')
+  const [sleepCustomMinutes, setSleepCustomMinutes] = useState(45)
+  // 終了前の何分間で音量を下げるか
+  const [sleepFadeMinutes, setSleepFadeMinutes] = useState(5)
+  // スリープタイマーの終了時刻（エポックミリ秒）。タイマーなし・停止中は null
+  const [sleepEndTime, setSleepEndTime] = useState(null)
+  const [sleepRemaining, setSleepRemaining] = useState(0)
+  const [mixerLayers, setMixerLayers] = useState(loadSoundscapeLayers)
+  const [soundscapes, setSoundscapes] = useState(loadSoundscapes)
+  // 取り込んだ音声ファイル（IndexedDB から読み込むまでは null）
+  const [audioFiles, setAudioFiles] = useState(null)
   
   // UI状態
-  const [showSettings, setShowSettings] = useState(false)
-  const [darkMode, setDarkMode] = useState(true)
-  const [selectedPreset, setSelectedPreset] = useState(0)
+  // 開いているパネル（'settings' | 'stats' | 'tasks' | null）
+  const [activePanel, setActivePanel] = useState(null)
+  // テーマ（モードとフェーズの色）と、システムがダークモードか
+  const [themeSettings, setThemeSettings] = useState(loadThemeSettings)
+  const [systemDark, setSystemDark] = useState(prefersDarkScheme)
+  // タブのタイトルに残り時間を表示・ファビコンに進捗を描く
+  const [titleCountdown, setTitleCountdown] = useState(false)
+  const [faviconProgress, setFaviconProgress] = useState(false)
+  // ミニタイマー（Document PiP のウィンドウ、または video の PiP を表示中か）
+  const [pipWindow, setPipWindow] = useState(null)
+  const [videoPipOpen, setVideoPipOpen] = useState(false)
   const [showAlert, setShowAlert] = useState(false)
-  const [pomodoroCount, setPomodoroCount] = useState(0)
+  // 新しく獲得したバッジ（表示中のお祝い。なければ null）
+  const [newBadges, setNewBadges] = useState(null)
+  // 1日の目標と休息日
+  const [goalSettings, setGoalSettings] = useState(loadGoalSettings)
+  // 中断の記録ダイアログ（{ source, time, phaseStartedAt } | null）
+  const [interruptionPrompt, setInterruptionPrompt] = useState(null)
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false)
+
+  // アクセシビリティ
+  // スクリーンリーダーに読み上げる文（polite なライブリージョンに表示）
+  const [announcement, setAnnouncement] = useState('')
+  // 残り時間がこの分数になったら読み上げる
+  const [announceMilestones, setAnnounceMilestones] = useState([5, 1])
+  const [shortcuts, setShortcuts] = useState(loadShortcuts)
+  const [updateAvailable, setUpdateAvailable] = useState(false)
+
+  // プリセット（activePresetId は手動で値を変えてプリセットから外れると null）
+  const [presets, setPresets] = useState(loadPresets)
+  const [defaultPresetId, setDefaultPresetId] = useState(() => loadDefaultPresetId(presets))
+  const [activePresetId, setActivePresetId] = useState(() => loadActivePresetId(presets))
+
+  // タスク
+  const [tasks, setTasks] = useState(loadTasks)
+  const [currentTaskId, setCurrentTaskId] = useState(loadCurrentTaskId)
+
+  // このタブがタイマーと音を持つか（複数のタブで開いた場合は1つだけ）
+  const [isLeader, setIsLeader] = useState(isLeaderTab)
+  // URL パラメータで指定されたセットアップ（リーダーが適用するまで保持）
+  const [pendingSetup, setPendingSetup] = useState(null)
+  // セットアップを適用した後のレンダリングでタイマーを開始する
+  const [pendingAutostart, setPendingAutostart] = useState(false)
+  // 通知から新しく開かれた場合のアクション（リーダーが決まるまで保持）
+  const [pendingLaunchAction, setPendingLaunchAction] = useState(null)
+
+  // セッション履歴
+  const [sessions, setSessions] = useState([])
+  // 履歴を読み込んだか（読み込む前の空の履歴でバッジを判定しないため）
+  const [sessionsLoaded, setSessionsLoaded] = useState(false)
+  // 日付が変わったら本日のカウントを更新するための現在日
+  const [today, setToday] = useState(() => Date.now())
   
   // 参照
   const timerIntervalRef = useRef(null)
   const alertTimeoutRef = useRef(null)
+  const announceTimeoutRef = useRef(null)
+  const pendingAnnouncementRef = useRef('')
+  // 途中の合図の判定用に、前回の tick の残り秒数を覚えておく
+  const previousRemainingRef = useRef(null)
+  // チェックインのチャイムの判定用に、前回の tick の経過秒数を覚えておく
+  const previousElapsedRef = useRef(null)
+  const appRef = useRef(null)
+  // video の PiP に流す canvas
+  const pipCanvasRef = useRef(null)
 
   // LocalStorage から設定を読み込む
   useEffect(() => {
-    const savedDarkMode = localStorage.getItem('darkMode')
     const savedFocus = localStorage.getItem('focusMinutes')
     const savedBreak = localStorage.getItem('breakMinutes')
+    const savedLongBreak = localStorage.getItem('longBreakMinutes')
+    const savedCycleLength = localStorage.getItem('cycleLength')
+    const savedAskInterruptionReason = localStorage.getItem('askInterruptionReason')
+    const savedMilestones = localStorage.getItem('announceMilestones')
     const savedVolume = localStorage.getItem('noiseVolume')
     const savedNoiseType = localStorage.getItem('noiseType')
-    const savedPomodoroCount = localStorage.getItem('pomodoroCount')
+    const savedNoiseColor = localStorage.getItem('noiseColor')
+    const savedLowCut = localStorage.getItem('lowCutHz')
+    const savedHighCut = localStorage.getItem('highCutHz')
+    const savedFadeIn = localStorage.getItem('fadeInSeconds')
+    const savedFadeOut = localStorage.getItem('fadeOutSeconds')
+    const savedCrossfade = localStorage.getItem('crossfadeSeconds')
+    const savedNotifications = localStorage.getItem('notificationsEnabled')
+    const savedVibration = localStorage.getItem('vibrationPattern')
+    const savedBreakNoise = localStorage.getItem('breakNoise')
+    const savedBreakNoiseLevel = localStorage.getItem('breakNoiseLevel')
+    const savedNoiseOnlyMode = localStorage.getItem('noiseOnlyMode')
+    const savedSleepOption = localStorage.getItem('sleepOption')
+    const savedSleepCustom = localStorage.getItem('sleepCustomMinutes')
+    const savedSleepFade = localStorage.getItem('sleepFadeMinutes')
+    const savedTitleCountdown = localStorage.getItem('titleCountdown')
+    const savedFaviconProgress = localStorage.getItem('faviconProgress')
 
-    if (savedDarkMode !== null) setDarkMode(JSON.parse(savedDarkMode))
-    if (savedFocus) setFocusMinutes(parseInt(savedFocus))
-    if (savedBreak) setBreakMinutes(parseInt(savedBreak))
+    if (savedAskInterruptionReason !== null) setAskInterruptionReason(JSON.parse(savedAskInterruptionReason))
+    if (savedMilestones) {
+      const milestones = JSON.parse(savedMilestones)
+      if (Array.isArray(milestones)) setAnnounceMilestones(milestones.filter(minutes => MILESTONE_OPTIONS.includes(minutes)))
+    }
     if (savedVolume) setNoiseVolume(parseFloat(savedVolume))
     if (savedNoiseType) setNoiseType(savedNoiseType)
-    if (savedPomodoroCount) setPomodoroCount(parseInt(savedPomodoroCount))
-    
-    // バックグラウンド再生を有効化
-    enableBackgroundPlayback()
+    // 色の保存値がない以前のバージョンでは、ノイズの種類から決める
+    if (savedNoiseColor) {
+      setNoiseColor(parseFloat(savedNoiseColor))
+    } else if (savedNoiseType in NOISE_COLOR_VALUES) {
+      setNoiseColor(NOISE_COLOR_VALUES[savedNoiseType])
+    }
+    if (savedLowCut) setLowCutHz(parseFloat(savedLowCut))
+    if (savedHighCut) setHighCutHz(parseFloat(savedHighCut))
+    if (savedFadeIn) setFadeInSeconds(parseFloat(savedFadeIn))
+    if (savedFadeOut) setFadeOutSeconds(parseFloat(savedFadeOut))
+    if (savedCrossfade) setCrossfadeSeconds(parseFloat(savedCrossfade))
+    if (savedNotifications !== null) setNotificationsEnabled(JSON.parse(savedNotifications))
+    if (savedVibration && VIBRATION_PATTERNS[savedVibration]) setVibrationPattern(savedVibration)
+    if (savedBreakNoise !== null) setBreakNoise(JSON.parse(savedBreakNoise))
+    if (savedBreakNoiseLevel) setBreakNoiseLevel(parseFloat(savedBreakNoiseLevel))
+    // ポモドーロの実行中に閉じた場合はポモドーロの画面で復元する
+    if (savedNoiseOnlyMode !== null && !savedSession.isRunning) setNoiseOnlyMode(JSON.parse(savedNoiseOnlyMode))
+    if (SLEEP_TIMER_OPTIONS.includes(savedSleepOption)) setSleepOption(savedSleepOption)
+    if (savedSleepCustom) setSleepCustomMinutes(parseInt(savedSleepCustom))
+    if (savedSleepFade) setSleepFadeMinutes(parseFloat(savedSleepFade))
+    if (savedTitleCountdown !== null) setTitleCountdown(JSON.parse(savedTitleCountdown))
+    if (savedFaviconProgress !== null) setFaviconProgress(JSON.parse(savedFaviconProgress))
+
+    // プリセットを一度も選んでいない場合
+    // 初回起動なら既定のプリセットを適用し、以前のバージョンの設定があれば一致するプリセットを選択状態にする
+    if (activePresetId === undefined) {
+      if (savedFocus === null) {
+        const preset = presets.find(item => item.id === defaultPresetId)
+        if (preset) {
+          setActivePresetId(preset.id)
+          setFocusMinutes(preset.focus)
+          setBreakMinutes(preset.break)
+          setLongBreakMinutes(preset.longBreak)
+          setCycleLength(preset.cycle)
+          handleNoiseTypeChange(preset.noiseType)
+          setNoiseVolume(preset.volume)
+          if (!savedSession.isRunning) setTimeRemaining(preset.focus * 60)
+        }
+      } else {
+        const match = presets.find(item => (
+          item.focus === parseInt(savedFocus)
+          && item.break === parseInt(savedBreak)
+          && item.longBreak === parseInt(savedLongBreak)
+          && item.cycle === parseInt(savedCycleLength)
+        ))
+        setActivePresetId(match?.id ?? null)
+      }
+    }
+
+    setSettingsLoaded(true)
+  }, [])
+
+  // 他のタブで変更された設定を反映
+  // 反映後の保存では同じ値を書き込むだけなので、storage イベントは往復しない
+  useEffect(() => {
+    const parseJson = (value) => JSON.parse(value)
+    const settings = {
+      focusMinutes: [setFocusMinutes, parseInt],
+      breakMinutes: [setBreakMinutes, parseInt],
+      longBreakMinutes: [setLongBreakMinutes, parseInt],
+      cycleLength: [setCycleLength, parseInt],
+      autoStartBreaks: [setAutoStartBreaks, parseJson],
+      autoStartFocus: [setAutoStartFocus, parseJson],
+      askInterruptionReason: [setAskInterruptionReason, parseJson],
+      announceMilestones: [setAnnounceMilestones, parseJson],
+      noiseVolume: [setNoiseVolume, parseFloat],
+      noiseType: [setNoiseType, String],
+      noiseColor: [setNoiseColor, parseFloat],
+      lowCutHz: [setLowCutHz, parseFloat],
+      highCutHz: [setHighCutHz, parseFloat],
+      fadeInSeconds: [setFadeInSeconds, parseFloat],
+      fadeOutSeconds: [setFadeOutSeconds, parseFloat],
+      crossfadeSeconds: [setCrossfadeSeconds, parseFloat],
+      notificationsEnabled: [setNotificationsEnabled, parseJson],
+      vibrationPattern: [setVibrationPattern, String],
+      breakNoise: [setBreakNoise, parseJson],
+      breakNoiseLevel: [setBreakNoiseLevel, parseFloat],
+      noiseOnlyMode: [setNoiseOnlyMode, parseJson],
+      flowtimeMode: [setFlowtimeMode, parseJson],
+      sleepOption: [setSleepOption, String],
+      sleepCustomMinutes: [setSleepCustomMinutes, parseInt],
+      sleepFadeMinutes: [setSleepFadeMinutes, parseFloat],
+      titleCountdown: [setTitleCountdown, parseJson],
+      faviconProgress: [setFaviconProgress, parseJson],
+    }
+    // 一覧やオブジェクトは各モジュールの読み込み処理で検証し直す
+    const loaders = {
+      presets: () => setPresets(loadPresets()),
+      defaultPresetId: () => setDefaultPresetId(loadDefaultPresetId(loadPresets())),
+      activePresetId: () => setActivePresetId(loadActivePresetId(loadPresets())),
+      soundscapes: () => setSoundscapes(loadSoundscapes()),
+      soundscapeLayers: () => setMixerLayers(loadSoundscapeLayers()),
+      toneLayer: () => setToneLayerConfig(loadToneLayer()),
+      alertSounds: () => setAlertSettings(loadAlertSettings()),
+      goals: () => setGoalSettings(loadGoalSettings()),
+      flowtime: () => setFlowtimeSettings(loadFlowtimeSettings()),
+      theme: () => setThemeSettings(loadThemeSettings()),
+      shortcuts: () => setShortcuts(loadShortcuts()),
+      tasks: () => setTasks(loadTasks()),
+      currentTaskId: () => setCurrentTaskId(loadCurrentTaskId()),
+    }
+
+    return subscribeToStorageChanges((key, value) => {
+      try {
+        if (loaders[key]) {
+          loaders[key]()
+        } else if (settings[key] && value !== null) {
+          const [setter, parse] = settings[key]
+          setter(parse(value))
+        }
+      } catch (e) {
+        // 壊れた値は無視する
+      }
+    })
+  }, [])
+
+  // URL パラメータのセットアップを読み取る
+  // 適用は保存された設定を読み込んだ後に、リーダーのタブで行う
+  useEffect(() => {
+    const link = consumeDeepLink()
+    if (link) setPendingSetup(link)
   }, [])
 
+  useEffect(() => subscribeToLeadership(setIsLeader), [])
+
+  // リーダーのタブだけを通知アクションの転送先・バックグラウンド再生の対象にする
+  useEffect(() => {
+    if (isLeader) enableBackgroundPlayback()
+  }, [isLeader])
+
   // 設定を保存
+  // 読み込みの前に保存すると、既定値が storage イベントで他のタブに反映されてしまう
   useEffect(() => {
-    localStorage.setItem('darkMode', JSON.stringify(darkMode))
+    if (!settingsLoaded) return
     localStorage.setItem('focusMinutes', focusMinutes.toString())
     localStorage.setItem('breakMinutes', breakMinutes.toString())
+    localStorage.setItem('longBreakMinutes', longBreakMinutes.toString())
+    localStorage.setItem('cycleLength', cycleLength.toString())
+    localStorage.setItem('autoStartBreaks', JSON.stringify(autoStartBreaks))
+    localStorage.setItem('autoStartFocus', JSON.stringify(autoStartFocus))
+    localStorage.setItem('askInterruptionReason', JSON.stringify(askInterruptionReason))
+    localStorage.setItem('announceMilestones', JSON.stringify(announceMilestones))
     localStorage.setItem('noiseVolume', noiseVolume.toString())
     localStorage.setItem('noiseType', noiseType)
-    localStorage.setItem('pomodoroCount', pomodoroCount.toString())
-  }, [darkMode, focusMinutes, breakMinutes, noiseVolume, noiseType, pomodoroCount])
+    localStorage.setItem('noiseColor', noiseColor.toString())
+    localStorage.setItem('lowCutHz', lowCutHz.toString())
+    localStorage.setItem('highCutHz', highCutHz.toString())
+    localStorage.setItem('fadeInSeconds', fadeInSeconds.toString())
+    localStorage.setItem('fadeOutSeconds', fadeOutSeconds.toString())
+    localStorage.setItem('crossfadeSeconds', crossfadeSeconds.toString())
+    localStorage.setItem('notificationsEnabled', JSON.stringify(notificationsEnabled))
+    localStorage.setItem('vibrationPattern', vibrationPattern)
+    localStorage.setItem('breakNoise', JSON.stringify(breakNoise))
+    localStorage.setItem('breakNoiseLevel', breakNoiseLevel.toString())
+    localStorage.setItem('noiseOnlyMode', JSON.stringify(noiseOnlyMode))
+    localStorage.setItem('flowtimeMode', JSON.stringify(flowtimeMode))
+    localStorage.setItem('sleepOption', sleepOption)
+    localStorage.setItem('sleepCustomMinutes', sleepCustomMinutes.toString())
+    localStorage.setItem('sleepFadeMinutes', sleepFadeMinutes.toString())
+    localStorage.setItem('titleCountdown', JSON.stringify(titleCountdown))
+    localStorage.setItem('faviconProgress', JSON.stringify(faviconProgress))
+  }, [settingsLoaded, focusMinutes, breakMinutes, longBreakMinutes, cycleLength, autoStartBreaks, autoStartFocus, askInterruptionReason, announceMilestones, noiseVolume, noiseType, noiseColor, lowCutHz, highCutHz, fadeInSeconds, fadeOutSeconds, crossfadeSeconds, notificationsEnabled, vibrationPattern, breakNoise, breakNoiseLevel, noiseOnlyMode, flowtimeMode, sleepOption, sleepCustomMinutes, sleepFadeMinutes, titleCountdown, faviconProgress])
+
+  // 新しいバージョンの検知
+  useEffect(() => subscribeToUpdates(setUpdateAvailable), [])
+
+  // セッション履歴を読み込む
+  useEffect(() => {
+    getAllSessions()
+      .then((saved) => {
+        setSessions(saved)
+        setSessionsLoaded(true)
+      })
+      .catch(error => console.error('Failed to load session history:', error))
+  }, [])
+
+  // 取り込んだ音声ファイルの一覧を読み込む
+  const reloadAudioFiles = () => {
+    getAudioFiles()
+      .then(setAudioFiles)
+      .catch((error) => {
+        console.error('Failed to load audio files:', error)
+        setAudioFiles([])
+      })
+  }
+
+  useEffect(() => {
+    reloadAudioFiles()
+  }, [])
+
+  // 日付が変わったタイミングで本日のカウントをリセット
+  useEffect(() => {
+    const midnight = new Date(today)
+    midnight.setHours(24, 0, 0, 0)
+    const timeout = setTimeout(() => setToday(Date.now()), midnight - Date.now())
+    return () => clearTimeout(timeout)
+  }, [today])
+
+  // サウンドスケープを保存
+  useEffect(() => {
+    saveSoundscapeLayers(mixerLayers)
+  }, [mixerLayers])
+
+  useEffect(() => {
+    saveToneLayer(toneLayer)
+  }, [toneLayer])
+
+  useEffect(() => {
+    saveAlertSettings(alertSettings)
+  }, [alertSettings])
+
+  useEffect(() => {
+    saveGoalSettings(goalSettings)
+  }, [goalSettings])
+
+  useEffect(() => {
+    saveFlowtimeSettings(flowtimeSettings)
+  }, [flowtimeSettings])
+
+  useEffect(() => {
+    saveThemeSettings(themeSettings)
+  }, [themeSettings])
+
+  useEffect(() => subscribeToSystemTheme(setSystemDark), [])
+
+  useEffect(() => {
+    saveSoundscapes(soundscapes)
+  }, [soundscapes])
+
+  // プリセットを保存
+  useEffect(() => {
+    savePresets(presets)
+  }, [presets])
+
+  useEffect(() => {
+    saveDefaultPresetId(defaultPresetId)
+  }, [defaultPresetId])
+
+  useEffect(() => {
+    if (activePresetId !== undefined) saveActivePresetId(activePresetId)
+  }, [activePresetId])
+
+  useEffect(() => {
+    saveShortcuts(shortcuts)
+  }, [shortcuts])
+
+  // タスクを保存
+  useEffect(() => {
+    saveTasks(tasks)
+  }, [tasks])
+
+  useEffect(() => {
+    saveCurrentTaskId(currentTaskId)
+  }, [currentTaskId])
+
+  // セッション状態を保存し、他のタブに送る（リーダーのみ）
+  useEffect(() => {
+    if (!isLeader) return
+    postTabMessage(TAB_MESSAGES.STATE, getTimerSnapshot())
+    saveTimerSession({
+      isRunning,
+      isPaused,
+      isBreak,
+      isLongBreak,
+      cyclePosition,
+      endTime: phaseEndTime,
+      remaining: timeRemaining,
+      startedAt: phaseStartedAt,
+      interruptions,
+      countUpStart,
+      elapsed: elapsedSeconds,
+      breakSeconds: flowBreakSeconds,
+    })
+  }, [isLeader, isRunning, isPaused, isBreak, isLongBreak, cyclePosition, phaseEndTime, timeRemaining, phaseStartedAt, interruptions, countUpStart, elapsedSeconds, flowBreakSeconds, noiseOnlyPlaying, sleepEndTime])
+
+  // 停止中に長さの設定が変わったら、現在のフェーズの残り時間を合わせる
+  // 他のタブで長さを変えた場合も、リーダーの残り時間が追従する
+  useEffect(() => {
+    if (isLeader && !isRunning) setTimeRemaining(getPhaseSeconds())
+  }, [isLeader, focusMinutes, breakMinutes, longBreakMinutes, flowtimeMode])
+
+  // 他のタブからのメッセージ
+  // ハンドラが多くの状態を参照するため、毎レンダリングで最新のものを登録し直す
+  useEffect(() => subscribeToTabMessages((message) => {
+    if (message.type === TAB_MESSAGES.SESSIONS_CHANGED) {
+      getAllSessions()
+        .then(setSessions)
+        .catch(error => console.error('Failed to load sessions:', error))
+    } else if (message.type === TAB_MESSAGES.AUDIO_FILES_CHANGED) {
+      reloadAudioFiles()
+    } else if (!isLeader) {
+      if (message.type !== TAB_MESSAGES.STATE) return
+      applyTimerSnapshot(message.payload)
+      if (pendingSetup) {
+        setPendingSetup(null)
+        runTimerAction('applySetup', pendingSetup)
+      }
+      if (pendingLaunchAction) {
+        setPendingLaunchAction(null)
+        runTimerAction('notificationAction', pendingLaunchAction)
+      }
+    } else if (message.type === TAB_MESSAGES.REQUEST_STATE) {
+      postTabMessage(TAB_MESSAGES.STATE, getTimerSnapshot())
+    } else if (message.type === TAB_MESSAGES.ACTION) {
+      const { action, payload } = message.payload
+      timerActions[action]?.(payload)
+    }
+  }))
+
+  // リーダーでなければ、開いた直後にリーダーの状態を取得する
+  useEffect(() => {
+    if (!isLeader) postTabMessage(TAB_MESSAGES.REQUEST_STATE)
+  }, [isLeader])
+
+  // ディープリンクのセットアップを適用
+  // リーダーでないタブでは、リーダーの状態を受け取った時点でリーダーに転送する
+  useEffect(() => {
+    if (!isLeader || !pendingSetup) return
+    setPendingSetup(null)
+    timerActions.applySetup(pendingSetup)
+  }, [isLeader, pendingSetup])
+
+  // 通知から開かれた場合のアクションも同様に、リーダーが決まってから実行する
+  // （開いた直後はロックの取得前で、リーダーがまだいない）
+  useEffect(() => {
+    if (!isLeader || !pendingLaunchAction) return
+    setPendingLaunchAction(null)
+    timerActions.notificationAction(pendingLaunchAction)
+  }, [isLeader, pendingLaunchAction])
+
+  useEffect(() => {
+    if (!pendingAutostart) return
+    setPendingAutostart(false)
+    if (!isRunning) handleStartPause()
+  }, [pendingAutostart])
 
   // タイマーのメイン処理
+  // 残り時間は毎回終了時刻から計算するため、interval が間引かれても時間がずれない
+  // 閉じている間にフェーズが終わっていた場合も最初の tick で終了処理が走る
+  // リーダー以外のタブは表示だけを更新し、終了処理はリーダーに任せる
   useEffect(() => {
-    if (!isRunning || isPaused) return
+    if (!isRunning || isPaused || phaseEndTime === null) return
 
-    timerIntervalRef.current = setInterval(() => {
-      setTimeRemaining(prev => {
-        if (prev <= 1) {
-          handleTimerEnd()
-          return 0
-        }
-        return prev - 1
+    let ended = false
+    const tick = () => {
+      if (ended) return
+      const remaining = getRemainingSeconds(phaseEndTime)
+      setTimeRemaining(remaining)
+      if (remaining <= 0 && isLeader) {
+        ended = true
+        handleTimerEnd()
+      }
+    }
+
+    tick()
+    timerIntervalRef.current = setInterval(tick, 1000)
+    // バックグラウンドから戻った直後に表示を更新
+    document.addEventListener('visibilitychange', tick)
+
+    return () => {
+      clearInterval(timerIntervalRef.current)
+      document.removeEventListener('visibilitychange', tick)
+    }
+  }, [isLeader, isRunning, isPaused, isBreak, isLongBreak, cyclePosition, phaseEndTime, phaseStartedAt, focusMinutes, breakMinutes, longBreakMinutes, cycleLength, autoStartBreaks, autoStartFocus, flowtimeMode, flowtimeSettings, flowBreakSeconds, activePresetId, noiseType, notificationsEnabled, vibrationPattern, currentTaskId])
+
+  // Flowtime の集中の数え上げ
+  // 終わりはユーザーが決めるため、経過時間を開始時刻から計算して表示するだけ
+  useEffect(() => {
+    if (countUpStart === null) return
+
+    const tick = () => setElapsedSeconds(getElapsedSeconds(countUpStart))
+
+    tick()
+    const interval = setInterval(tick, 1000)
+    document.addEventListener('visibilitychange', tick)
+
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', tick)
+    }
+  }, [countUpStart])
+
+  // レイヤー構成をオーディオエンジンに反映（再生中なら差分のみ）
+  useEffect(() => {
+    setSoundscapeLayers(mixerLayers)
+  }, [mixerLayers])
+
+  // 音量をオーディオエンジンに反映（他のタブで変えた場合も含む）
+  useEffect(() => {
+    setBrownNoiseVolume(noiseVolume)
+  }, [noiseVolume])
+
+  // フェード時間をオーディオエンジンに反映
+  useEffect(() => {
+    setFadeDurations({ fadeIn: fadeInSeconds, fadeOut: fadeOutSeconds, crossfade: crossfadeSeconds })
+  }, [fadeInSeconds, fadeOutSeconds, crossfadeSeconds])
+
+  // 色・フィルタ・トーンレイヤーをオーディオエンジンに反映（再生中ならランプで変化）
+  useEffect(() => {
+    changeNoiseColor(noiseColor)
+  }, [noiseColor])
+
+  useEffect(() => {
+    setNoiseFilters({ lowCut: lowCutHz, highCut: highCutHz })
+  }, [lowCutHz, highCutHz])
+
+  useEffect(() => {
+    setToneLayer(toneLayer)
+  }, [toneLayer])
+
+  // ベースレイヤーで鳴らす取り込んだ音声（デコードはリーダーのタブだけで行う）
+  const baseAudioFile = audioFiles?.find(file => toAudioFileSound(file.id) === noiseType) ?? null
+  useEffect(() => {
+    if (!isLeader || !baseAudioFile) {
+      setBaseAudio(null)
+      return
+    }
+    let cancelled = false
+    loadAudioFileBuffer(baseAudioFile.id)
+      .then((buffer) => {
+        if (cancelled || !buffer) return
+        setBaseAudio({
+          sound: noiseType,
+          buffer,
+          gain: getAudioFileGain(baseAudioFile),
+          crossfade: baseAudioFile.crossfade,
+        })
       })
-    }, 1000)
+      .catch(error => console.error('Failed to load audio file:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [isLeader, baseAudioFile])
+
+  // 選んでいた音声ファイルが削除された（または復元したバックアップに含まれない）場合はブラウンノイズに戻す
+  useEffect(() => {
+    if (audioFiles && isAudioFileSound(noiseType) && !baseAudioFile) handleNoiseTypeChange('brown')
+  }, [audioFiles, noiseType])
 
-    return () => clearInterval(timerIntervalRef.current)
-  }, [isRunning, isPaused, isBreak, focusMinutes, breakMinutes])
+  // 休憩中にノイズを流す場合は、設定した割合まで下げる
+  // ノイズのみモードではスリープタイマーがレベルを管理する
+  useEffect(() => {
+    if (noiseOnlyMode) return
+    setNoiseLevel(isBreak && breakNoise ? breakNoiseLevel : 1, crossfadeSeconds)
+  }, [noiseOnlyMode, isBreak, breakNoise, breakNoiseLevel])
 
-  // ノイズの制御
+  // ノイズの制御（リーダーのみ）
+  // 開始時はフェードイン、フェーズ終了・一時停止・リセット時はフェードアウト
   useEffect(() => {
-    if (isRunning && !isPaused && !isBreak) {
+    const pomodoroNoise = isRunning && !isPaused && (!isBreak || breakNoise)
+    if (isLeader && (pomodoroNoise || noiseOnlyPlaying)) {
       if (!isBrownNoisePlaying()) {
-        startNoise(noiseType, noiseVolume)
+        startNoise(noiseColor, noiseVolume)
       }
     } else {
       if (isBrownNoisePlaying()) {
         stopBrownNoise()
       }
     }
-  }, [isRunning, isPaused, isBreak, noiseVolume, noiseType])
+  }, [isLeader, isRunning, isPaused, isBreak, breakNoise, noiseOnlyPlaying, noiseVolume, noiseColor])
+
+  // スリープタイマー
+  // 残りが sleepFadeMinutes を切ったら、終了時刻に 0 になるようレベルを下げ始める
+  // リーダー以外のタブは表示だけを更新する
+  useEffect(() => {
+    if (!noiseOnlyPlaying || sleepEndTime === null) return
+
+    let fading = false
+    const tick = () => {
+      const remaining = getRemainingSeconds(sleepEndTime)
+      setSleepRemaining(remaining)
+      if (!isLeader) return
+      if (remaining <= 0) {
+        setNoiseOnlyPlaying(false)
+        setSleepEndTime(null)
+      } else if (!fading && remaining <= sleepFadeMinutes * 60) {
+        fading = true
+        setNoiseLevel(0, remaining)
+      }
+    }
+
+    tick()
+    const interval = setInterval(tick, 1000)
+    document.addEventListener('visibilitychange', tick)
+
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', tick)
+    }
+  }, [isLeader, noiseOnlyPlaying, sleepEndTime, sleepFadeMinutes])
+
+  // Flowtime の集中（決まった長さがなく、数え上げる）
+  const isCountingUp = flowtimeMode && !isBreak
+
+  // 実行中フェーズの経過秒数（数え上げ中は表示の更新を待たずに計算する）
+  const getCurrentElapsed = () => (countUpStart === null ? elapsedSeconds : getElapsedSeconds(countUpStart))
+
+  // 実行中フェーズの残り秒数（数え上げるフェーズには残りがない）
+  const getCurrentRemaining = () => {
+    if (isCountingUp) return 0
+    return isPaused ? timeRemaining : getRemainingSeconds(phaseEndTime)
+  }
+
+  /**
+   * 現在のフェーズを履歴に記録
+   * Flowtime の集中は、予定・実際とも数え上げた長さで記録する
+   * @param {'completed'|'skipped'|'aborted'} outcome
+   * @param {number} remaining - 終了時点の残り秒数
+   * @param {number} end - 終了時刻
+   * @param {Array<Object>} extraInterruptions - 記録時に追加する中断（リセットの理由）
+   */
+  const recordSession = (outcome, remaining, end = Date.now(), extraInterruptions = []) => {
+    if (phaseStartedAt === null) return
+
+    const plannedSeconds = getPhaseSeconds()
+    const session = {
+      phase: isLongBreak ? 'longBreak' : isBreak ? 'break' : 'focus',
+      outcome,
+      start: phaseStartedAt,
+      end,
+      plannedSeconds,
+      actualSeconds: Math.max(0, plannedSeconds - remaining),
+      preset: activePresetId ?? null,
+      noiseType,
+      mode: flowtimeMode ? 'flowtime' : 'pomodoro',
+      taskId: isBreak ? null : currentTask?.id ?? null,
+      taskTitle: isBreak ? null : currentTask?.title ?? null,
+      interruptions: isBreak ? [] : [...interruptions, ...extraInterruptions],
+    }
+
+    // 履歴を読み込み済みなら保存の完了を待たずに判定し、フェーズ終了の表示・読み上げと同時に祝う
+    // 読み込む前（閉じている間に終わったフェーズの記録など）は、保存した後に記録済みの履歴から判定する
+    if (sessionsLoaded) {
+      const earned = getNewBadges(sessions, [...sessions, session], goalSettings)
+      if (earned.length > 0) celebrateBadges(earned)
+    }
+
+    addSession(session)
+      .then(saved => {
+        // 読み込み中の履歴に既に含まれていれば追加しない
+        setSessions(prev => (prev.some(item => item.id === saved.id) ? prev : [...prev, saved]))
+        postTabMessage(TAB_MESSAGES.SESSIONS_CHANGED)
+        if (sessionsLoaded) return
+        return getAllSessions().then((all) => {
+          const earned = getNewBadges(all.filter(item => item.id !== saved.id), all, goalSettings)
+          if (earned.length > 0) celebrateBadges(earned)
+        })
+      })
+      .catch(error => console.error('Failed to record session:', error))
+  }
+
+  /**
+   * 次のフェーズへ進む
+   * 集中の後は休憩（サイクル数に達したら長い休憩）、休憩の後は集中
+   * Flowtime では集中時間に比例した休憩になり、サイクルと長い休憩はない。次の集中は 0 から数え上げる
+   * @param {'completed'|'skipped'} outcome
+   * @returns {{ isBreak: boolean, isLongBreak: boolean, seconds: number, autoStart: boolean }} 次のフェーズ
+   */
+  const advancePhase = (outcome) => {
+    if (outcome === 'completed') {
+      // 閉じている間に終わっていた場合も、本来の終了時刻で記録する
+      recordSession('completed', 0, phaseEndTime ?? Date.now())
+      // 完了した集中セッションを現在のタスクに加算
+      if (!isBreak && currentTask) {
+        setTasks(prev => creditPomodoro(prev, currentTask.id))
+      }
+    } else if (isRunning) {
+      recordSession(outcome, getCurrentRemaining())
+    }
+
+    let nextIsBreak
+    let nextIsLongBreak = false
+    let nextPosition = cyclePosition
+    let nextSeconds
+
+    if (isCountingUp) {
+      // Flowtime の集中終了 → 集中した長さに比例した休憩
+      nextIsBreak = true
+      nextSeconds = getSuggestedBreakSeconds(getCurrentElapsed(), flowtimeSettings)
+    } else {
+      // 集中終了 → 休憩開始、休憩終了 → 集中開始
+      const next = getNextPhase(
+        { isBreak, isLongBreak, cyclePosition },
+        outcome === 'completed',
+        { focusMinutes, breakMinutes, longBreakMinutes, cycleLength, autoStartBreaks, autoStartFocus }
+      )
+      nextIsBreak = next.isBreak
+      nextIsLongBreak = next.isLongBreak
+      nextPosition = next.cyclePosition
+      nextSeconds = flowtimeMode && !nextIsBreak ? 0 : next.seconds
+    }
+
+    const autoStart = nextIsBreak ? autoStartBreaks : autoStartFocus
+    const nextCountsUp = flowtimeMode && !nextIsBreak
+    const now = Date.now()
+
+    setCyclePosition(nextPosition)
+    setIsBreak(nextIsBreak)
+    setIsLongBreak(nextIsLongBreak)
+    setTimeRemaining(nextSeconds)
+    setIsRunning(autoStart)
+    setIsPaused(false)
+    setPhaseStartedAt(autoStart ? now : null)
+    setInterruptions([])
+    setPhaseEndTime(autoStart && !nextCountsUp ? now + nextSeconds * 1000 : null)
+    setCountUpStart(autoStart && nextCountsUp ? now : null)
+    setElapsedSeconds(0)
+    setFlowBreakSeconds(flowtimeMode && nextIsBreak ? nextSeconds : null)
+
+    return { isBreak: nextIsBreak, isLongBreak: nextIsLongBreak, seconds: nextSeconds, autoStart }
+  }
+
+  /**
+   * 次のフェーズの説明（「休憩（5分）が始まりました」など）
+   * Flowtime の集中は長さが決まっていないため、長さを含めない
+   * @param {{ isBreak: boolean, isLongBreak: boolean, seconds: number, autoStart: boolean }} next
+   */
+  const describeNextPhase = (next) => {
+    if (flowtimeMode && !next.isBreak) {
+      return t(next.autoStart ? 'flowtime.started' : 'flowtime.upNext')
+    }
+    const nextLabel = t(next.isLongBreak ? 'phase.longBreak' : next.isBreak ? 'phase.break' : 'phase.focus')
+    const nextDuration = formatters.duration(next.seconds / 60)
+    return t(next.autoStart ? 'notification.started' : 'notification.upNext', { phase: nextLabel, duration: nextDuration })
+  }
+
+  /**
+   * スクリーンリーダーに読み上げる
+   * 同じ文を続けて読ませるため、一度空にしてから設定する
+   * 続けて呼ばれた場合（バッジの獲得とフェーズ終了など）は、まとめて読み上げる
+   */
+  const announce = (message) => {
+    pendingAnnouncementRef.current = [pendingAnnouncementRef.current, message].filter(Boolean).join(' ')
+    setAnnouncement('')
+    if (announceTimeoutRef.current) clearTimeout(announceTimeoutRef.current)
+    announceTimeoutRef.current = setTimeout(() => {
+      setAnnouncement(pendingAnnouncementRef.current)
+      pendingAnnouncementRef.current = ''
+    }, 100)
+  }
+
+  /**
+   * フェーズ終了をシステム通知と振動で知らせる
+   * ページが表示されている場合はオーバーレイで十分なため振動のみ
+   */
+  const notifyPhaseEnd = (next) => {
+    const pattern = VIBRATION_PATTERNS[vibrationPattern]
+    if (document.visibilityState === 'visible' || !notificationsEnabled) {
+      vibrate(pattern)
+      return
+    }
+
+    const skipAction = { action: NOTIFICATION_ACTIONS.SKIP, title: t('notification.skip') }
+    let actions
+    if (next.autoStart) {
+      actions = [skipAction]
+    } else if (next.isBreak) {
+      actions = [{ action: NOTIFICATION_ACTIONS.START_BREAK, title: t('notification.startBreak') }, skipAction]
+    } else {
+      actions = [{ action: NOTIFICATION_ACTIONS.START_FOCUS, title: t('notification.startFocus') }, skipAction]
+    }
+
+    showPhaseNotification({
+      title: t(isBreak ? 'alert.breakDone' : 'alert.focusDone'),
+      body: describeNextPhase(next),
+      actions,
+      vibrate: pattern,
+    })
+  }
+
+  /**
+   * バッジの獲得を祝う
+   * フェーズ終了の 🎉 を表示中なら置き換え、少し長めに表示する
+   */
+  const celebrateBadges = (badges) => {
+    setNewBadges(badges)
+    setShowAlert(true)
+    if (alertTimeoutRef.current) clearTimeout(alertTimeoutRef.current)
+    alertTimeoutRef.current = setTimeout(() => {
+      setShowAlert(false)
+      setNewBadges(null)
+    }, BADGE_CELEBRATION_MS)
+    announce(t('badges.announce', {
+      count: badges.length,
+      names: badges.map(badge => t(`badges.items.${badge.id}.name`)).join(t('badges.separator')),
+    }))
+  }
 
   const handleTimerEnd = () => {
-    playNotificationSound()
+    playAlertSound(isBreak ? alertSettings.breakEnd : alertSettings.focusEnd, alertSettings.volume)
+    setNewBadges(null)
     setShowAlert(true)
     
     if (alertTimeoutRef.current) clearTimeout(alertTimeoutRef.current)
     alertTimeoutRef.current = setTimeout(() => setShowAlert(false), 2000)
     
-    if (!isBreak) {
-      // 集中終了 → 休憩開始
-      setPomodoroCount(prev => prev + 1)
-      setIsBreak(true)
-      setTimeRemaining(breakMinutes * 60)
-      setIsRunning(false)
-      setIsPaused(false)
-    } else {
-      // 休憩終了 → 集中開始
-      setIsBreak(false)
-      setTimeRemaining(focusMinutes * 60)
-      setIsRunning(false)
-      setIsPaused(false)
-    }
+    const next = advancePhase('completed')
+    notifyPhaseEnd(next)
+    announce(`${t(isBreak ? 'alert.breakDone' : 'alert.focusDone')} ${describeNextPhase(next)}`)
   }
 
-  const playNotificationSound = () => {
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)()
-    const oscillator = audioContext.createOscillator()
-    const gainNode = audioContext.createGain()
+  /**
+   * 通知のアクションでタイマーを操作
+   * 既に自動開始などで目的のフェーズが動いている場合は何もしない
+   */
+  const handleNotificationAction = (action) => {
+    if (action === NOTIFICATION_ACTIONS.SKIP) {
+      runTimerAction('skip')
+      return
+    }
 
-    oscillator.frequency.value = 800
-    oscillator.type = 'sine'
-    
-    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime)
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5)
+    const wantsBreak = action === NOTIFICATION_ACTIONS.START_BREAK
+    if (wantsBreak === isBreak && (!isRunning || isPaused)) {
+      runTimerAction('startPause')
+    }
+  }
+
+  const handleNotificationsToggle = (enabled) => {
+    if (!enabled) {
+      setNotificationsEnabled(false)
+      return
+    }
 
-    oscillator.connect(gainNode)
-    gainNode.connect(audioContext.destination)
+    requestNotificationPermission().then(permission => {
+      setNotificationPermission(permission)
+      setNotificationsEnabled(permission === 'granted')
+    })
+  }
 
-    oscillator.start(audioContext.currentTime)
-    oscillator.stop(audioContext.currentTime + 0.5)
+  const handleSkip = () => {
+    // Flowtime の集中はスキップではなく終了として扱い、始めていなければ何もしない
+    if (isCountingUp) {
+      if (isRunning) handleTimerEnd()
+      return
+    }
+    const next = advancePhase('skipped')
+    announce(describeNextPhase(next))
   }
 
   const handleStartPause = () => {
+    if (isCountingUp) {
+      handleCountUpStartPause()
+      return
+    }
     if (!isRunning) {
+      setPhaseStartedAt(Date.now())
+      setInterruptions([])
+      setPhaseEndTime(Date.now() + timeRemaining * 1000)
       setIsRunning(true)
       setIsPaused(false)
+      announce(t('a11y.started', { phase: getPhaseName(), time: formatTime(timeRemaining) }))
     } else if (!isPaused) {
+      // 残り時間を確定させてから終了時刻を破棄
+      const remaining = getRemainingSeconds(phaseEndTime)
+      setTimeRemaining(remaining)
+      setPhaseEndTime(null)
       setIsPaused(true)
+      announce(t('a11y.paused', { time: formatTime(remaining) }))
     } else {
+      setPhaseEndTime(Date.now() + timeRemaining * 1000)
       setIsPaused(false)
+      announce(t('a11y.resumed', { time: formatTime(timeRemaining) }))
     }
   }
 
-  const handleReset = () => {
+  // Flowtime の集中の開始／一時停止（再開時は経過時間の分だけ開始時刻を戻して数え上げを続ける）
+  const handleCountUpStartPause = () => {
+    if (!isRunning) {
+      setPhaseStartedAt(Date.now())
+      setInterruptions([])
+      setElapsedSeconds(0)
+      setCountUpStart(Date.now())
+      setIsRunning(true)
+      setIsPaused(false)
+      announce(t('flowtime.a11y.started'))
+    } else if (!isPaused) {
+      const elapsed = getElapsedSeconds(countUpStart)
+      setElapsedSeconds(elapsed)
+      setCountUpStart(null)
+      setIsPaused(true)
+      announce(t('flowtime.a11y.paused', { time: formatTime(elapsed) }))
+    } else {
+      setCountUpStart(Date.now() - elapsedSeconds * 1000)
+      setIsPaused(false)
+      announce(t('flowtime.a11y.resumed', { time: formatTime(elapsedSeconds) }))
+    }
+  }
+
+  /**
+   * タイマーをリセット
+   * @param {Object|null} reason - リセットの理由として記録する中断
+   */
+  const handleReset = (reason = null) => {
+    if (isRunning) {
+      recordSession('aborted', getCurrentRemaining(), Date.now(), reason ? [reason] : [])
+    }
+    setPhaseStartedAt(null)
+    setInterruptions([])
     setIsRunning(false)
     setIsPaused(false)
     setIsBreak(false)
+    setIsLongBreak(false)
+    setPhaseEndTime(null)
+    setCountUpStart(null)
+    setElapsedSeconds(0)
+    setFlowBreakSeconds(null)
     setTimeRemaining(focusMinutes * 60)
     stopBrownNoise()
+    announce(t('a11y.reset'))
+  }
+
+  // 集中中の一時停止・リセットでは理由を尋ねる（設定でオフにできる）
+  const shouldAskReason = () => askInterruptionReason && isRunning && !isBreak
+
+  const openInterruptionPrompt = (source) => {
+    setInterruptionPrompt({ source, time: Date.now(), phaseStartedAt })
+  }
+
+  // ボタン・ショートカットからの開始／一時停止
+  // メディアキーや通知からの操作ではダイアログを出さない
+  const handleStartPauseRequest = () => {
+    const pausing = isRunning && !isPaused
+    runTimerAction('startPause')
+    if (pausing && shouldAskReason()) openInterruptionPrompt('pause')
+  }
+
+  const handleResetRequest = () => {
+    if (shouldAskReason()) {
+      openInterruptionPrompt('reset')
+    } else {
+      runTimerAction('reset')
+    }
+  }
+
+  const handleDistracted = () => {
+    if (!isRunning || isBreak || interruptionPrompt) return
+    openInterruptionPrompt('manual')
   }
 
-  const handlePresetChange = (index) => {
-    setSelectedPreset(index)
-    if (index < PRESETS.length - 1) {
-      setFocusMinutes(PRESETS[index].focus)
-      setBreakMinutes(PRESETS[index].break)
-      if (!isRunning) {
-        setTimeRemaining(PRESETS[index].focus * 60)
+  const handleInterruptionSubmit = (values) => {
+    const prompt = interruptionPrompt
+    setInterruptionPrompt(null)
+    const interruption = createInterruption({ ...values, source: prompt.source }, prompt.time)
+    if (prompt.source === 'reset') {
+      runTimerAction('reset', interruption)
+    } else {
+      runTimerAction('addInterruption', { interruption, phaseStartedAt: prompt.phaseStartedAt })
+    }
+  }
+
+  const handleInterruptionSkip = () => {
+    setInterruptionPrompt(null)
+    runTimerAction('reset')
+  }
+
+  /**
+   * プリセットの値を設定に反映
+   */
+  const applyPreset = (preset) => {
+    setFocusMinutes(preset.focus)
+    setBreakMinutes(preset.break)
+    setLongBreakMinutes(preset.longBreak)
+    setCycleLength(preset.cycle)
+    handleNoiseTypeChange(preset.noiseType)
+    handleVolumeChange(preset.volume)
+    // Flowtime の休憩は提案された長さのまま
+    if (!isRunning && !flowtimeMode) {
+      setTimeRemaining((isLongBreak ? preset.longBreak : isBreak ? preset.break : preset.focus) * 60)
+    }
+  }
+
+  /**
+   * ディープリンクのセットアップを適用
+   * 実行中は長さを変えず、ノイズと音量だけを反映する
+   * 長さをすべて指定していて、一致するプリセットがあればそれを選択状態にする
+   */
+  const applyDeepLink = (settings) => {
+    if (!isRunning) {
+      if (settings.focus) setFocusMinutes(settings.focus)
+      if (settings.break) setBreakMinutes(settings.break)
+      if (settings.longBreak) setLongBreakMinutes(settings.longBreak)
+      if (settings.cycle) setCycleLength(settings.cycle)
+      const phaseLength = isLongBreak ? settings.longBreak : isBreak ? settings.break : settings.focus
+      if (phaseLength && !flowtimeMode) setTimeRemaining(phaseLength * 60)
+
+      const lengthKeys = ['focus', 'break', 'longBreak', 'cycle']
+      if (lengthKeys.some(key => key in settings)) {
+        const match = lengthKeys.every(key => key in settings) && presets.find(preset => (
+          lengthKeys.every(key => preset[key] === settings[key])
+          && (!settings.noiseType || preset.noiseType === settings.noiseType)
+        ))
+        setActivePresetId(match ? match.id : null)
       }
     }
+    if (settings.noiseType) handleNoiseTypeChange(settings.noiseType)
+    if (settings.volume !== undefined) handleVolumeChange(settings.volume)
+  }
+
+  const handlePresetChange = (id) => {
+    const preset = presets.find(item => item.id === id)
+    if (!preset) return
+    setActivePresetId(id)
+    applyPreset(preset)
+  }
+
+  const handleCreatePreset = () => {
+    const preset = createPreset({
+      focus: focusMinutes,
+      break: breakMinutes,
+      longBreak: longBreakMinutes,
+      cycle: cycleLength,
+      noiseType,
+      volume: noiseVolume,
+    })
+    setPresets(prev => [...prev, preset])
+    setActivePresetId(preset.id)
+  }
+
+  /**
+   * プリセット一覧の変更
+   * 選択中のプリセットを編集した場合は、タイマー停止中ならその値をすぐに反映する
+   */
+  const handlePresetsChange = (next) => {
+    setPresets(next)
+
+    const active = next.find(preset => preset.id === activePresetId)
+    if (!active) {
+      setActivePresetId(null)
+    } else if (!isRunning && active !== presets.find(preset => preset.id === activePresetId)) {
+      applyPreset(active)
+    }
+    if (!next.some(preset => preset.id === defaultPresetId)) {
+      setDefaultPresetId(next[0]?.id ?? null)
+    }
   }
 
-  const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value)
+  const handleVolumeChange = (newVolume) => {
     setNoiseVolume(newVolume)
-    if (isRunning && !isPaused && !isBreak) {
-      setBrownNoiseVolume(newVolume)
+  }
+
+  const handleNoiseTypeChange = (newType) => {
+    setNoiseType(newType)
+    // 取り込んだ音声の場合、色は次にノイズへ戻したときのためにそのまま残す
+    if (isAudioFileSound(newType)) return
+    setNoiseColor(NOISE_COLOR_VALUES[newType])
+    if (isBrownNoisePlaying()) {
+      changeNoiseType(newType)
+    }
+  }
+
+  // 色のスライダーはランプで追従させ、ノイズの種類はもっとも近いものに合わせる
+  const handleNoiseColorChange = (color) => {
+    setNoiseColor(color)
+    setNoiseType(getNearestNoiseType(color))
+  }
+
+  // スリープタイマーの分数（タイマーなしは null）
+  const getSleepMinutes = (option = sleepOption) => {
+    if (option === 'off') return null
+    if (option === 'custom') return sleepCustomMinutes
+    return parseInt(option)
+  }
+
+  /**
+   * スリープタイマーを今から開始し直す
+   * フェードアウトの途中であれば音量を戻す
+   */
+  const restartSleepTimer = (minutes) => {
+    setNoiseLevel(1, crossfadeSeconds)
+    setSleepEndTime(minutes ? Date.now() + minutes * 60 * 1000 : null)
+    setSleepRemaining(minutes ? minutes * 60 : 0)
+  }
+
+  const handleNoiseOnlyToggle = () => {
+    if (noiseOnlyPlaying) {
+      setNoiseOnlyPlaying(false)
+      setSleepEndTime(null)
+      return
     }
+    restartSleepTimer(getSleepMinutes())
+    setNoiseOnlyPlaying(true)
+  }
+
+  const stopNoiseOnly = () => {
+    setNoiseOnlyPlaying(false)
+    setSleepEndTime(null)
+  }
+
+  const handleSleepOptionChange = (option) => {
+    setSleepOption(option)
+    if (noiseOnlyPlaying) runTimerAction('restartSleep', getSleepMinutes(option))
+  }
+
+  const handleSleepCustomChange = (minutes) => {
+    setSleepCustomMinutes(minutes)
+    if (noiseOnlyPlaying) runTimerAction('restartSleep', minutes)
+  }
+
+  /**
+   * モードの切り替え
+   * ノイズのみモードはポモドーロ／Flowtime の上に重ねて表示し、戻ったときは元のモードに戻る
+   * ポモドーロと Flowtime を切り替えたときは、タイマーを最初のフェーズに戻す
+   * @param {'pomodoro'|'flowtime'|'noiseOnly'} mode
+   */
+  const handleModeChange = (mode) => {
+    if (mode === 'noiseOnly') {
+      setNoiseOnlyMode(true)
+      return
+    }
+    runTimerAction('noiseOnlyStop')
+    setNoiseOnlyMode(false)
+    if ((mode === 'flowtime') !== flowtimeMode) {
+      setFlowtimeMode(mode === 'flowtime')
+      runTimerAction('reset')
+    }
+  }
+
+  /**
+   * タイマーと音を操作するアクション
+   * リーダーのタブで実行し、他のタブからの操作はリーダーに転送する
+   */
+  const timerActions = {
+    startPause: () => handleStartPause(),
+    reset: (reason) => handleReset(reason ?? null),
+    skip: () => handleSkip(),
+    noiseOnlyToggle: () => handleNoiseOnlyToggle(),
+    noiseOnlyStop: () => stopNoiseOnly(),
+    restartSleep: (minutes) => restartSleepTimer(minutes),
+    applySetup: ({ settings, autostart }) => {
+      applyDeepLink(settings)
+      if (autostart && !isRunning) {
+        setNoiseOnlyMode(false)
+        setPendingAutostart(true)
+      }
+    },
+    // 現在のフェーズを確かめるため、通知のアクションはリーダーの状態で判定する
+    notificationAction: (action) => handleNotificationAction(action),
+    // ダイアログを開いている間にフェーズが終わった場合は記録しない
+    addInterruption: ({ interruption, phaseStartedAt: startedAt }) => {
+      if (startedAt === phaseStartedAt) setInterruptions(prev => [...prev, interruption])
+    },
+  }
+
+  const runTimerAction = (action, payload) => {
+    if (isLeader) {
+      timerActions[action](payload)
+    } else {
+      postTabMessage(TAB_MESSAGES.ACTION, { action, payload })
+    }
+  }
+
+  // 他のタブに送るタイマーの状態
+  const getTimerSnapshot = () => ({
+    isRunning,
+    isPaused,
+    isBreak,
+    isLongBreak,
+    cyclePosition,
+    phaseEndTime,
+    timeRemaining,
+    phaseStartedAt,
+    interruptions,
+    countUpStart,
+    elapsedSeconds,
+    flowBreakSeconds,
+    noiseOnlyPlaying,
+    sleepEndTime,
+  })
+
+  const applyTimerSnapshot = (snapshot) => {
+    setIsRunning(snapshot.isRunning)
+    setIsPaused(snapshot.isPaused)
+    setIsBreak(snapshot.isBreak)
+    setIsLongBreak(snapshot.isLongBreak)
+    setCyclePosition(snapshot.cyclePosition)
+    setPhaseEndTime(snapshot.phaseEndTime)
+    setTimeRemaining(snapshot.timeRemaining)
+    setPhaseStartedAt(snapshot.phaseStartedAt)
+    setInterruptions(snapshot.interruptions)
+    setCountUpStart(snapshot.countUpStart)
+    setElapsedSeconds(snapshot.elapsedSeconds)
+    setFlowBreakSeconds(snapshot.flowBreakSeconds)
+    setNoiseOnlyPlaying(snapshot.noiseOnlyPlaying)
+    setSleepEndTime(snapshot.sleepEndTime)
+  }
+
+  const handleSaveSoundscape = (name) => {
+    setSoundscapes(prev => [...prev, createSoundscape(name, noiseType, mixerLayers)])
+  }
+
+  const handleLoadSoundscape = (id) => {
+    const soundscape = soundscapes.find(item => item.id === id)
+    if (!soundscape) return
+    handleNoiseTypeChange(soundscape.noiseType)
+    setMixerLayers(soundscape.layers.map(layer => ({ ...layer })))
+  }
+
+  const handleDeleteSoundscape = (id) => {
+    setSoundscapes(prev => prev.filter(item => item.id !== id))
+  }
+
+  // 取り込んだ音声ファイルの変更は IndexedDB に保存し、他のタブに読み込み直してもらう
+  const handleAudioFileImported = (file) => {
+    setAudioFiles(prev => [...(prev ?? []), file])
+    postTabMessage(TAB_MESSAGES.AUDIO_FILES_CHANGED)
+  }
+
+  const handleAudioFileChange = (id, changes) => {
+    setAudioFiles(prev => prev.map(file => (file.id === id ? { ...file, ...changes } : file)))
+    updateAudioFile(id, changes)
+      .then(() => postTabMessage(TAB_MESSAGES.AUDIO_FILES_CHANGED))
+      .catch(error => console.error('Failed to update audio file:', error))
+  }
+
+  const handleAudioFileDelete = (id) => {
+    setAudioFiles(prev => prev.filter(file => file.id !== id))
+    deleteAudioFile(id)
+      .then(() => postTabMessage(TAB_MESSAGES.AUDIO_FILES_CHANGED))
+      .catch(error => console.error('Failed to delete audio file:', error))
+  }
+
+  // ノイズの種類・環境音・取り込んだ音声の表示名
+  const getSoundLabel = (sound) => {
+    const file = audioFiles?.find(item => toAudioFileSound(item.id) === sound)
+    if (file) return file.name
+    const option = SOUND_OPTIONS.find(item => item.value === sound)
+    return option ? t(option.labelKey) : sound
   }
 
   const formatTime = (seconds) => {
@@ -176,58 +1430,380 @@ export default function App() {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
   }
 
+  const currentTask = tasks.find(task => task.id === currentTaskId && !task.done) ?? null
+  const todayCount = getCompletedCountOn(sessions, today)
+  const streak = getStreak(sessions, goalSettings, today)
+
+  // 現在のフェーズの長さ（秒）
+  // Flowtime の集中はここまでの経過時間、休憩は提案された長さ（提案前は最短の長さ）
+  const getPhaseSeconds = () => {
+    if (isCountingUp) return getCurrentElapsed()
+    if (flowtimeMode) return flowBreakSeconds ?? getSuggestedBreakSeconds(0, flowtimeSettings)
+    if (isLongBreak) return longBreakMinutes * 60
+    if (isBreak) return breakMinutes * 60
+    return focusMinutes * 60
+  }
+
   const getProgressPercentage = () => {
-    const total = isBreak ? breakMinutes * 60 : focusMinutes * 60
+    if (noiseOnlyMode) {
+      const total = (getSleepMinutes() ?? 0) * 60
+      if (!total || sleepEndTime === null) return 0
+      return ((total - sleepRemaining) / total) * 100
+    }
+    // Flowtime の集中は次のチェックインまで（チェックインなしは1時間で1周）
+    if (isCountingUp) {
+      const interval = (flowtimeSettings.checkIn ? flowtimeSettings.checkInMinutes : 60) * 60
+      return ((elapsedSeconds % interval) / interval) * 100
+    }
+    const total = getPhaseSeconds()
     return ((total - timeRemaining) / total) * 100
   }
 
-  const getStatusColor = () => {
-    if (isBreak) return '#22C55E'
-    return '#60a5fa'
+  // 表示する残り時間（ノイズのみモードでスリープタイマーなしは null。Flowtime の集中は経過時間）
+  const getDisplaySeconds = () => {
+    if (!noiseOnlyMode) return isCountingUp ? elapsedSeconds : timeRemaining
+    if (sleepEndTime !== null) return sleepRemaining
+    const minutes = getSleepMinutes()
+    return minutes ? minutes * 60 : null
+  }
+  const displaySeconds = getDisplaySeconds()
+
+  // サイクル内の何番目のポモドーロか（休憩中は直前の集中の番号）
+  const getCycleNumber = () => {
+    const number = isBreak ? cyclePosition : cyclePosition + 1
+    return Math.min(number, cycleLength)
+  }
+
+  // 色の対象となるフェーズ
+  const getColorPhase = () => {
+    if (noiseOnlyMode) return 'noiseOnly'
+    if (isLongBreak) return 'longBreak'
+    if (isBreak) return 'break'
+    return 'focus'
+  }
+
+  const theme = resolveTheme(themeSettings.mode, systemDark)
+  const phaseColor = getPhaseColor(themeSettings, theme, getColorPhase())
+
+  // ブラウザの UI の色をテーマと現在のフェーズに合わせる（フェーズ中はその色、それ以外は背景色）
+  const themeColor = isRunning || noiseOnlyPlaying ? phaseColor.color : getPageBackground(theme)
+  useEffect(() => {
+    setThemeColor(themeColor)
+  }, [themeColor])
+
+  const getPhaseName = () => {
+    if (isLongBreak) return t('phase.longBreak')
+    if (isBreak) return t('phase.break')
+    return t('phase.focus')
   }
 
+  // ミニタイマーとタブに表示する残り時間とフェーズ名
+  const displayTime = displaySeconds === null ? '∞' : formatTime(displaySeconds)
+  const displayPhase = noiseOnlyMode ? t('mode.noiseOnly') : getPhaseName()
+  const timerActive = noiseOnlyMode ? noiseOnlyPlaying : isRunning
+  const timerPaused = !noiseOnlyMode && isPaused
+
+  // タブのタイトルに残り時間とフェーズを表示（止まっているときは元のタイトル）
+  const documentTitle = titleCountdown && timerActive
+    ? t(timerPaused ? 'miniTimer.titlePaused' : 'miniTimer.title', { time: displayTime, phase: displayPhase })
+    : 'Brown Noise Timer'
+  useEffect(() => {
+    document.title = documentTitle
+    if (pipWindow) pipWindow.document.title = documentTitle
+  }, [documentTitle, pipWindow])
+
+  // ファビコンに進捗の円弧を描く
+  useEffect(() => {
+    if (!faviconProgress || !timerActive) {
+      resetFavicon()
+      return
+    }
+    drawProgressFavicon({
+      progress: getProgressPercentage() / 100,
+      color: phaseColor.color,
+      trackColor: getComputedStyle(appRef.current).getPropertyValue('--color-control').trim(),
+      paused: timerPaused,
+    })
+  })
+
+  // video の PiP は canvas を描き直して更新する
+  const drawVideoPipFrame = () => {
+    const styles = getComputedStyle(appRef.current)
+    drawPipFrame(pipCanvasRef.current, {
+      progress: getProgressPercentage() / 100,
+      time: displayTime,
+      label: timerPaused ? t('status.paused') : displayPhase,
+      color: phaseColor.color,
+      textColor: phaseColor.text,
+      background: getPageBackground(theme),
+      trackColor: styles.getPropertyValue('--color-control').trim(),
+    })
+  }
+
+  useEffect(() => {
+    if (videoPipOpen) drawVideoPipFrame()
+  })
+
+  const pipSupport = getPipSupport()
+
+  const toggleMiniTimer = async () => {
+    if (pipWindow) {
+      pipWindow.close()
+      return
+    }
+    if (videoPipOpen) {
+      closeVideoPip()
+      return
+    }
+    try {
+      if (pipSupport === 'document') {
+        const win = await openDocumentPip({ width: 260, height: 320 })
+        win.addEventListener('pagehide', () => setPipWindow(null), { once: true })
+        setPipWindow(win)
+      } else {
+        drawVideoPipFrame()
+        await openVideoPip(pipCanvasRef.current, () => setVideoPipOpen(false))
+        setVideoPipOpen(true)
+      }
+    } catch (error) {
+      console.error('Failed to open mini timer:', error)
+    }
+  }
+
+  // メインのウィンドウを閉じたらミニタイマーも閉じる
+  useEffect(() => {
+    if (!pipWindow) return
+    const close = () => pipWindow.close()
+    window.addEventListener('pagehide', close)
+    return () => window.removeEventListener('pagehide', close)
+  }, [pipWindow])
+
   const getStatusText = () => {
-    if (!isRunning) return 'アイドル'
-    if (isPaused) return '一時停止中'
-    if (isBreak) return '休憩中'
+    if (!isRunning) return t('status.idle')
+    if (isPaused) return t('status.paused')
+    if (isLongBreak) return t('status.longBreak')
+    if (isBreak) return t('status.break')
     return ''
   }
 
+  // 通知のアクションを受け取る
+  // キーボードショートカットと同様に、最新のハンドラを毎レンダリングで登録し直す
+  useEffect(() => subscribeToNotificationActions(handleNotificationAction))
+
+  // 通知から新しく開かれた場合のアクション
+  useEffect(() => {
+    const action = consumeLaunchAction()
+    if (action) setPendingLaunchAction(action)
+  }, [])
+
+  // メディアセッション（ロック画面・ヘッドセットのコントロール）
+  useEffect(() => {
+    setMediaSessionActive(isLeader && isRunning && !isPaused)
+  }, [isLeader, isRunning, isPaused])
+
+  // Flowtime の集中は長さが決まっていないため、再生位置を送らない
+  useEffect(() => {
+    updateMediaMetadata({
+      title: isCountingUp
+        ? t('flowtime.mediaTitle', { phase: getPhaseName(), time: formatTime(elapsedSeconds) })
+        : t('media.title', { phase: getPhaseName(), time: formatTime(timeRemaining) }),
+      artist: getSoundLabel(noiseType),
+      album: 'Brown Noise Timer',
+    })
+    if (!isCountingUp) updateMediaPosition(getPhaseSeconds(), getPhaseSeconds() - timeRemaining)
+  }, [isBreak, isLongBreak, isCountingUp, timeRemaining, elapsedSeconds, flowBreakSeconds, noiseType, audioFiles, focusMinutes, breakMinutes, longBreakMinutes, locale])
+
+  // 残り時間の読み上げ（フェーズの開始直後は読み上げない）
+  useEffect(() => {
+    if (!isRunning || isPaused || timeRemaining <= 0 || timeRemaining % 60 !== 0) return
+    const minutes = timeRemaining / 60
+    if (timeRemaining < getPhaseSeconds() && announceMilestones.includes(minutes)) {
+      announce(t('a11y.minutesLeft', { count: minutes }))
+    }
+  }, [timeRemaining])
+
+  // 途中の合図（半分経過・残り1分）
+  // tick が間引かれても鳴らせるよう、前回から今回の間に境目を越えたかで判定する
+  // バックグラウンドから戻って大きく進んだ場合は、過ぎた合図を鳴らさない
+  // 音を鳴らすのはリーダーのタブだけ
+  useEffect(() => {
+    const previous = previousRemainingRef.current
+    previousRemainingRef.current = timeRemaining
+    if (!isLeader || !isRunning || isPaused || previous === null || previous - timeRemaining > 5) return
+
+    const crossed = (threshold) => previous > threshold && timeRemaining <= threshold && timeRemaining > 0
+    const total = getPhaseSeconds()
+    if (alertSettings.halfwayCue && crossed(Math.floor(total / 2))) {
+      playAlertSound(CUE_SOUNDS.halfway, alertSettings.volume)
+    }
+    if (alertSettings.oneMinuteCue && total > 120 && crossed(60)) {
+      playAlertSound(CUE_SOUNDS.oneMinute, alertSettings.volume)
+    }
+  }, [timeRemaining])
+
+  // Flowtime のチェックイン（集中の経過を N 分ごとに控えめなチャイムで知らせる）
+  // 途中の合図と同じく、前回から今回の間に境目を越えたかで判定する
+  useEffect(() => {
+    const previous = previousElapsedRef.current
+    previousElapsedRef.current = elapsedSeconds
+    if (!isLeader || countUpStart === null || !flowtimeSettings.checkIn) return
+    if (previous === null || elapsedSeconds - previous > 5) return
+
+    const interval = flowtimeSettings.checkInMinutes * 60
+    if (Math.floor(elapsedSeconds / interval) > Math.floor(previous / interval)) {
+      playAlertSound(CUE_SOUNDS.checkIn, alertSettings.volume)
+      announce(t('flowtime.a11y.checkIn', { duration: formatters.duration(Math.round(elapsedSeconds / 60)) }))
+    }
+  }, [elapsedSeconds])
+
+  // 次のトラック = 次のフェーズへスキップ
+  // 操作を受け付けるのはリーダーのタブだけ
+  useEffect(() => {
+    if (!isLeader) return
+    return setMediaActionHandlers({
+      play: () => {
+        if (!isRunning || isPaused) handleStartPause()
+      },
+      pause: () => {
+        if (isRunning && !isPaused) handleStartPause()
+      },
+      stop: handleReset,
+      nexttrack: handleSkip,
+    })
+  })
+
   // キーボードショートカット
+  // ハンドラが多くの状態を参照するため、毎レンダリングで最新のものを登録し直す
   useEffect(() => {
     const handleKeyPress = (e) => {
-      if (e.code === 'Space') {
-        e.preventDefault()
-        handleStartPause()
-      } else if (e.code === 'KeyR') {
-        e.preventDefault()
-        handleReset()
+      // ダイアログを開いている間と、入力欄での入力中はショートカットを無効にする
+      if (interruptionPrompt || showShortcutHelp || shouldIgnoreKeyEvent(e)) return
+
+      const action = getShortcutAction(shortcuts, e)
+      if (!action) return
+      e.preventDefault()
+
+      if (action === 'help') {
+        setShowShortcutHelp(true)
+      } else if (action === 'startPause') {
+        if (noiseOnlyMode) {
+          runTimerAction('noiseOnlyToggle')
+        } else {
+          handleStartPauseRequest()
+        }
+      } else if (action === 'reset') {
+        if (noiseOnlyMode) {
+          if (noiseOnlyPlaying) runTimerAction('noiseOnlyToggle')
+        } else {
+          handleResetRequest()
+        }
+      } else if (action === 'skip') {
+        if (!noiseOnlyMode) runTimerAction('skip')
+      } else if (action === 'distracted') {
+        if (!noiseOnlyMode) handleDistracted()
       }
     }
 
     window.addEventListener('keydown', handleKeyPress)
     return () => window.removeEventListener('keydown', handleKeyPress)
-  }, [isRunning, isPaused])
+  })
+
+  const phaseStyle = {
+    '--color-phase': phaseColor.color,
+    '--color-phase-text': phaseColor.text,
+    '--color-phase-glow': phaseColor.glow,
+  }
+  const getRingLabel = () => {
+    if (displaySeconds === null) return t('noiseOnly.noTimer')
+    if (!noiseOnlyMode && isCountingUp) return t('flowtime.elapsed', { time: formatTime(displaySeconds) })
+    return t('timer.remaining', { time: formatTime(displaySeconds) })
+  }
+  const ringLabel = getRingLabel()
+  // Flowtime の集中で表示するボタン名（スキップではなく集中の終了）
+  const skipLabel = isCountingUp ? t('flowtime.finish') : t('controls.skip')
+  const skipAriaLabel = isCountingUp ? t('flowtime.finishLabel') : t('controls.skipLabel')
 
   return (
-    <div className={`app ${darkMode ? 'dark' : 'light'}`}>
+    <div
+      ref={appRef}
+      className={`app ${getThemeClass(theme)}`}
+      style={phaseStyle}
+    >
       <div className="container">
         {/* ヘッダー */}
         <div className="header">
           <h1>Brown Noise Timer</h1>
-          <button
-            className="theme-toggle"
-            onClick={() => setDarkMode(!darkMode)}
-            aria-label={`${darkMode ? 'ライト' : 'ダーク'}モードに切り替え`}
-          >
-            {darkMode ? '☀️' : '🌙'}
-          </button>
+          <div className="header-actions">
+            <button
+              className="theme-toggle"
+              onClick={() => setActivePanel(activePanel === 'tasks' ? null : 'tasks')}
+              aria-label={t('header.openTasks')}
+              aria-expanded={activePanel === 'tasks'}
+            >
+              📝
+            </button>
+            <button
+              className="theme-toggle"
+              onClick={() => setActivePanel(activePanel === 'stats' ? null : 'stats')}
+              aria-label={t('header.openStats')}
+              aria-expanded={activePanel === 'stats'}
+            >
+              📊
+            </button>
+            {pipSupport && (
+              <button
+                className="theme-toggle"
+                onClick={toggleMiniTimer}
+                aria-label={t(pipWindow || videoPipOpen ? 'miniTimer.close' : 'miniTimer.open')}
+                aria-pressed={Boolean(pipWindow || videoPipOpen)}
+              >
+                🪟
+              </button>
+            )}
+            <button
+              className="theme-toggle"
+              onClick={() => setShowShortcutHelp(true)}
+              aria-label={t('shortcuts.title')}
+              aria-keyshortcuts="?"
+            >
+              ⌨️
+            </button>
+            <button
+              className="theme-toggle"
+              onClick={() => setThemeSettings(prev => ({ ...prev, mode: theme === 'light' ? 'dark' : 'light' }))}
+              aria-label={t(theme === 'light' ? 'header.switchToDark' : 'header.switchToLight')}
+            >
+              {theme === 'light' ? '🌙' : '☀️'}
+            </button>
+          </div>
         </div>
 
+        {/* スクリーンリーダー向けの読み上げ */}
+        <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </div>
+
+        {/* 更新バナー */}
+        {updateAvailable && (
+          <div className="update-banner" role="status">
+            <span>{t('update.available')}</span>
+            <button className="update-banner-btn" onClick={applyUpdate}>
+              {t('update.reload')}
+            </button>
+            <button
+              className="update-banner-close"
+              onClick={() => setUpdateAvailable(false)}
+              aria-label={t('update.later')}
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
         {/* ステータスバー */}
-        {(isRunning || isPaused) && (
-          <div className="status-bar" style={{ backgroundColor: getStatusColor() }}>
-            {isRunning && !isPaused && (
+        {(isRunning || isPaused || noiseOnlyPlaying) && (
+          <div className="status-bar">
+            {((isRunning && !isPaused) || noiseOnlyPlaying) && (
               <div className="status-pulse"></div>
             )}
           </div>
@@ -235,121 +1811,269 @@ export default function App() {
 
         {/* メインタイマー表示 */}
         <div className="timer-display">
-          <div className="timer-circle" style={{ borderColor: getStatusColor() }}>
-            <svg className="progress-ring" viewBox="0 0 100 100" role="img" aria-label={`残り時間: ${formatTime(timeRemaining)}`}>
-              <circle
-                cx="50"
-                cy="50"
-                r="45"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                className="progress-bg"
-              />
-              <circle
-                cx="50"
-                cy="50"
-                r="45"
-                fill="none"
-                stroke={getStatusColor()}
-                strokeWidth="2"
-                strokeDasharray={`${2 * Math.PI * 45}`}
-                strokeDashoffset={`${2 * Math.PI * 45 * (1 - getProgressPercentage() / 100)}`}
-                strokeLinecap="round"
-                className="progress-fill"
-              />
-            </svg>
-            <div className="timer-text">{formatTime(timeRemaining)}</div>
+          <div className="timer-circle">
+            <ProgressRing progress={getProgressPercentage()} label={ringLabel} />
+            <div className="timer-text">{displayTime}</div>
           </div>
+          {/* Flowtime の集中中は、今終えた場合の休憩の長さを示す */}
+          {!noiseOnlyMode && isCountingUp && (
+            <p className="flowtime-suggestion">
+              {t('flowtime.suggestedBreak', {
+                duration: formatters.duration(getSuggestedBreakSeconds(elapsedSeconds, flowtimeSettings) / 60),
+              })}
+            </p>
+          )}
         </div>
 
-        {/* ポモドーロカウント */}
-        <div className="pomodoro-count">
-          本日: <span className="count-value">{pomodoroCount}</span> ポモドーロ完了
+        {/* ミニタイマー（Document PiP のウィンドウに描画。video の PiP はこの canvas を流す） */}
+        {pipWindow && createPortal(
+          <MiniTimer
+            className={`app ${getThemeClass(theme)}`}
+            style={phaseStyle}
+            progress={getProgressPercentage()}
+            time={displayTime}
+            label={timerPaused ? t('status.paused') : displayPhase}
+            ringLabel={ringLabel}
+            startPauseLabel={noiseOnlyMode
+              ? t(noiseOnlyPlaying ? 'noiseOnly.stop' : 'noiseOnly.play')
+              : t(!isRunning ? 'controls.start' : isPaused ? 'controls.resume' : 'controls.pause')}
+            onStartPause={() => runTimerAction(noiseOnlyMode ? 'noiseOnlyToggle' : 'startPause')}
+            onSkip={noiseOnlyMode || (isCountingUp && !isRunning) ? null : () => runTimerAction('skip')}
+            skipLabel={skipLabel}
+            skipAriaLabel={skipAriaLabel}
+          />,
+          pipWindow.document.body
+        )}
+        {pipSupport === 'video' && (
+          <canvas ref={pipCanvasRef} className="mini-timer-canvas" width="320" height="320" aria-hidden="true" />
+        )}
+
+        {/* 現在のタスク */}
+        {!noiseOnlyMode && (
+        <button
+          className="current-task"
+          onClick={() => setActivePanel('tasks')}
+          aria-label={currentTask ? t('currentTask.label', { title: currentTask.title }) : t('currentTask.select')}
+        >
+          {currentTask
+            ? t('currentTask.progress', { title: currentTask.title, done: currentTask.completedPomodoros, estimate: currentTask.estimate })
+            : t('currentTask.selectButton')}
+        </button>
+        )}
+
+        {/* サイクル表示（Flowtime にはサイクルがない） */}
+        {!noiseOnlyMode && !flowtimeMode && (
+        <div className="cycle-indicator" aria-label={t('cycle.label', { current: getCycleNumber(), total: cycleLength })}>
+          <div className="cycle-dots" aria-hidden="true">
+            {Array.from({ length: cycleLength }, (_, idx) => (
+              <span key={idx} className={`cycle-dot ${idx < cyclePosition ? 'done' : ''}`} />
+            ))}
+          </div>
+          <span className="cycle-text">{getCycleNumber()}/{cycleLength}</span>
         </div>
+        )}
+
+        {/* ポモドーロカウントと1日の目標 */}
+        <DailyGoal count={todayCount} goal={goalSettings.dailyGoal} streak={streak} />
 
         {/* コントロールボタン */}
+        {noiseOnlyMode ? (
+          <>
+            <div className="controls">
+              <button
+                className="btn btn-primary"
+                onClick={() => runTimerAction('noiseOnlyToggle')}
+                aria-pressed={noiseOnlyPlaying}
+              >
+                {t(noiseOnlyPlaying ? 'noiseOnly.stop' : 'noiseOnly.play')}
+              </button>
+            </div>
+            <div className="sleep-timer">
+              <label htmlFor="sleep-select">{t('noiseOnly.sleepTimer')}</label>
+              <select
+                id="sleep-select"
+                value={sleepOption}
+                onChange={(e) => handleSleepOptionChange(e.target.value)}
+                className="input-select"
+              >
+                {SLEEP_TIMER_OPTIONS.map(option => (
+                  <option key={option} value={option}>
+                    {option === 'off' || option === 'custom'
+                      ? t(`noiseOnly.options.${option}`)
+                      : formatters.duration(parseInt(option))}
+                  </option>
+                ))}
+              </select>
+              {sleepOption === 'custom' && (
+                <input
+                  type="number"
+                  min="1"
+                  max="600"
+                  value={sleepCustomMinutes}
+                  onChange={(e) => handleSleepCustomChange(Math.max(1, parseInt(e.target.value) || 1))}
+                  className="input-number"
+                  aria-label={t('noiseOnly.customMinutes')}
+                />
+              )}
+            </div>
+          </>
+        ) : (
         <div className="controls">
           <button
             className="btn btn-primary"
-            onClick={handleStartPause}
-            aria-label={isRunning && !isPaused ? '一時停止' : '開始'}
+            onClick={handleStartPauseRequest}
+            aria-label={t(isRunning && !isPaused ? 'controls.pause' : 'controls.start')}
+          >
+            {t(!isRunning ? 'controls.start' : isPaused ? 'controls.resume' : 'controls.pause')}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={handleResetRequest}
+            aria-label={t('controls.reset')}
           >
-            {!isRunning ? '開始' : isPaused ? '再開' : '一時停止'}
+            {t('controls.reset')}
           </button>
           <button
             className="btn btn-secondary"
-            onClick={handleReset}
-            aria-label="リセット"
+            onClick={() => runTimerAction('skip')}
+            aria-label={skipAriaLabel}
+            disabled={isCountingUp && !isRunning}
           >
-            リセット
+            {skipLabel}
           </button>
         </div>
+        )}
 
-        {/* ノイズ音量コントロール */}
-        {!isBreak && (
-          <div className="noise-control">
-            <label htmlFor="volume-slider">ブラウンノイズ音量</label>
-            <input
-              id="volume-slider"
-              type="range"
-              min="0"
-              max="1"
-              step="0.1"
-              value={noiseVolume}
-              onChange={handleVolumeChange}
-              className="volume-slider"
-              aria-label="音量"
-            />
-            <div className="volume-value">{Math.round(noiseVolume * 100)}%</div>
-          </div>
+        {/* 中断の記録 */}
+        {!noiseOnlyMode && isRunning && !isBreak && (
+          <button
+            className="distracted-btn"
+            onClick={handleDistracted}
+            aria-keyshortcuts={getKeyLabel(shortcuts.distracted)}
+          >
+            {t('interruptions.button')}
+            {interruptions.length > 0 && (
+              <span className="distracted-count">
+                {t('interruptions.count', { count: interruptions.length })}
+              </span>
+            )}
+          </button>
         )}
 
+        {/* モード切り替え */}
+        <div className="mode-switch" role="group" aria-label={t('mode.label')}>
+          <button
+            className={`mode-switch-btn ${!noiseOnlyMode && !flowtimeMode ? 'active' : ''}`}
+            onClick={() => handleModeChange('pomodoro')}
+            aria-pressed={!noiseOnlyMode && !flowtimeMode}
+            disabled={isRunning && flowtimeMode}
+          >
+            {t('mode.pomodoro')}
+          </button>
+          <button
+            className={`mode-switch-btn ${!noiseOnlyMode && flowtimeMode ? 'active' : ''}`}
+            onClick={() => handleModeChange('flowtime')}
+            aria-pressed={!noiseOnlyMode && flowtimeMode}
+            disabled={isRunning && !flowtimeMode}
+          >
+            {t('mode.flowtime')}
+          </button>
+          <button
+            className={`mode-switch-btn ${noiseOnlyMode ? 'active' : ''}`}
+            onClick={() => handleModeChange('noiseOnly')}
+            aria-pressed={noiseOnlyMode}
+            disabled={isRunning}
+          >
+            {t('mode.noiseOnly')}
+          </button>
+        </div>
+
         {/* 設定ボタン */}
         <button
           className="settings-btn"
-          onClick={() => setShowSettings(!showSettings)}
-          aria-label="設定を開く"
-          aria-expanded={showSettings}
+          onClick={() => setActivePanel(activePanel === 'settings' ? null : 'settings')}
+          aria-label={t('settings.open')}
+          aria-expanded={activePanel === 'settings'}
         >
           ⚙️
         </button>
 
         {/* 設定パネル */}
-        {showSettings && (
-          <div className="settings-panel" role="dialog" aria-label="設定">
+        {activePanel === 'settings' && (
+          <div className="settings-panel" role="dialog" aria-label={t('settings.title')}>
             <div className="settings-header">
-              <h2>設定</h2>
+              <h2>{t('settings.title')}</h2>
               <button
                 className="close-btn"
-                onClick={() => setShowSettings(false)}
-                aria-label="設定を閉じる"
+                onClick={() => setActivePanel(null)}
+                aria-label={t('settings.close')}
               >
                 ✕
               </button>
             </div>
 
             <div className="settings-content">
-              {/* プリセット */}
+              {/* 言語 */}
               <div className="setting-item">
-                <label>プリセット</label>
-                <div className="preset-buttons">
-                  {PRESETS.map((preset, idx) => (
-                    <button
-                      key={idx}
-                      className={`preset-btn ${selectedPreset === idx ? 'active' : ''}`}
-                      onClick={() => handlePresetChange(idx)}
-                      disabled={isRunning}
-                    >
-                      {preset.name}
-                    </button>
+                <label htmlFor="locale-select">{t('settings.language')}</label>
+                <select
+                  id="locale-select"
+                  value={locale}
+                  onChange={(e) => setLocale(e.target.value)}
+                  className="input-select"
+                >
+                  {LOCALES.map(option => (
+                    <option key={option.value} value={option.value} lang={option.value}>{option.label}</option>
                   ))}
-                </div>
+                </select>
+              </div>
+
+              {/* テーマ */}
+              <div className="setting-item">
+                <label htmlFor="theme-mode-select">{t('settings.theme')}</label>
+                <ThemeSettings settings={themeSettings} onChange={setThemeSettings} />
+              </div>
+
+              {/* タブとミニタイマーの表示 */}
+              <div className="setting-item">
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={titleCountdown}
+                    onChange={(e) => setTitleCountdown(e.target.checked)}
+                  />
+                  {t('settings.titleCountdown')}
+                </label>
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={faviconProgress}
+                    onChange={(e) => setFaviconProgress(e.target.checked)}
+                  />
+                  {t('settings.faviconProgress')}
+                </label>
+                {pipSupport && <p className="setting-note">{t('miniTimer.note')}</p>}
+              </div>
+
+              {/* プリセット */}
+              <div className="setting-item">
+                <label>{t('settings.presets')}</label>
+                <PresetManager
+                  presets={presets}
+                  audioFiles={audioFiles ?? []}
+                  activePresetId={activePresetId}
+                  defaultPresetId={defaultPresetId}
+                  disabled={isRunning}
+                  onSelect={handlePresetChange}
+                  onCreate={handleCreatePreset}
+                  onPresetsChange={handlePresetsChange}
+                  onDefaultChange={setDefaultPresetId}
+                />
               </div>
 
               {/* 集中時間 */}
               <div className="setting-item">
-                <label htmlFor="focus-input">集中時間（分）</label>
+                <label htmlFor="focus-input">{t('settings.focusMinutes')}</label>
                 <input
                   id="focus-input"
                   type="number"
@@ -359,6 +2083,7 @@ export default function App() {
                   onChange={(e) => {
                     const val = parseInt(e.target.value) || 25
                     setFocusMinutes(val)
+                    setActivePresetId(null)
                     if (!isRunning && !isBreak) {
                       setTimeRemaining(val * 60)
                     }
@@ -370,7 +2095,7 @@ export default function App() {
 
               {/* 休憩時間 */}
               <div className="setting-item">
-                <label htmlFor="break-input">休憩時間（分）</label>
+                <label htmlFor="break-input">{t('settings.breakMinutes')}</label>
                 <input
                   id="break-input"
                   type="number"
@@ -380,7 +2105,8 @@ export default function App() {
                   onChange={(e) => {
                     const val = parseInt(e.target.value) || 5
                     setBreakMinutes(val)
-                    if (!isRunning && isBreak) {
+                    setActivePresetId(null)
+                    if (!isRunning && isBreak && !isLongBreak) {
                       setTimeRemaining(val * 60)
                     }
                   }}
@@ -389,37 +2115,354 @@ export default function App() {
                 />
               </div>
 
-              {/* ノイズタイプ */}
+              {/* 長い休憩 */}
               <div className="setting-item">
-                <label htmlFor="noise-type">ノイズタイプ</label>
-                <select
-                  id="noise-type"
-                  value={noiseType}
+                <label htmlFor="long-break-input">{t('settings.longBreakMinutes')}</label>
+                <input
+                  id="long-break-input"
+                  type="number"
+                  min="1"
+                  max="60"
+                  value={longBreakMinutes}
                   onChange={(e) => {
-                    const newType = e.target.value
-                    setNoiseType(newType)
-                    if (isRunning && !isPaused && !isBreak) {
-                      changeNoiseType(newType)
+                    const val = parseInt(e.target.value) || 15
+                    setLongBreakMinutes(val)
+                    setActivePresetId(null)
+                    if (!isRunning && isLongBreak) {
+                      setTimeRemaining(val * 60)
                     }
                   }}
+                  disabled={isRunning}
+                  className="input-number"
+                />
+              </div>
+
+              {/* サイクル */}
+              <div className="setting-item">
+                <label htmlFor="cycle-input">{t('settings.cycleLength')}</label>
+                <input
+                  id="cycle-input"
+                  type="number"
+                  min="1"
+                  max="12"
+                  value={cycleLength}
+                  onChange={(e) => {
+                    setCycleLength(parseInt(e.target.value) || 4)
+                    setActivePresetId(null)
+                  }}
+                  disabled={isRunning}
+                  className="input-number"
+                />
+              </div>
+
+              {/* 自動開始 */}
+              <div className="setting-item">
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={autoStartBreaks}
+                    onChange={(e) => setAutoStartBreaks(e.target.checked)}
+                  />
+                  {t('settings.autoStartBreaks')}
+                </label>
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={autoStartFocus}
+                    onChange={(e) => setAutoStartFocus(e.target.checked)}
+                  />
+                  {t('settings.autoStartFocus')}
+                </label>
+              </div>
+
+              {/* Flowtime */}
+              <div className="setting-item">
+                <label>{t('settings.flowtime')}</label>
+                <FlowtimeSettings settings={flowtimeSettings} onChange={setFlowtimeSettings} />
+              </div>
+
+              {/* 1日の目標 */}
+              <div className="setting-item">
+                <label>{t('settings.goals')}</label>
+                <GoalSettings settings={goalSettings} onChange={setGoalSettings} />
+              </div>
+
+              {/* 中断の理由 */}
+              <div className="setting-item">
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={askInterruptionReason}
+                    onChange={(e) => setAskInterruptionReason(e.target.checked)}
+                  />
+                  {t('settings.askInterruptionReason')}
+                </label>
+              </div>
+
+              {/* 通知 */}
+              <div className="setting-item">
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={notificationsEnabled}
+                    onChange={(e) => handleNotificationsToggle(e.target.checked)}
+                    disabled={notificationPermission === 'unsupported'}
+                  />
+                  {t('settings.notifications')}
+                </label>
+                {notificationPermission === 'denied' && (
+                  <p className="setting-note">{t('settings.notificationsDenied')}</p>
+                )}
+                {notificationPermission === 'unsupported' && (
+                  <p className="setting-note">{t('settings.notificationsUnsupported')}</p>
+                )}
+              </div>
+
+              {/* アラート音 */}
+              <div className="setting-item">
+                <label>{t('settings.alertSounds')}</label>
+                <AlertSoundSettings settings={alertSettings} onChange={setAlertSettings} />
+              </div>
+
+              {/* 振動 */}
+              <div className="setting-item">
+                <label htmlFor="vibration-select">{t('settings.vibration')}</label>
+                <select
+                  id="vibration-select"
+                  value={vibrationPattern}
+                  onChange={(e) => {
+                    setVibrationPattern(e.target.value)
+                    vibrate(VIBRATION_PATTERNS[e.target.value])
+                  }}
                   className="input-select"
                 >
-                  <option value="brown">ブラウンノイズ</option>
-                  <option value="white">ホワイトノイズ</option>
-                  <option value="pink">ピンクノイズ</option>
+                  {VIBRATION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                  ))}
                 </select>
               </div>
+
+              {/* フェード */}
+              <div className="setting-item">
+                <label>{t('settings.fade')}</label>
+                <div className="setting-row">
+                  <label className="setting-row-item">
+                    {t('settings.fadeIn')}
+                    <input
+                      type="number"
+                      min="0"
+                      max="30"
+                      step="0.5"
+                      value={fadeInSeconds}
+                      onChange={(e) => setFadeInSeconds(Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="input-number"
+                    />
+                  </label>
+                  <label className="setting-row-item">
+                    {t('settings.fadeOut')}
+                    <input
+                      type="number"
+                      min="0"
+                      max="30"
+                      step="0.5"
+                      value={fadeOutSeconds}
+                      onChange={(e) => setFadeOutSeconds(Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="input-number"
+                    />
+                  </label>
+                  <label className="setting-row-item">
+                    {t('settings.crossfade')}
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      step="0.5"
+                      value={crossfadeSeconds}
+                      onChange={(e) => setCrossfadeSeconds(Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="input-number"
+                    />
+                  </label>
+                </div>
+              </div>
+
+              {/* 休憩中のノイズ */}
+              <div className="setting-item">
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={breakNoise}
+                    onChange={(e) => setBreakNoise(e.target.checked)}
+                  />
+                  {t('settings.breakNoise')}
+                </label>
+                {breakNoise && (
+                  <div className="noise-tuning-row">
+                    <label htmlFor="break-noise-level">{t('settings.breakNoiseLevel')}</label>
+                    <input
+                      id="break-noise-level"
+                      type="range"
+                      min="0.1"
+                      max="1"
+                      step="0.05"
+                      value={breakNoiseLevel}
+                      onChange={(e) => setBreakNoiseLevel(parseFloat(e.target.value))}
+                      className="volume-slider"
+                    />
+                    <span className="volume-value">{Math.round(breakNoiseLevel * 100)}%</span>
+                  </div>
+                )}
+              </div>
+
+              {/* スリープタイマーのフェードアウト */}
+              <div className="setting-item">
+                <label htmlFor="sleep-fade-input">{t('settings.sleepFade')}</label>
+                <input
+                  id="sleep-fade-input"
+                  type="number"
+                  min="0"
+                  max="60"
+                  value={sleepFadeMinutes}
+                  onChange={(e) => setSleepFadeMinutes(Math.max(0, parseFloat(e.target.value) || 0))}
+                  className="input-number"
+                />
+              </div>
+
+              {/* 取り込んだ音声ファイル */}
+              <div className="setting-item">
+                <label>{t('audioFiles.title')}</label>
+                <AudioFileManager
+                  files={audioFiles ?? []}
+                  selectedSound={noiseType}
+                  onSelect={handleNoiseTypeChange}
+                  onImported={handleAudioFileImported}
+                  onChange={handleAudioFileChange}
+                  onDelete={handleAudioFileDelete}
+                />
+              </div>
+
+              {/* サウンドスケープミキサー */}
+              <div className="setting-item">
+                <label>{t('settings.soundscape')}</label>
+                <SoundscapeMixer
+                  layers={mixerLayers}
+                  onLayersChange={setMixerLayers}
+                  noiseType={noiseType}
+                  onNoiseTypeChange={handleNoiseTypeChange}
+                  audioFiles={audioFiles ?? []}
+                  volume={noiseVolume}
+                  onVolumeChange={handleVolumeChange}
+                  soundscapes={soundscapes}
+                  onSaveSoundscape={handleSaveSoundscape}
+                  onLoadSoundscape={handleLoadSoundscape}
+                  onDeleteSoundscape={handleDeleteSoundscape}
+                />
+              </div>
+
+              {/* 音色とトーン */}
+              <div className="setting-item">
+                <label>{t('settings.tuning')}</label>
+                <NoiseTuning
+                  color={noiseColor}
+                  onColorChange={handleNoiseColorChange}
+                  lowCut={lowCutHz}
+                  highCut={highCutHz}
+                  onFiltersChange={({ lowCut, highCut }) => {
+                    setLowCutHz(lowCut)
+                    setHighCutHz(highCut)
+                  }}
+                  tone={toneLayer}
+                  onToneChange={setToneLayerConfig}
+                />
+              </div>
+
+              {/* 残り時間の読み上げ */}
+              <div className="setting-item">
+                <label>{t('settings.milestones')}</label>
+                <div className="milestone-options">
+                  {MILESTONE_OPTIONS.map(minutes => (
+                    <label key={minutes} className="setting-toggle">
+                      <input
+                        type="checkbox"
+                        checked={announceMilestones.includes(minutes)}
+                        onChange={(e) => setAnnounceMilestones(prev => (
+                          e.target.checked ? [...prev, minutes] : prev.filter(value => value !== minutes)
+                        ))}
+                      />
+                      {formatters.duration(minutes)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* キーボードショートカット */}
+              <div className="setting-item">
+                <label>{t('shortcuts.title')}</label>
+                <ShortcutSettings shortcuts={shortcuts} onChange={setShortcuts} />
+              </div>
+
+              {/* このセットアップへのリンク */}
+              <div className="setting-item">
+                <label>{t('settings.setupLink')}</label>
+                <SetupLink
+                  setup={{
+                    focus: focusMinutes,
+                    break: breakMinutes,
+                    longBreak: longBreakMinutes,
+                    cycle: cycleLength,
+                    noiseType,
+                    volume: noiseVolume,
+                  }}
+                />
+              </div>
+
+              {/* データのエクスポート・インポート */}
+              <div className="setting-item">
+                <label>{t('settings.data')}</label>
+                <DataManager sessions={sessions} />
+              </div>
             </div>
           </div>
         )}
 
-        {/* アラート */}
-        {showAlert && (
-          <div className="alert-overlay">
+        {/* 統計 */}
+        {activePanel === 'stats' && (
+          <StatsView sessions={sessions} goalSettings={goalSettings} onClose={() => setActivePanel(null)} />
+        )}
+
+        {/* タスク */}
+        {activePanel === 'tasks' && (
+          <TaskList
+            tasks={tasks}
+            currentTaskId={currentTaskId}
+            onTasksChange={setTasks}
+            onSelectTask={setCurrentTaskId}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+
+        {/* 中断の記録ダイアログ */}
+        {interruptionPrompt && (
+          <InterruptionDialog
+            source={interruptionPrompt.source}
+            onSubmit={handleInterruptionSubmit}
+            onSkip={interruptionPrompt.source === 'reset' ? handleInterruptionSkip : null}
+            onCancel={() => setInterruptionPrompt(null)}
+          />
+        )}
+
+        {/* ショートカット一覧 */}
+        {showShortcutHelp && (
+          <ShortcutHelp shortcuts={shortcuts} onClose={() => setShowShortcutHelp(false)} />
+        )}
+
+        {/* アラート（読み上げはライブリージョンで行う） */}
+        {showAlert && newBadges && <BadgeCelebration badges={newBadges} />}
+        {showAlert && !newBadges && (
+          <div className="alert-overlay" aria-hidden="true">
             <div className="alert-content">
               <div className="alert-emoji">🎉</div>
               <div className="alert-text">
-                {isBreak ? '休憩終了！' : '集中完了！'}
+                {t(isBreak ? 'alert.breakDone' : 'alert.focusDone')}
               </div>
             </div>
           </div>
@@ -0,0 +1,159 @@
+/**
+ * アラート音
+ * フェーズ終了のチャイムと、途中の合図（半分経過のティック・残り1分のチャイム）を合成して鳴らします
+ * ノイズと同じ AudioContext を使い、アラートのたびにコンテキストを作らないようにしています
+ * （作り直すとコンテキストが溜まり、iOS ではバックグラウンドで鳴らないことが多いため）
+ * アラートの音量はノイズの音量・フェードとは独立したゲインで調整します
+ */
+
+import { initAudioContext } from './brownNoise';
+
+const STORAGE_KEY = 'alertSounds';
+
+// 選べるチャイム。none は音を鳴らさない
+export const ALERT_SOUND_OPTIONS = [
+  { value: 'bell', labelKey: 'alertSounds.sounds.bell' },
+  { value: 'doubleBeep', labelKey: 'alertSounds.sounds.doubleBeep' },
+  { value: 'rising', labelKey: 'alertSounds.sounds.rising' },
+  { value: 'falling', labelKey: 'alertSounds.sounds.falling' },
+  { value: 'arpeggio', labelKey: 'alertSounds.sounds.arpeggio' },
+  { value: 'woodblock', labelKey: 'alertSounds.sounds.woodblock' },
+  { value: 'blip', labelKey: 'alertSounds.sounds.blip' },
+  { value: 'none', labelKey: 'alertSounds.sounds.none' },
+];
+
+/**
+ * 音の定義
+ * 各音は { at: 開始までの秒数, freq, to?: 終了時の周波数, duration, type?, gain? } の並び
+ * 音量は短いアタックの後に指数的に減衰させる
+ */
+const SOUNDS = {
+  // 非整数倍の倍音を重ねた鐘
+  bell: [
+    { at: 0, freq: 660, duration: 1.8, gain: 0.6 },
+    { at: 0, freq: 660 * 2.76, duration: 1.0, gain: 0.2 },
+    { at: 0, freq: 660 * 5.4, duration: 0.5, gain: 0.08 },
+  ],
+  doubleBeep: [
+    { at: 0, freq: 880, duration: 0.15, type: 'square', gain: 0.25 },
+    { at: 0.22, freq: 880, duration: 0.15, type: 'square', gain: 0.25 },
+  ],
+  rising: [
+    { at: 0, freq: 440, to: 880, duration: 0.6, type: 'triangle', gain: 0.6 },
+  ],
+  falling: [
+    { at: 0, freq: 880, to: 440, duration: 0.6, type: 'triangle', gain: 0.6 },
+  ],
+  // ド・ミ・ソ
+  arpeggio: [
+    { at: 0, freq: 523.25, duration: 0.5, gain: 0.5 },
+    { at: 0.15, freq: 659.25, duration: 0.5, gain: 0.5 },
+    { at: 0.3, freq: 783.99, duration: 0.9, gain: 0.5 },
+  ],
+  woodblock: [
+    { at: 0, freq: 1200, to: 900, duration: 0.08, type: 'triangle', gain: 0.8 },
+    { at: 0.18, freq: 1200, to: 900, duration: 0.08, type: 'triangle', gain: 0.8 },
+  ],
+  // 以前からの 800 Hz の単音
+  blip: [
+    { at: 0, freq: 800, duration: 0.5, gain: 0.3 },
+  ],
+  // 途中の合図（控えめな音量）
+  tick: [
+    { at: 0, freq: 1500, to: 1200, duration: 0.04, type: 'triangle', gain: 0.25 },
+  ],
+  softChime: [
+    { at: 0, freq: 988, duration: 0.8, gain: 0.25 },
+    { at: 0.12, freq: 1319, duration: 1.0, gain: 0.2 },
+  ],
+};
+
+// 途中の合図に使う音（checkIn は Flowtime の集中中のチェックイン）
+export const CUE_SOUNDS = {
+  halfway: 'tick',
+  oneMinute: 'softChime',
+  checkIn: 'softChime',
+};
+
+const SOUND_NAMES = ALERT_SOUND_OPTIONS.map(option => option.value);
+
+export function createDefaultAlertSettings() {
+  return {
+    focusEnd: 'bell',
+    breakEnd: 'rising',
+    volume: 0.6,
+    halfwayCue: false,
+    oneMinuteCue: false,
+  };
+}
+
+/**
+ * 保存データからアラート音の設定を復元
+ */
+export function normalizeAlertSettings(settings) {
+  const defaults = createDefaultAlertSettings();
+  if (!settings || typeof settings !== 'object') return defaults;
+  return {
+    focusEnd: SOUND_NAMES.includes(settings.focusEnd) ? settings.focusEnd : defaults.focusEnd,
+    breakEnd: SOUND_NAMES.includes(settings.breakEnd) ? settings.breakEnd : defaults.breakEnd,
+    volume: Number.isFinite(settings.volume) ? Math.min(1, Math.max(0, settings.volume)) : defaults.volume,
+    halfwayCue: settings.halfwayCue === true,
+    oneMinuteCue: settings.oneMinuteCue === true,
+  };
+}
+
+export function loadAlertSettings() {
+  try {
+    return normalizeAlertSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return createDefaultAlertSettings();
+  }
+}
+
+export function saveAlertSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+function playNote(ctx, output, note, startTime) {
+  const oscillator = ctx.createOscillator();
+  const envelope = ctx.createGain();
+  const start = startTime + note.at;
+  const end = start + note.duration;
+
+  oscillator.type = note.type || 'sine';
+  oscillator.frequency.setValueAtTime(note.freq, start);
+  if (note.to) oscillator.frequency.exponentialRampToValueAtTime(note.to, end);
+
+  // 0 には指数ランプできないため、ごく小さい値から始めて小さい値で終える
+  envelope.gain.setValueAtTime(0.0001, start);
+  envelope.gain.exponentialRampToValueAtTime(note.gain ?? 0.5, start + 0.005);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+  oscillator.connect(envelope);
+  envelope.connect(output);
+  oscillator.start(start);
+  oscillator.stop(end + 0.05);
+  return end;
+}
+
+/**
+ * アラート音を鳴らす
+ * @param {string} name - ALERT_SOUND_OPTIONS の値、または CUE_SOUNDS の音
+ * @param {number} volume - 0-1（アラートの音量）
+ */
+export function playAlertSound(name, volume) {
+  const notes = SOUNDS[name];
+  if (!notes || volume <= 0) return;
+
+  const ctx = initAudioContext();
+  if (ctx.state === 'suspended') ctx.resume();
+
+  const output = ctx.createGain();
+  output.gain.value = volume;
+  output.connect(ctx.destination);
+
+  const startTime = ctx.currentTime + 0.01;
+  const end = Math.max(...notes.map(note => playNote(ctx, output, note, startTime)));
+  // 鳴り終わったら出力を外す
+  setTimeout(() => output.disconnect(), (end - ctx.currentTime) * 1000 + 200);
+}
@@ -0,0 +1,154 @@
+/**
+ * 環境音の合成
+ * 雨・ファン・波の音をノイズとフィルタ、LFOの組み合わせでプロシージャルに生成します
+ * 録音素材を使わないため、ループの継ぎ目がなくオフラインでも動作します
+ */
+
+import { createNoiseSource } from './noiseSources';
+
+/**
+ * 雨音
+ * 高域寄りのホワイトノイズを、ブラウンノイズでゆらがせて雨粒の密度変化を表現する
+ */
+async function createRain(ctx) {
+  const [hiss, modulator] = await Promise.all([
+    createNoiseSource(ctx, 'white'),
+    createNoiseSource(ctx, 'brown'),
+  ]);
+
+  const highpass = ctx.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.frequency.value = 800;
+
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = 'lowpass';
+  lowpass.frequency.value = 7000;
+
+  const body = ctx.createGain();
+  body.gain.value = 0.35;
+
+  // ブラウンノイズでゲインをゆらがせる
+  const depth = ctx.createGain();
+  depth.gain.value = 0.25;
+  modulator.output.connect(depth);
+  depth.connect(body.gain);
+
+  hiss.output.connect(highpass);
+  highpass.connect(lowpass);
+  lowpass.connect(body);
+
+  return {
+    output: body,
+    stop() {
+      hiss.stop();
+      modulator.stop();
+      body.disconnect();
+    },
+  };
+}
+
+/**
+ * ファンの音
+ * こもったブラウンノイズに、モーター由来の低いハム音を重ねる
+ */
+async function createFan(ctx) {
+  const air = await createNoiseSource(ctx, 'brown');
+
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = 'lowpass';
+  lowpass.frequency.value = 400;
+  lowpass.Q.value = 1;
+
+  const output = ctx.createGain();
+  output.gain.value = 0.8;
+
+  air.output.connect(lowpass);
+  lowpass.connect(output);
+
+  // 基本波と倍音のハム
+  const oscillators = [
+    { frequency: 60, gain: 0.04 },
+    { frequency: 120, gain: 0.02 },
+  ].map(({ frequency, gain }) => {
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.value = frequency;
+    const oscGain = ctx.createGain();
+    oscGain.gain.value = gain;
+    osc.connect(oscGain);
+    oscGain.connect(output);
+    osc.start();
+    return osc;
+  });
+
+  return {
+    output,
+    stop() {
+      air.stop();
+      oscillators.forEach(osc => osc.stop());
+      output.disconnect();
+    },
+  };
+}
+
+/**
+ * 波の音
+ * ピンクノイズの音量とこもり具合をゆっくりした LFO で変化させ、寄せては返すうねりを作る
+ */
+async function createOcean(ctx) {
+  const wash = await createNoiseSource(ctx, 'pink');
+
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = 'lowpass';
+  lowpass.frequency.value = 900;
+
+  const swell = ctx.createGain();
+  swell.gain.value = 0.5;
+
+  // 約12秒周期のうねり
+  const lfo = ctx.createOscillator();
+  lfo.type = 'sine';
+  lfo.frequency.value = 0.08;
+
+  const gainDepth = ctx.createGain();
+  gainDepth.gain.value = 0.45;
+  const filterDepth = ctx.createGain();
+  filterDepth.gain.value = 500;
+
+  lfo.connect(gainDepth);
+  gainDepth.connect(swell.gain);
+  lfo.connect(filterDepth);
+  filterDepth.connect(lowpass.frequency);
+  lfo.start();
+
+  wash.output.connect(lowpass);
+  lowpass.connect(swell);
+
+  return {
+    output: swell,
+    stop() {
+      wash.stop();
+      lfo.stop();
+      swell.disconnect();
+    },
+  };
+}
+
+const AMBIENCE_BUILDERS = {
+  rain: createRain,
+  fan: createFan,
+  ocean: createOcean,
+};
+
+/**
+ * サウンドソースを作成
+ * ノイズカラー・環境音のどちらも同じ形で扱えるようにする
+ * @param {AudioContext} ctx
+ * @param {string} sound - 'white', 'pink', 'brown', 'rain', 'fan', 'ocean'
+ * @returns {Promise<{ output: AudioNode, stop: Function }>}
+ */
+export function createSoundSource(ctx, sound) {
+  const builder = AMBIENCE_BUILDERS[sound];
+  if (builder) return builder(ctx);
+  return createNoiseSource(ctx, sound);
+}
@@ -0,0 +1,191 @@
+/**
+ * 取り込んだ音声ファイル
+ * カフェの環境音や雨の録音など、手持ちの音声をベースレイヤーの音として使えるようにします
+ * ファイル本体は IndexedDB に保存するため、オフラインでも再生できます
+ *
+ * 取り込み時に共有の AudioContext でデコードして音量を解析し、正規化の倍率を記録します
+ * デコード結果は圧縮前の PCM でメモリに載るため、ファイルの大きさと再生時間の両方に上限を設けます
+ * 再生用のデコード結果は直近の1件だけを保持します（長い録音はデコード後に大きくなるため）
+ */
+
+import { initAudioContext } from './brownNoise';
+import { openDatabase, promisifyRequest, promisifyTransaction, AUDIO_FILE_STORE } from './db';
+
+export const AUDIO_FILE_LIMITS = {
+  // ループの継ぎ目で重ねる秒数
+  crossfade: { min: 0, max: 10 },
+  // 取り込めるファイルの大きさ（バイト）
+  maxBytes: 20 * 1024 * 1024,
+  // 取り込める再生時間（秒）。ステレオ 48kHz で約 230MB の PCM になる
+  maxDuration: 10 * 60,
+};
+
+const DEFAULT_CROSSFADE = 2;
+
+// 正規化の目標（RMS で約 -20dBFS）。ピークが 0dBFS を超えない範囲に抑える
+const TARGET_RMS = 0.1;
+const PEAK_LIMIT = 0.98;
+const MAX_NORMALIZATION_GAIN = 10;
+// 解析は数サンプルおきに間引く
+const ANALYSIS_STRIDE = 4;
+
+let cachedBuffer = null;
+
+/**
+ * 音声ファイルの取り込みエラー
+ * code は表示するメッセージの選択に使う
+ */
+export class AudioFileError extends Error {
+  /**
+   * @param {'tooLarge'|'tooLong'|'unsupported'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'AudioFileError';
+    this.code = code;
+  }
+}
+
+function createId() {
+  return `audio-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 音量を解析して正規化の倍率を求める
+ * @param {AudioBuffer} buffer
+ */
+function getNormalizationGain(buffer) {
+  let peak = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i += ANALYSIS_STRIDE) {
+      const sample = Math.abs(data[i]);
+      if (sample > peak) peak = sample;
+      sumOfSquares += sample * sample;
+      count++;
+    }
+  }
+
+  const rms = count > 0 ? Math.sqrt(sumOfSquares / count) : 0;
+  if (rms === 0 || peak === 0) return 1;
+  return Math.min(TARGET_RMS / rms, PEAK_LIMIT / peak, MAX_NORMALIZATION_GAIN);
+}
+
+/**
+ * 保存データから再生・表示に使う情報を取り出す（ファイル本体は含めない）
+ */
+function toMetadata({ blob, ...file }) {
+  return file;
+}
+
+/**
+ * 音声ファイルを取り込む
+ * デコードできない形式は AudioFileError('unsupported')、長すぎる音声は AudioFileError('tooLong') になる
+ * @param {File} file
+ * @returns {Promise<{ id: string, name: string, size: number, duration: number, normalize: boolean, normalizationGain: number, crossfade: number, createdAt: number }>}
+ */
+export async function importAudioFile(file) {
+  if (file.size > AUDIO_FILE_LIMITS.maxBytes) {
+    throw new AudioFileError('tooLarge', `Audio file is too large: ${file.size} bytes`);
+  }
+
+  let buffer;
+  try {
+    buffer = await initAudioContext().decodeAudioData(await file.arrayBuffer());
+  } catch (e) {
+    throw new AudioFileError('unsupported', `Could not decode audio file: ${file.name}`);
+  }
+  // 長い音声は解析・保存せずに手放す
+  if (buffer.duration > AUDIO_FILE_LIMITS.maxDuration) {
+    throw new AudioFileError('tooLong', `Audio file is too long: ${buffer.duration} seconds`);
+  }
+
+  const record = {
+    id: createId(),
+    // 拡張子は表示しない
+    name: file.name.replace(/\.[^.]+$/, '') || file.name,
+    size: file.size,
+    duration: buffer.duration,
+    normalize: true,
+    normalizationGain: getNormalizationGain(buffer),
+    crossfade: Math.min(DEFAULT_CROSSFADE, Math.floor(buffer.duration / 3)),
+    createdAt: Date.now(),
+    blob: file,
+  };
+
+  const db = await openDatabase();
+  const tx = db.transaction(AUDIO_FILE_STORE, 'readwrite');
+  tx.objectStore(AUDIO_FILE_STORE).add(record);
+  await promisifyTransaction(tx);
+
+  cachedBuffer = { id: record.id, buffer };
+  return toMetadata(record);
+}
+
+/**
+ * 取り込んだ音声ファイルの一覧を取り込んだ順に取得
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAudioFiles() {
+  const db = await openDatabase();
+  const tx = db.transaction(AUDIO_FILE_STORE, 'readonly');
+  const files = await promisifyRequest(tx.objectStore(AUDIO_FILE_STORE).getAll());
+  return files.map(toMetadata).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * 正規化の有無・ループのクロスフェードを変更
+ * @param {string} id
+ * @param {{ normalize?: boolean, crossfade?: number }} changes
+ */
+export async function updateAudioFile(id, changes) {
+  const db = await openDatabase();
+  const tx = db.transaction(AUDIO_FILE_STORE, 'readwrite');
+  const store = tx.objectStore(AUDIO_FILE_STORE);
+  const record = await promisifyRequest(store.get(id));
+  if (!record) return;
+
+  const { min, max } = AUDIO_FILE_LIMITS.crossfade;
+  store.put({
+    ...record,
+    normalize: typeof changes.normalize === 'boolean' ? changes.normalize : record.normalize,
+    crossfade: Number.isFinite(changes.crossfade) ? Math.min(max, Math.max(min, changes.crossfade)) : record.crossfade,
+  });
+  await promisifyTransaction(tx);
+}
+
+export async function deleteAudioFile(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(AUDIO_FILE_STORE, 'readwrite');
+  tx.objectStore(AUDIO_FILE_STORE).delete(id);
+  await promisifyTransaction(tx);
+  if (cachedBuffer?.id === id) cachedBuffer = null;
+}
+
+/**
+ * 再生用にデコードした音声を取得（共有の AudioContext でデコード）
+ * @param {string} id
+ * @returns {Promise<AudioBuffer|null>} 削除済みなら null
+ */
+export async function loadAudioFileBuffer(id) {
+  if (cachedBuffer?.id === id) return cachedBuffer.buffer;
+
+  const db = await openDatabase();
+  const tx = db.transaction(AUDIO_FILE_STORE, 'readonly');
+  const record = await promisifyRequest(tx.objectStore(AUDIO_FILE_STORE).get(id));
+  if (!record) return null;
+
+  const buffer = await initAudioContext().decodeAudioData(await record.blob.arrayBuffer());
+  cachedBuffer = { id, buffer };
+  return buffer;
+}
+
+/**
+ * 再生時の音量の倍率
+ */
+export function getAudioFileGain(file) {
+  return file.normalize ? file.normalizationGain : 1;
+}
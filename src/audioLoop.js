@@ -0,0 +1,115 @@
+/**
+ * 音声バッファのループ再生
+ * 取り込んだ音声ファイルを継ぎ目なく繰り返し鳴らします
+ *
+ * - クロスフェードなし: ネイティブのループ（サンプル単位で継ぎ目がない）
+ * - クロスフェードあり: 末尾と先頭をイコールパワーで重ね、次の再生を AudioContext の時刻で予約する
+ *   常に2回先まで予約し、1つ終わるたびに次を予約するため、バックグラウンドでタイマーが間引かれても途切れない
+ */
+
+// 重ねる長さは音声の長さの 1/3 まで（予約に余裕を残すため）
+const MAX_CROSSFADE_RATIO = 1 / 3;
+const CURVE_STEPS = 64;
+
+function createEqualPowerCurve(fadeIn) {
+  const curve = new Float32Array(CURVE_STEPS);
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    const position = i / (CURVE_STEPS - 1);
+    curve[i] = fadeIn ? Math.sin(position * Math.PI / 2) : Math.cos(position * Math.PI / 2);
+  }
+  return curve;
+}
+
+const FADE_IN_CURVE = createEqualPowerCurve(true);
+const FADE_OUT_CURVE = createEqualPowerCurve(false);
+
+/**
+ * AudioParam を現在値から目標値まで直線的に変化させる
+ */
+function glideParam(ctx, param, value, seconds) {
+  const now = ctx.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  if (seconds > 0) {
+    param.linearRampToValueAtTime(value, now + seconds);
+  } else {
+    param.setValueAtTime(value, now);
+  }
+}
+
+/**
+ * ループ再生のソースを作成
+ * @param {AudioContext} ctx
+ * @param {AudioBuffer} buffer
+ * @param {{ gain?: number, crossfade?: number }} options - gain は正規化の倍率、crossfade はループの継ぎ目で重ねる秒数
+ * @returns {{ output: AudioNode, stop: Function, setGain: (gain: number, seconds?: number) => void }}
+ */
+export function createLoopSource(ctx, buffer, { gain = 1, crossfade = 0 } = {}) {
+  const output = ctx.createGain();
+  output.gain.value = gain;
+
+  const fade = Math.min(Math.max(0, crossfade), buffer.duration * MAX_CROSSFADE_RATIO);
+  const voices = new Set();
+  let stopped = false;
+  let nextStart = ctx.currentTime;
+
+  const play = (when, fadeIn) => {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const voiceGain = ctx.createGain();
+    source.connect(voiceGain);
+    voiceGain.connect(output);
+
+    const voice = { source, voiceGain };
+    voices.add(voice);
+
+    if (fade === 0) {
+      source.loop = true;
+      source.start(when);
+      return;
+    }
+
+    const end = when + buffer.duration;
+    if (fadeIn) voiceGain.gain.setValueCurveAtTime(FADE_IN_CURVE, when, fade);
+    voiceGain.gain.setValueCurveAtTime(FADE_OUT_CURVE, end - fade, fade);
+    source.onended = () => {
+      voices.delete(voice);
+      voiceGain.disconnect();
+      if (!stopped) scheduleNext();
+    };
+    source.start(when);
+    source.stop(end);
+  };
+
+  const scheduleNext = () => {
+    play(nextStart, true);
+    nextStart += buffer.duration - fade;
+  };
+
+  // 最初の再生はレイヤーのゲインでフェードインするため、ここでは重ねない
+  play(nextStart, false);
+  if (fade > 0) {
+    nextStart += buffer.duration - fade;
+    scheduleNext();
+  }
+
+  return {
+    output,
+    stop() {
+      stopped = true;
+      voices.forEach(({ source, voiceGain }) => {
+        try {
+          source.stop();
+        } catch (e) {
+          // 既に停止している場合はエラーを無視
+        }
+        voiceGain.disconnect();
+      });
+      voices.clear();
+      output.disconnect();
+    },
+    setGain(value, seconds = 0) {
+      glideParam(ctx, output.gain, value, seconds);
+    },
+  };
+}
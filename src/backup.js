@@ -0,0 +1,408 @@
+/**
+ * データのエクスポートとインポート
+ * 設定・プリセット・サウンドスケープ・タスク・セッション履歴をバージョン付きの JSON にまとめて書き出し、
+ * 検証したうえで復元します。セッション履歴は表計算ソフト向けの CSV と、
+ * 完了した集中ブロックをカレンダーに取り込む iCalendar（.ics）にも書き出せます
+ */
+
+import { SESSION_PHASES, SESSION_OUTCOMES, SESSION_MODES } from './sessionHistory';
+import { countInterruptions, normalizeInterruptions } from './interruptions';
+import { normalizePreset } from './presets';
+import { isValidSoundscape, normalizeSoundscape } from './soundscape';
+import { isValidTask, normalizeTask } from './tasks';
+
+const APP_ID = 'brown-noise-timer';
+
+// 形式を変えたら上げ、古いバージョンの読み込みは parseBackup で変換する
+export const BACKUP_VERSION = 1;
+
+/**
+ * バックアップ対象の設定
+ * LocalStorage への保存形式（App の保存処理と同じ）ごとに、値の検証方法を定義する
+ * - number: toString() で保存する数値
+ * - boolean: JSON.stringify() で保存する真偽値
+ * - string: そのまま保存する文字列
+ * - json: JSON.stringify() で保存する配列・オブジェクト（検証は読み込み側の正規化に任せる）
+ */
+const SETTING_FIELDS = {
+  // 以前のバージョンのテーマ（theme がなければ引き継ぐ）
+  darkMode: { type: 'boolean' },
+  theme: { type: 'json' },
+  locale: { type: 'string' },
+  focusMinutes: { type: 'number', min: 1, max: 60 },
+  breakMinutes: { type: 'number', min: 1, max: 30 },
+  longBreakMinutes: { type: 'number', min: 1, max: 60 },
+  cycleLength: { type: 'number', min: 1, max: 12 },
+  autoStartBreaks: { type: 'boolean' },
+  autoStartFocus: { type: 'boolean' },
+  askInterruptionReason: { type: 'boolean' },
+  noiseVolume: { type: 'number', min: 0, max: 1 },
+  noiseType: { type: 'string' },
+  noiseColor: { type: 'number', min: 0, max: 3 },
+  lowCutHz: { type: 'number', min: 20, max: 1000 },
+  highCutHz: { type: 'number', min: 1000, max: 20000 },
+  fadeInSeconds: { type: 'number', min: 0, max: 30 },
+  fadeOutSeconds: { type: 'number', min: 0, max: 30 },
+  crossfadeSeconds: { type: 'number', min: 0, max: 10 },
+  breakNoise: { type: 'boolean' },
+  breakNoiseLevel: { type: 'number', min: 0, max: 1 },
+  noiseOnlyMode: { type: 'boolean' },
+  flowtimeMode: { type: 'boolean' },
+  flowtime: { type: 'json' },
+  sleepOption: { type: 'string' },
+  sleepCustomMinutes: { type: 'number', min: 1, max: 600 },
+  sleepFadeMinutes: { type: 'number', min: 0, max: 60 },
+  titleCountdown: { type: 'boolean' },
+  faviconProgress: { type: 'boolean' },
+  notificationsEnabled: { type: 'boolean' },
+  vibrationPattern: { type: 'string' },
+  soundscapeLayers: { type: 'json' },
+  toneLayer: { type: 'json' },
+  alertSounds: { type: 'json' },
+  goals: { type: 'json' },
+  announceMilestones: { type: 'json' },
+  shortcuts: { type: 'json' },
+  currentTaskId: { type: 'string' },
+  activePresetId: { type: 'string' },
+  defaultPresetId: { type: 'string' },
+};
+
+// id を持つ項目の一覧。マージ時は id が重複しないものだけを追加する
+// 取り込むときは必須の項目を検証し、読み込み側と同じ正規化で保存形式にそろえる
+const LISTS = {
+  presets: { isValid: () => true, normalize: normalizePreset },
+  soundscapes: { isValid: isValidSoundscape, normalize: normalizeSoundscape },
+  tasks: { isValid: isValidTask, normalize: normalizeTask },
+};
+const LIST_KEYS = Object.keys(LISTS);
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+/**
+ * バックアップの読み込みエラー
+ * code は表示するメッセージの選択に使う
+ */
+export class BackupError extends Error {
+  /**
+   * @param {'invalidJson'|'notBackup'|'unsupportedVersion'|'invalidData'} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+function readSetting(key, field) {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return undefined;
+  try {
+    if (field.type === 'number') return parseFloat(raw);
+    if (field.type === 'boolean' || field.type === 'json') return JSON.parse(raw);
+    return raw;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function writeSetting(key, field, value) {
+  if (field.type === 'number') {
+    localStorage.setItem(key, value.toString());
+  } else if (field.type === 'boolean' || field.type === 'json') {
+    localStorage.setItem(key, JSON.stringify(value));
+  } else {
+    localStorage.setItem(key, value);
+  }
+}
+
+function isValidSetting(field, value) {
+  switch (field.type) {
+    case 'number':
+      return Number.isFinite(value) && value >= field.min && value <= field.max;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return value !== null && typeof value === 'object';
+  }
+}
+
+function readList(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function isValidSession(session) {
+  return Boolean(session)
+    && typeof session === 'object'
+    && SESSION_PHASES.includes(session.phase)
+    && SESSION_OUTCOMES.includes(session.outcome)
+    && Number.isFinite(session.start)
+    && Number.isFinite(session.end)
+    && session.end >= session.start
+    && Number.isFinite(session.plannedSeconds)
+    && Number.isFinite(session.actualSeconds);
+}
+
+/**
+ * 取り込むセッションを既知の項目だけで作り直す
+ * 型の違う任意項目は既定値にし、以前のバージョンの記録にない項目はないまま残す
+ */
+function normalizeSession(session) {
+  const normalized = {
+    phase: session.phase,
+    outcome: session.outcome,
+    start: session.start,
+    end: session.end,
+    plannedSeconds: session.plannedSeconds,
+    actualSeconds: session.actualSeconds,
+    preset: typeof session.preset === 'string' ? session.preset : null,
+    noiseType: typeof session.noiseType === 'string' ? session.noiseType : 'brown',
+  };
+  if (SESSION_MODES.includes(session.mode)) normalized.mode = session.mode;
+  if ('taskId' in session) normalized.taskId = typeof session.taskId === 'string' ? session.taskId : null;
+  if ('taskTitle' in session) normalized.taskTitle = typeof session.taskTitle === 'string' ? session.taskTitle : null;
+  if ('interruptions' in session) normalized.interruptions = normalizeInterruptions(session.interruptions);
+  return normalized;
+}
+
+/**
+ * 現在のデータからバックアップを作成
+ * @param {Array<Object>} sessions - セッション履歴
+ * @returns {{ app: string, version: number, exportedAt: string, settings: Object, presets: Array, soundscapes: Array, tasks: Array, sessions: Array }}
+ */
+export function createBackup(sessions) {
+  const settings = {};
+  Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+    const value = readSetting(key, field);
+    if (value !== undefined) settings[key] = value;
+  });
+
+  const backup = {
+    app: APP_ID,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+  LIST_KEYS.forEach(key => {
+    backup[key] = readList(key);
+  });
+  backup.sessions = sessions.map(({ id, ...session }) => session);
+  return backup;
+}
+
+/**
+ * バックアップファイルの内容を検証して読み込む
+ * 不正な設定値は取り除き、形式が壊れている場合は BackupError を投げる
+ * @param {string} text - ファイルの内容
+ * @returns {{ settings: Object, presets: Array, soundscapes: Array, tasks: Array, sessions: Array }}
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new BackupError('invalidJson', 'Backup file is not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || data.app !== APP_ID) {
+    throw new BackupError('notBackup', 'File is not a Brown Noise Timer backup');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > BACKUP_VERSION) {
+    throw new BackupError('unsupportedVersion', `Unsupported backup version: ${data.version}`);
+  }
+
+  const settings = {};
+  if (data.settings && typeof data.settings === 'object') {
+    Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+      if (isValidSetting(field, data.settings[key])) settings[key] = data.settings[key];
+    });
+  }
+
+  const backup = { settings };
+  for (const [key, { isValid, normalize }] of Object.entries(LISTS)) {
+    const list = data[key] ?? [];
+    if (!Array.isArray(list) || !list.every(item => item && typeof item.id === 'string' && isValid(item))) {
+      throw new BackupError('invalidData', `Invalid ${key} in backup`);
+    }
+    backup[key] = list.map(normalize);
+  }
+
+  const sessions = data.sessions ?? [];
+  if (!Array.isArray(sessions) || !sessions.every(isValidSession)) {
+    throw new BackupError('invalidData', 'Invalid sessions in backup');
+  }
+  backup.sessions = sessions.map(normalizeSession);
+
+  return backup;
+}
+
+/**
+ * 読み込んだバックアップを LocalStorage に反映
+ * セッション履歴は IndexedDB にあるため、取り込むべきセッションを返す
+ * - merge: バックアップの設定で上書きし、一覧と履歴は既存のものに追加する（重複は除く）
+ * - replace: 既存の設定・一覧・履歴を消してからバックアップの内容にする
+ * @param {{ settings: Object, presets: Array, soundscapes: Array, tasks: Array, sessions: Array }} backup
+ * @param {'merge'|'replace'} mode
+ * @param {Array<Object>} existingSessions - 現在のセッション履歴
+ * @returns {Array<Object>} IndexedDB に追加するセッション
+ */
+export function applyBackup(backup, mode, existingSessions) {
+  const replace = mode === IMPORT_MODES.REPLACE;
+
+  Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+    if (key in backup.settings) {
+      writeSetting(key, field, backup.settings[key]);
+    } else if (replace) {
+      localStorage.removeItem(key);
+    }
+  });
+
+  LIST_KEYS.forEach(key => {
+    let list = backup[key];
+    if (!replace) {
+      const existing = readList(key);
+      const ids = new Set(existing.map(item => item.id));
+      list = [...existing, ...list.filter(item => !ids.has(item.id))];
+    }
+    localStorage.setItem(key, JSON.stringify(list));
+  });
+
+  if (replace) return backup.sessions;
+
+  // 別の端末で振られた id は当てにならないため、開始時刻とフェーズで重複を判定する
+  const recorded = new Set(existingSessions.map(session => `${session.start}:${session.phase}`));
+  return backup.sessions.filter(session => !recorded.has(`${session.start}:${session.phase}`));
+}
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+// 表計算ソフトで扱いやすいローカル時刻（YYYY-MM-DD HH:mm:ss）
+function formatLocalDateTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function escapeCsv(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * セッション履歴を CSV に変換
+ * Excel で文字化けしないよう BOM を付ける
+ * @param {Array<Object>} sessions
+ * @returns {string}
+ */
+export function sessionsToCsv(sessions) {
+  const header = ['start', 'end', 'phase', 'outcome', 'planned_minutes', 'actual_minutes', 'preset', 'noise_type', 'task', 'interruptions', 'mode'];
+  const rows = sessions.map(session => [
+    formatLocalDateTime(session.start),
+    formatLocalDateTime(session.end),
+    session.phase,
+    session.outcome,
+    (session.plannedSeconds / 60).toFixed(1),
+    (session.actualSeconds / 60).toFixed(1),
+    session.preset,
+    session.noiseType,
+    session.taskTitle,
+    countInterruptions(session),
+    session.mode ?? 'pomodoro',
+  ]);
+  return '\uFEFF' + [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// iCalendar の UTC 日時（YYYYMMDDTHHmmssZ）
+function formatIcsDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 75 オクテットを超える行を折り返す（RFC 5545 3.1）
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // 継続行は先頭の空白 1 オクテットを含めて 75 オクテットに収める
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * 完了した集中セッションを iCalendar 形式に変換
+ * @param {Array<Object>} sessions
+ * @param {(session: Object) => string} getSummary - 予定のタイトル
+ * @returns {string}
+ */
+export function sessionsToIcs(sessions, getSummary) {
+  const stamp = formatIcsDate(Date.now());
+  const events = sessions
+    .filter(session => session.phase === 'focus' && session.outcome === 'completed')
+    .flatMap(session => [
+      'BEGIN:VEVENT',
+      // 同じセッションを再度取り込んでも重複しないよう、開始時刻から UID を決める
+      `UID:focus-${session.start}@${APP_ID}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(session.start)}`,
+      `DTEND:${formatIcsDate(session.end)}`,
+      `SUMMARY:${escapeIcsText(getSummary(session))}`,
+      'END:VEVENT',
+    ]);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${APP_ID}//Brown Noise Timer//EN`,
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * 文字列をファイルとしてダウンロード
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME タイプ
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // クリック直後に解放するとダウンロードが始まらないブラウザがある
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
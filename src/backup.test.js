@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { parseBackup, BackupError, BACKUP_VERSION } from './backup';
+
+function createSession(values = {}) {
+  return {
+    phase: 'focus',
+    outcome: 'completed',
+    start: 1700000000000,
+    end: 1700001500000,
+    plannedSeconds: 1500,
+    actualSeconds: 1500,
+    preset: null,
+    noiseType: 'brown',
+    ...values,
+  };
+}
+
+function toBackupText(values) {
+  return JSON.stringify({ app: 'brown-noise-timer', version: BACKUP_VERSION, settings: {}, ...values });
+}
+
+describe('parseBackup', () => {
+  it('セッションを既知の項目だけで作り直す', () => {
+    const backup = parseBackup(toBackupText({
+      sessions: [createSession({ mode: 'flowtime', taskId: 'task-1', taskTitle: 'Write', extra: '<script>' })],
+    }));
+    expect(backup.sessions).toEqual([
+      createSession({ mode: 'flowtime', taskId: 'task-1', taskTitle: 'Write' }),
+    ]);
+  });
+
+  it('壊れた中断の記録を正規化する', () => {
+    const backup = parseBackup(toBackupText({
+      sessions: [
+        createSession({
+          interruptions: [
+            null,
+            'distracted',
+            { time: 'soon', kind: 'internal' },
+            { time: 1700000600000, kind: 'unknown', note: 42, source: 'manual' },
+            { time: 1700000900000, kind: 'external', note: ' phone ', source: 'pause' },
+          ],
+        }),
+        createSession({ start: 1700002000000, end: 1700003500000, interruptions: 'none' }),
+      ],
+    }));
+    expect(backup.sessions[0].interruptions).toEqual([
+      { time: 1700000600000, kind: 'internal', note: '', source: 'manual' },
+      { time: 1700000900000, kind: 'external', note: 'phone', source: 'pause' },
+    ]);
+    expect(backup.sessions[1].interruptions).toEqual([]);
+  });
+
+  it('型の違う任意項目は既定値にする', () => {
+    const backup = parseBackup(toBackupText({
+      sessions: [createSession({ taskId: 7, taskTitle: { text: 'Write' }, mode: 'sprint', noiseType: 3, preset: false })],
+    }));
+    expect(backup.sessions[0]).toEqual(createSession({ taskId: null, taskTitle: null }));
+  });
+
+  it('必須項目が壊れたセッションがあれば読み込まない', () => {
+    expect(() => parseBackup(toBackupText({ sessions: [createSession({ end: 'later' })] })))
+      .toThrow(BackupError);
+  });
+
+  it('プリセットを正規化する', () => {
+    const backup = parseBackup(toBackupText({
+      presets: [{ id: 'preset-1', name: 'Deep', focus: 500, break: 'x', longBreak: 20, cycle: 3, noiseType: 'loud', volume: 2 }],
+    }));
+    expect(backup.presets).toEqual([
+      { id: 'preset-1', name: 'Deep', focus: 60, break: 5, longBreak: 20, cycle: 3, noiseType: 'brown', volume: 1 },
+    ]);
+  });
+
+  it('タイトルのないタスクや名前のないサウンドスケープは読み込まない', () => {
+    expect(() => parseBackup(toBackupText({ tasks: [{ id: 'task-1', title: 5 }] })))
+      .toThrow(BackupError);
+    expect(() => parseBackup(toBackupText({ soundscapes: [{ id: 'soundscape-1', layers: [] }] })))
+      .toThrow(BackupError);
+  });
+
+  it('タスクとサウンドスケープの不正な値を正規化する', () => {
+    const backup = parseBackup(toBackupText({
+      tasks: [{ id: 'task-1', title: 'Write', estimate: -2, completedPomodoros: '3', done: 'yes', createdAt: 1700000000000 }],
+      soundscapes: [{ id: 'soundscape-1', name: 'Cafe', noiseType: 42, layers: 'rain' }],
+    }));
+    expect(backup.tasks).toEqual([
+      { id: 'task-1', title: 'Write', estimate: 1, completedPomodoros: 0, done: false, createdAt: 1700000000000 },
+    ]);
+    expect(backup.soundscapes).toEqual([
+      { id: 'soundscape-1', name: 'Cafe', noiseType: 'brown', layers: [{ id: 'base', sound: null, gain: 1, muted: false, pan: 0 }] },
+    ]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * 実績バッジ
+ * バッジは保存せず、毎回セッション履歴から判定します（履歴を復元・削除すれば、それに合わせて変わる）
+ * 目標や連続記録に関するバッジは、現在の目標の設定で判定します
+ */
+
+import { countCompletedByDay, getStreak } from './goals';
+import { getDayKey, isCompletedFocus, startOfDay } from './statistics';
+
+// 中断なしの完了が続いた回数を数えるときの条件
+const UNINTERRUPTED_RUN = 10;
+// 放棄なしの週の日数
+const CLEAN_WEEK_DAYS = 7;
+
+/**
+ * 履歴から判定に使う値を集計
+ */
+function collectBadgeStats(sessions, goalSettings) {
+  const ordered = [...sessions].sort((a, b) => a.end - b.end);
+  const dailyCounts = countCompletedByDay(ordered);
+
+  let completed = 0;
+  let focusMinutes = 0;
+  let uninterruptedRun = 0;
+  let bestUninterruptedRun = 0;
+  const abortedDays = new Set();
+
+  ordered.forEach(session => {
+    if (session.phase !== 'focus') return;
+    focusMinutes += session.actualSeconds / 60;
+    if (session.outcome === 'aborted') abortedDays.add(getDayKey(session.end));
+    if (!isCompletedFocus(session)) return;
+    completed += 1;
+    if ((session.interruptions || []).length === 0) {
+      uninterruptedRun += 1;
+      bestUninterruptedRun = Math.max(bestUninterruptedRun, uninterruptedRun);
+    } else {
+      uninterruptedRun = 0;
+    }
+  });
+
+  // 毎日1回以上完了し、途中でやめた集中が1回もない7日間があるか
+  let cleanRun = 0;
+  let cleanWeek = false;
+  if (ordered.length > 0) {
+    const date = startOfDay(ordered[0].end);
+    const last = startOfDay(ordered[ordered.length - 1].end);
+    while (date <= last && !cleanWeek) {
+      const key = getDayKey(date);
+      cleanRun = dailyCounts.has(key) && !abortedDays.has(key) ? cleanRun + 1 : 0;
+      cleanWeek = cleanRun >= CLEAN_WEEK_DAYS;
+      date.setDate(date.getDate() + 1);
+    }
+  }
+
+  return {
+    completed,
+    focusHours: focusMinutes / 60,
+    bestDay: Math.max(0, ...dailyCounts.values()),
+    goalDays: [...dailyCounts.values()].filter(count => count >= goalSettings.dailyGoal).length,
+    bestStreak: getStreak(ordered, goalSettings).best,
+    bestUninterruptedRun,
+    cleanWeek,
+  };
+}
+
+// バッジの一覧（表示順）
+export const BADGES = [
+  { id: 'firstPomodoro', icon: '🌱', isEarned: stats => stats.completed >= 1 },
+  { id: 'tenPomodoros', icon: '🍅', isEarned: stats => stats.completed >= 10 },
+  { id: 'hundredPomodoros', icon: '💯', isEarned: stats => stats.completed >= 100 },
+  { id: 'firstGoal', icon: '🎯', isEarned: stats => stats.goalDays >= 1 },
+  { id: 'streak7', icon: '🔥', isEarned: stats => stats.bestStreak >= 7 },
+  { id: 'streak30', icon: '🏆', isEarned: stats => stats.bestStreak >= 30 },
+  { id: 'cleanWeek', icon: '🧘', isEarned: stats => stats.cleanWeek },
+  { id: 'uninterrupted', icon: '🔕', isEarned: stats => stats.bestUninterruptedRun >= UNINTERRUPTED_RUN },
+  { id: 'marathonDay', icon: '🏃', isEarned: stats => stats.bestDay >= 8 },
+  { id: 'fiftyHours', icon: '⏳', isEarned: stats => stats.focusHours >= 50 },
+];
+
+/**
+ * 獲得済みのバッジの ID
+ * @param {Array<Object>} sessions
+ * @param {{ dailyGoal: number, restDays: number[] }} goalSettings
+ * @returns {Set<string>}
+ */
+export function getEarnedBadgeIds(sessions, goalSettings) {
+  const stats = collectBadgeStats(sessions, goalSettings);
+  return new Set(BADGES.filter(badge => badge.isEarned(stats)).map(badge => badge.id));
+}
+
+/**
+ * セッションを追加したことで新しく獲得したバッジ
+ * @returns {Array<{ id: string, icon: string }>}
+ */
+export function getNewBadges(previousSessions, sessions, goalSettings) {
+  const before = getEarnedBadgeIds(previousSessions, goalSettings);
+  const after = getEarnedBadgeIds(sessions, goalSettings);
+  return BADGES.filter(badge => after.has(badge.id) && !before.has(badge.id));
+}
@@ -1,16 +1,55 @@
 /**
  * ノイズ生成器（バックグラウンド再生対応）
- * Web Audio APIを使用して白ノイズ、ピンクノイズ、ブラウンノイズを生成します
+ * Web Audio APIを使用して白ノイズ、ピンクノイズ、ブラウンノイズとその中間・それ以上の色のノイズを生成します
+ * 複数のレイヤー（ノイズ・環境音）をそれぞれのゲイン・ミュート・パンでミックスし、
+ * ローカット・ハイカットのフィルタを通したうえで、トーンレイヤー（バイノーラル・アイソクロニック）を重ねて再生します
+ * ベースレイヤーはノイズの代わりに、取り込んだ音声ファイルをループ再生することもできます
+ * 開始・停止はフェード、音源の切り替えはクロスフェードで行い、クリックノイズを防ぎます
  * バックグラウンド再生にも対応
+ *
+ * レイヤー → ローカット → ハイカット → マスター → レベル → 出力
+ *                             トーン → マスター
+ *
+ * マスターは音量設定とフェードイン・アウト、レベルは休憩中の減衰やスリープタイマーの
+ * ゆっくりしたフェードアウトに使い、互いのランプが打ち消し合わないようにしています
  */
 
+import { createSoundSource } from './ambience';
+import { createLoopSource } from './audioLoop';
+import { createNoiseSource } from './noiseSources';
+import { createToneSource } from './tones';
+import { BASE_LAYER_ID, NOISE_COLOR_VALUES, NOISE_FILTER_LIMITS, createDefaultLayers, createDefaultTone } from './soundscape';
+
 let audioContext = null;
-let bufferSources = [];
-let gainNodes = [];
-let filterNodes = [];
+let masterGain = null;
+let levelGain = null;
+// レイヤーの出力先（ローカット → ハイカット → マスター）
+let filterChain = null;
 let isPlaying = false;
 let currentVolume = 0.3;
-let currentNoiseType = 'brown';
+let currentLevel = 1;
+let currentColor = NOISE_COLOR_VALUES.brown;
+let currentFilters = { lowCut: NOISE_FILTER_LIMITS.lowCut.min, highCut: NOISE_FILTER_LIMITS.highCut.max };
+
+// ベースレイヤーは色を連続的に変えられるノイズ
+// 色の変更は音源を差し替えずにグライドさせるため、ノイズタイプによらず同じ音源として扱う
+const BASE_SOUND = 'noise';
+
+// ベースレイヤーで鳴らす取り込んだ音声（{ sound, buffer, gain, crossfade }）。null ならノイズ
+let baseAudio = null;
+
+// フェード時間（秒）
+let fadeDurations = { fadeIn: 2, fadeOut: 2, crossfade: 1.5 };
+// 音量・パン変更時のランプ時間（秒）
+const VOLUME_RAMP_SECONDS = 0.1;
+
+// レイヤー設定と、再生中レイヤーのノード
+let layerConfigs = createDefaultLayers();
+const activeLayers = new Map();
+
+// トーンレイヤーの設定と、再生中のノード
+let toneConfig = createDefaultTone();
+let activeTone = null;
 
 export function initAudioContext() {
   if (!audioContext) {
@@ -33,56 +72,204 @@ export function initAudioContext() {
 }
 
 /**
- * ピンクノイズ生成用フィルタ
- * -3dB/octave の周波数特性を持つ
+ * フェード時間を設定
+ * @param {{ fadeIn?: number, fadeOut?: number, crossfade?: number }} durations - 秒
  */
-function createPinkNoiseFilter(ctx) {
-  const filter = ctx.createBiquadFilter();
-  filter.type = 'highpass';
-  filter.frequency.value = 20;
-  return filter;
+export function setFadeDurations(durations) {
+  fadeDurations = { ...fadeDurations, ...durations };
 }
 
 /**
- * ブラウンノイズ生成用フィルタ
- * -6dB/octave の周波数特性を持つ（低周波を強調）
+ * AudioParam を現在値から目標値まで直線的に変化させる
+ * value を直接書き換えるとモバイルでジッパーノイズが出るため、常にランプで変更する
  */
-function createBrownNoiseFilters(ctx) {
-  // 複数のローパスフィルタを組み合わせて -6dB/octave の特性を実現
-  const filter1 = ctx.createBiquadFilter();
-  filter1.type = 'lowpass';
-  filter1.frequency.value = 1000;
-  filter1.Q.value = 0.707;
-  
-  const filter2 = ctx.createBiquadFilter();
-  filter2.type = 'lowpass';
-  filter2.frequency.value = 500;
-  filter2.Q.value = 0.707;
-  
-  return [filter1, filter2];
+function rampParam(param, value, seconds) {
+  const now = audioContext.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  if (seconds > 0) {
+    param.linearRampToValueAtTime(value, now + seconds);
+  } else {
+    param.setValueAtTime(value, now);
+  }
 }
 
 /**
- * ホワイトノイズバッファを生成
+ * レイヤーが鳴らす音を決定
+ * ベースレイヤーは常に現在の色のノイズを鳴らす
  */
-function generateWhiteNoiseBuffer(ctx, duration = 2) {
-  const bufferSize = ctx.sampleRate * duration;
-  const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-  const data = buffer.getChannelData(0);
-  
-  for (let i = 0; i < bufferSize; i++) {
-    data[i] = Math.random() * 2 - 1;
+function resolveSound(config) {
+  if (config.id !== BASE_LAYER_ID) return config.sound;
+  return baseAudio ? baseAudio.sound : BASE_SOUND;
+}
+
+function createLayerSource(ctx, sound) {
+  if (sound === BASE_SOUND) return createNoiseSource(ctx, currentColor);
+  if (sound === baseAudio?.sound) return Promise.resolve(createLoopSource(ctx, baseAudio.buffer, baseAudio));
+  return createSoundSource(ctx, sound);
+}
+
+function getLayerGain(config) {
+  return config.muted ? 0 : config.gain;
+}
+
+/**
+ * レイヤーの再生を開始
+ * ソースの生成は非同期のため、完了前に停止・差し替えされた場合は破棄する
+ * @param {number} fadeSeconds - ソース接続後にゲインを 0 から上げる時間
+ */
+function startLayer(ctx, config, fadeSeconds = 0) {
+  const sound = resolveSound(config);
+
+  const gainNode = ctx.createGain();
+  gainNode.gain.value = 0;
+
+  // StereoPannerNode 非対応環境ではパンを省略
+  const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+  if (panner) {
+    panner.pan.value = config.pan;
+    gainNode.connect(panner);
+    panner.connect(filterChain.input);
+  } else {
+    gainNode.connect(filterChain.input);
+  }
+
+  const entry = { sound, gainNode, panner, source: null, config };
+  activeLayers.set(config.id, entry);
+
+  createLayerSource(ctx, sound).then((source) => {
+    if (activeLayers.get(config.id) !== entry) {
+      source.stop();
+      return;
+    }
+    source.output.connect(gainNode);
+    entry.source = source;
+    // 生成中に色が変わった場合に追従する
+    if (sound === BASE_SOUND) source.setColor(currentColor);
+    rampParam(gainNode.gain, getLayerGain(entry.config), fadeSeconds);
+  }).catch((error) => {
+    // 音声ファイルの読み込み失敗など。鳴らないレイヤーを残さない
+    console.error('レイヤーの音源を生成できませんでした:', error);
+    if (activeLayers.get(config.id) === entry) activeLayers.delete(config.id);
+    gainNode.disconnect();
+    panner?.disconnect();
+  });
+}
+
+/**
+ * レイヤーを停止
+ * @param {Object} entry - activeLayers から取り除いたレイヤー
+ * @param {number} fadeSeconds - フェードアウト時間
+ */
+function retireLayer(entry, fadeSeconds = 0) {
+  const teardown = () => {
+    try {
+      entry.source?.stop();
+    } catch (e) {
+      // 既に停止している場合はエラーを無視
+    }
+    entry.gainNode.disconnect();
+    entry.panner?.disconnect();
+  };
+
+  if (fadeSeconds > 0 && entry.source) {
+    rampParam(entry.gainNode.gain, 0, fadeSeconds);
+    setTimeout(teardown, fadeSeconds * 1000 + 50);
+  } else {
+    teardown();
+  }
+}
+
+function stopLayer(id, fadeSeconds = 0) {
+  const entry = activeLayers.get(id);
+  if (!entry) return;
+
+  activeLayers.delete(id);
+  retireLayer(entry, fadeSeconds);
+}
+
+/**
+ * 再生中のレイヤーに設定を反映
+ * 音源が変わった場合はクロスフェードで差し替え、ゲインとパンはランプで更新する
+ */
+function applyLayer(ctx, config) {
+  const entry = activeLayers.get(config.id);
+  if (!entry || entry.sound !== resolveSound(config)) {
+    stopLayer(config.id, fadeDurations.crossfade);
+    startLayer(ctx, config, fadeDurations.crossfade);
+    return;
+  }
+
+  entry.config = config;
+  if (entry.source) {
+    rampParam(entry.gainNode.gain, getLayerGain(config), VOLUME_RAMP_SECONDS);
+  }
+  if (entry.panner) rampParam(entry.panner.pan, config.pan, VOLUME_RAMP_SECONDS);
+}
+
+/**
+ * ローカット・ハイカットのフィルタを作成
+ * 周波数はサンプリング周波数の半分を超えないようにする
+ */
+function createFilterChain(ctx) {
+  const lowCut = ctx.createBiquadFilter();
+  lowCut.type = 'highpass';
+  lowCut.Q.value = 0.707;
+  lowCut.frequency.value = currentFilters.lowCut;
+
+  const highCut = ctx.createBiquadFilter();
+  highCut.type = 'lowpass';
+  highCut.Q.value = 0.707;
+  highCut.frequency.value = Math.min(currentFilters.highCut, ctx.sampleRate / 2);
+
+  lowCut.connect(highCut);
+  highCut.connect(masterGain);
+  return { input: lowCut, lowCut, highCut };
+}
+
+/**
+ * トーンレイヤーを開始
+ */
+function startTone(ctx, fadeSeconds = 0) {
+  const source = createToneSource(ctx, toneConfig);
+  const gainNode = ctx.createGain();
+  gainNode.gain.value = 0;
+  source.output.connect(gainNode);
+  gainNode.connect(masterGain);
+  rampParam(gainNode.gain, toneConfig.volume, fadeSeconds);
+
+  activeTone = { mode: toneConfig.mode, source, gainNode };
+}
+
+/**
+ * トーンレイヤーを停止
+ * @param {Object} entry - 停止するトーン
+ */
+function retireTone(entry, fadeSeconds = 0) {
+  const teardown = () => {
+    try {
+      entry.source.stop();
+    } catch (e) {
+      // 既に停止している場合はエラーを無視
+    }
+    entry.gainNode.disconnect();
+  };
+
+  if (fadeSeconds > 0) {
+    rampParam(entry.gainNode.gain, 0, fadeSeconds);
+    setTimeout(teardown, fadeSeconds * 1000 + 50);
+  } else {
+    teardown();
   }
-  
-  return buffer;
 }
 
 /**
  * ノイズを開始
- * @param {string} noiseType - 'white', 'pink', 'brown'
- * @param {number} volume - 0-1
+ * マスター音量は設定されたフェードイン時間をかけて 0 から上げる
+ * @param {string|number} noise - 'white', 'pink', 'brown' または色の値（0〜3）
+ * @param {number} volume - 0-1（マスター音量）
  */
-export function startNoise(noiseType = 'brown', volume = 0.3) {
+export function startNoise(noise = 'brown', volume = 0.3) {
   if (isPlaying) return;
 
   const ctx = initAudioContext();
@@ -93,62 +280,21 @@ export function startNoise(noiseType = 'brown', volume = 0.3) {
   }
 
   currentVolume = volume;
-  currentNoiseType = noiseType;
+  currentColor = typeof noise === 'number' ? noise : NOISE_COLOR_VALUES[noise] ?? currentColor;
+
+  // マスターゲインの作成
+  levelGain = ctx.createGain();
+  levelGain.gain.value = currentLevel;
+  levelGain.connect(ctx.destination);
+  masterGain = ctx.createGain();
+  masterGain.gain.value = 0;
+  masterGain.connect(levelGain);
+  rampParam(masterGain.gain, volume, fadeDurations.fadeIn);
+  filterChain = createFilterChain(ctx);
 
-  // ホワイトノイズバッファを生成
-  const buffer = generateWhiteNoiseBuffer(ctx);
-  
-  // バッファソースの作成
-  const source = ctx.createBufferSource();
-  source.buffer = buffer;
-  source.loop = true;
-  
-  // ゲインノードの作成
-  const gainNode = ctx.createGain();
-  gainNode.gain.value = volume;
-  
-  // ノイズタイプに応じたフィルタリング
-  let lastNode = source;
-  
-  if (noiseType === 'white') {
-    // ホワイトノイズ：フィルタなし
-    source.connect(gainNode);
-  } else if (noiseType === 'pink') {
-    // ピンクノイズ：ハイパスフィルタで低周波を減衰
-    const filter = ctx.createBiquadFilter();
-    filter.type = 'highpass';
-    filter.frequency.value = 100;
-    filter.Q.value = 0.707;
-    
-    source.connect(filter);
-    filter.connect(gainNode);
-    filterNodes.push(filter);
-  } else if (noiseType === 'brown') {
-    // ブラウンノイズ：複数のローパスフィルタで低周波を強調
-    const filter1 = ctx.createBiquadFilter();
-    filter1.type = 'lowpass';
-    filter1.frequency.value = 500;
-    filter1.Q.value = 0.707;
-    
-    const filter2 = ctx.createBiquadFilter();
-    filter2.type = 'lowpass';
-    filter2.frequency.value = 200;
-    filter2.Q.value = 0.707;
-    
-    source.connect(filter1);
-    filter1.connect(filter2);
-    filter2.connect(gainNode);
-    filterNodes.push(filter1, filter2);
-  }
-  
-  gainNode.connect(ctx.destination);
-  
-  source.start(0);
-  
-  bufferSources.push(source);
-  gainNodes.push(gainNode);
-  
   isPlaying = true;
+  layerConfigs.forEach(config => startLayer(ctx, config));
+  if (toneConfig.enabled) startTone(ctx);
 }
 
 // 後方互換性のため
@@ -156,39 +302,173 @@ export function startBrownNoise(volume = 0.3) {
   startNoise('brown', volume);
 }
 
-export function stopBrownNoise() {
+/**
+ * ノイズを停止
+ * フェードアウト中に再開された場合は、新しいマスターゲインで独立して鳴らす
+ * @param {number} fadeSeconds - フェードアウト時間（省略時は設定値）
+ */
+export function stopBrownNoise(fadeSeconds = fadeDurations.fadeOut) {
   if (!isPlaying) return;
 
-  bufferSources.forEach(source => {
-    try {
-      source.stop();
-    } catch (e) {
-      // 既に停止している場合はエラーを無視
-    }
-  });
-  
-  bufferSources = [];
-  gainNodes = [];
-  filterNodes = [];
+  const master = masterGain;
+  const level = levelGain;
+  const filters = filterChain;
+  const tone = activeTone;
+  const entries = Array.from(activeLayers.values());
+  activeLayers.clear();
+  masterGain = null;
+  levelGain = null;
+  filterChain = null;
+  activeTone = null;
   isPlaying = false;
+
+  const teardown = () => {
+    entries.forEach(entry => retireLayer(entry));
+    if (tone) retireTone(tone);
+    filters.lowCut.disconnect();
+    filters.highCut.disconnect();
+    master.disconnect();
+    level.disconnect();
+  };
+
+  if (fadeSeconds > 0) {
+    rampParam(master.gain, 0, fadeSeconds);
+    setTimeout(teardown, fadeSeconds * 1000 + 50);
+  } else {
+    teardown();
+  }
+}
+
+/**
+ * ノイズの色を変更
+ * ベースレイヤーの音源はそのままに、色だけをグライドさせる
+ * 取り込んだ音声を鳴らしている間は、次にノイズへ戻したときの色になる
+ * @param {number} color - 0（ホワイト）〜 3（ブラウンより深い）
+ * @param {number} seconds - 変化にかける時間
+ */
+export function changeNoiseColor(color, seconds = VOLUME_RAMP_SECONDS) {
+  if (color === currentColor) return;
+  currentColor = color;
+  const entry = activeLayers.get(BASE_LAYER_ID);
+  if (entry?.sound === BASE_SOUND) entry.source?.setColor(color, seconds);
+}
+
+/**
+ * ベースレイヤーで鳴らす取り込んだ音声を設定（null でノイズに戻す）
+ * 音声やループの重ね方が変わった場合はクロスフェードで差し替え、正規化の倍率だけならランプで更新する
+ * @param {{ sound: string, buffer: AudioBuffer, gain: number, crossfade: number } | null} audio
+ */
+export function setBaseAudio(audio) {
+  const previous = baseAudio;
+  baseAudio = audio ? { ...audio } : null;
+  if (!isPlaying || (!previous && !baseAudio)) return;
+
+  const entry = activeLayers.get(BASE_LAYER_ID);
+  const config = layerConfigs.find(layer => layer.id === BASE_LAYER_ID);
+  if (!config) return;
+
+  const sameLoop = previous && baseAudio
+    && previous.sound === baseAudio.sound
+    && previous.buffer === baseAudio.buffer
+    && previous.crossfade === baseAudio.crossfade;
+  if (sameLoop && entry?.source) {
+    entry.source.setGain(baseAudio.gain, VOLUME_RAMP_SECONDS);
+    return;
+  }
+
+  stopLayer(BASE_LAYER_ID, fadeDurations.crossfade);
+  startLayer(initAudioContext(), config, fadeDurations.crossfade);
 }
 
 /**
  * ノイズタイプを変更
+ * ベースレイヤーの色をクロスフェード時間をかけて移行する
  * @param {string} noiseType - 'white', 'pink', 'brown'
  */
 export function changeNoiseType(noiseType) {
-  if (isPlaying) {
-    stopBrownNoise();
-    startNoise(noiseType, currentVolume);
+  changeNoiseColor(NOISE_COLOR_VALUES[noiseType] ?? currentColor, fadeDurations.crossfade);
+}
+
+/**
+ * ローカット・ハイカットの周波数を設定
+ * @param {{ lowCut?: number, highCut?: number }} filters - Hz
+ */
+export function setNoiseFilters(filters) {
+  currentFilters = { ...currentFilters, ...filters };
+  if (!filterChain) return;
+
+  rampParam(filterChain.lowCut.frequency, currentFilters.lowCut, VOLUME_RAMP_SECONDS);
+  rampParam(
+    filterChain.highCut.frequency,
+    Math.min(currentFilters.highCut, audioContext.sampleRate / 2),
+    VOLUME_RAMP_SECONDS,
+  );
+}
+
+/**
+ * トーンレイヤーを設定
+ * 方式が変わった場合はクロスフェードで差し替え、周波数と音量はランプで更新する
+ * @param {{ enabled: boolean, mode: 'binaural'|'isochronic', carrier: number, beat: number, volume: number }} tone
+ */
+export function setToneLayer(tone) {
+  toneConfig = { ...tone };
+  if (!isPlaying) return;
+
+  const ctx = initAudioContext();
+  if (!toneConfig.enabled) {
+    if (activeTone) {
+      retireTone(activeTone, fadeDurations.crossfade);
+      activeTone = null;
+    }
+    return;
   }
+
+  if (!activeTone || activeTone.mode !== toneConfig.mode) {
+    if (activeTone) retireTone(activeTone, fadeDurations.crossfade);
+    startTone(ctx, fadeDurations.crossfade);
+    return;
+  }
+
+  activeTone.source.update(toneConfig, VOLUME_RAMP_SECONDS);
+  rampParam(activeTone.gainNode.gain, toneConfig.volume, VOLUME_RAMP_SECONDS);
+}
+
+/**
+ * サウンドスケープのレイヤー構成を設定
+ * 再生中であれば差分だけを反映する
+ * @param {Array<{ id: string, sound: string|null, gain: number, muted: boolean, pan: number }>} layers
+ */
+export function setSoundscapeLayers(layers) {
+  layerConfigs = layers.map(layer => ({ ...layer }));
+  if (!isPlaying) return;
+
+  const ctx = initAudioContext();
+  const ids = new Set(layerConfigs.map(config => config.id));
+  Array.from(activeLayers.keys())
+    .filter(id => !ids.has(id))
+    .forEach(id => stopLayer(id, fadeDurations.crossfade));
+  layerConfigs.forEach(config => applyLayer(ctx, config));
 }
 
 export function setBrownNoiseVolume(volume) {
   currentVolume = volume;
-  gainNodes.forEach((gainNode) => {
-    gainNode.gain.value = volume;
-  });
+  if (masterGain) {
+    rampParam(masterGain.gain, volume, VOLUME_RAMP_SECONDS);
+  }
+}
+
+/**
+ * 音量設定とは別に、出力のレベルを変える
+ * 休憩中に小さくする、スリープタイマーの最後の数分でゆっくり下げるといった用途に使う
+ * 停止中に設定した値は次の再生開始時に使われる
+ * @param {number} level - 0-1（音量設定に掛け合わせる割合）
+ * @param {number} seconds - 変化にかける時間
+ */
+export function setNoiseLevel(level, seconds = VOLUME_RAMP_SECONDS) {
+  currentLevel = level;
+  if (levelGain) {
+    rampParam(levelGain.gain, level, seconds);
+  }
 }
 
 export function isBrownNoisePlaying() {
@@ -197,7 +477,7 @@ export function isBrownNoisePlaying() {
 
 // バックグラウンド再生の永続化
 export function enableBackgroundPlayback() {
-  // Service Worker でタイマーを管理
+  // Service Worker にこのページをタイマーの実行元として登録（通知アクションの転送先になる）
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.ready.then(registration => {
       registration.active?.postMessage({
@@ -223,6 +503,6 @@ document.addEventListener('visibilitychange', () => {
 
 // ページを離れる際の処理
 window.addEventListener('beforeunload', () => {
-  // ノイズを停止
-  stopBrownNoise();
+  // ノイズを停止（ページが閉じるためフェードしない）
+  stopBrownNoise(0);
 });
@@ -0,0 +1,86 @@
+import React from 'react'
+import { ALERT_SOUND_OPTIONS, CUE_SOUNDS, playAlertSound } from '../alertSounds'
+import { useI18n } from '../i18n/I18nProvider'
+
+const PHASE_SOUNDS = [
+  { key: 'focusEnd', labelKey: 'alertSounds.focusEnd' },
+  { key: 'breakEnd', labelKey: 'alertSounds.breakEnd' },
+]
+
+const CUES = [
+  { key: 'halfwayCue', sound: CUE_SOUNDS.halfway, labelKey: 'alertSounds.halfwayCue' },
+  { key: 'oneMinuteCue', sound: CUE_SOUNDS.oneMinute, labelKey: 'alertSounds.oneMinuteCue' },
+]
+
+/**
+ * アラート音の設定
+ * 集中終了・休憩終了のチャイム、アラートの音量、途中の合図を選び、それぞれ試聴できる
+ */
+export default function AlertSoundSettings({ settings, onChange }) {
+  const { t } = useI18n()
+
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="alert-sound-settings">
+      {PHASE_SOUNDS.map(phase => (
+        <div key={phase.key} className="alert-sound-row">
+          <label htmlFor={`alert-sound-${phase.key}`}>{t(phase.labelKey)}</label>
+          <select
+            id={`alert-sound-${phase.key}`}
+            value={settings[phase.key]}
+            onChange={(e) => update({ [phase.key]: e.target.value })}
+            className="input-select"
+          >
+            {ALERT_SOUND_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+            ))}
+          </select>
+          <button
+            className="mixer-icon-btn"
+            onClick={() => playAlertSound(settings[phase.key], settings.volume)}
+            disabled={settings[phase.key] === 'none'}
+            aria-label={t('alertSounds.preview', { name: t(phase.labelKey) })}
+          >
+            ▶
+          </button>
+        </div>
+      ))}
+
+      <label className="noise-tuning-row" htmlFor="alert-volume-slider">
+        <span>{t('alertSounds.volume')}</span>
+        <span className="volume-value">{Math.round(settings.volume * 100)}%</span>
+      </label>
+      <input
+        id="alert-volume-slider"
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={settings.volume}
+        onChange={(e) => update({ volume: parseFloat(e.target.value) })}
+        className="volume-slider"
+      />
+
+      {CUES.map(cue => (
+        <div key={cue.key} className="alert-sound-row">
+          <label className="setting-toggle">
+            <input
+              type="checkbox"
+              checked={settings[cue.key]}
+              onChange={(e) => update({ [cue.key]: e.target.checked })}
+            />
+            {t(cue.labelKey)}
+          </label>
+          <button
+            className="mixer-icon-btn"
+            onClick={() => playAlertSound(cue.sound, settings.volume)}
+            aria-label={t('alertSounds.preview', { name: t(cue.labelKey) })}
+          >
+            ▶
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
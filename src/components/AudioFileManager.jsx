@@ -0,0 +1,120 @@
+import React, { useRef, useState } from 'react'
+import { AUDIO_FILE_LIMITS, AudioFileError, importAudioFile } from '../audioFiles'
+import { toAudioFileSound } from '../soundscape'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 再生時間（m:ss）
+const formatLength = (seconds) => {
+  const total = Math.round(seconds)
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`
+}
+
+/**
+ * 取り込んだ音声ファイルの管理
+ * 取り込み・ベースレイヤーでの選択・音量の正規化・ループのクロスフェード・削除を行う
+ */
+export default function AudioFileManager({ files, selectedSound, onSelect, onImported, onChange, onDelete }) {
+  const { t } = useI18n()
+  const [error, setError] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    // 同じファイルを選び直しても change が発生するようにする
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    setImporting(true)
+    try {
+      onImported(await importAudioFile(file))
+    } catch (err) {
+      console.error('Failed to import audio file:', err)
+      setError(err instanceof AudioFileError ? t(`audioFiles.error.${err.code}`) : t('audioFiles.error.failed'))
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <div className="audio-files">
+      {files.length > 0 && (
+        <ul className="audio-file-list">
+          {files.map(file => {
+            const sound = toAudioFileSound(file.id)
+            const selected = sound === selectedSound
+            return (
+              <li key={file.id} className={`audio-file ${selected ? 'selected' : ''}`}>
+                <div className="audio-file-header">
+                  <span className="audio-file-name">{file.name}</span>
+                  <span className="audio-file-duration">{formatLength(file.duration)}</span>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => onSelect(selected ? 'brown' : sound)}
+                    aria-pressed={selected}
+                  >
+                    {t(selected ? 'audioFiles.inUse' : 'audioFiles.use')}
+                  </button>
+                  <button
+                    className="mixer-icon-btn"
+                    onClick={() => {
+                      if (window.confirm(t('audioFiles.confirmDelete', { name: file.name }))) onDelete(file.id)
+                    }}
+                    aria-label={t('audioFiles.delete', { name: file.name })}
+                  >
+                    ✕
+                  </button>
+                </div>
+                <label className="setting-toggle">
+                  <input
+                    type="checkbox"
+                    checked={file.normalize}
+                    onChange={(e) => onChange(file.id, { normalize: e.target.checked })}
+                  />
+                  {t('audioFiles.normalize')}
+                </label>
+                <label className="audio-file-crossfade">
+                  {t('audioFiles.crossfade')}
+                  <input
+                    type="range"
+                    min={AUDIO_FILE_LIMITS.crossfade.min}
+                    max={Math.min(AUDIO_FILE_LIMITS.crossfade.max, Math.floor(file.duration / 3))}
+                    step="0.5"
+                    value={file.crossfade}
+                    onChange={(e) => onChange(file.id, { crossfade: parseFloat(e.target.value) })}
+                    className="volume-slider"
+                  />
+                  <span className="volume-value">{t('audioFiles.seconds', { value: file.crossfade })}</span>
+                </label>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="audio/*"
+        onChange={handleFile}
+        hidden
+      />
+      <button
+        className="btn btn-secondary"
+        onClick={() => fileInputRef.current.click()}
+        disabled={importing}
+      >
+        {t(importing ? 'audioFiles.importing' : 'audioFiles.import')}
+      </button>
+      <p className="setting-note">
+        {t('audioFiles.note', {
+          size: AUDIO_FILE_LIMITS.maxBytes / 1024 / 1024,
+          minutes: AUDIO_FILE_LIMITS.maxDuration / 60,
+        })}
+      </p>
+
+      {error && <p className="setting-note data-error" role="alert">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 紙吹雪の数。横に等間隔で並べ、落ち始めをずらす（色は CSS の nth-child で変える）
+const CONFETTI_COUNT = 12
+
+/**
+ * バッジ獲得のお祝い（フェーズ終了時の 🎉 の代わりに表示）
+ * 読み上げはライブリージョンで行うため、オーバーレイ自体は支援技術から隠す
+ */
+export default function BadgeCelebration({ badges }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="alert-overlay" aria-hidden="true">
+      <div className="alert-content badge-celebration">
+        <div className="badge-confetti">
+          {Array.from({ length: CONFETTI_COUNT }, (_, i) => (
+            <span
+              key={i}
+              style={{ left: `${((i + 0.5) / CONFETTI_COUNT) * 100}%`, animationDelay: `${(i % 4) * 0.15}s` }}
+            />
+          ))}
+        </div>
+        <div className="badge-celebration-icons">
+          {badges.map(badge => <span key={badge.id}>{badge.icon}</span>)}
+        </div>
+        <div className="alert-text">{t('badges.earned', { count: badges.length })}</div>
+        <ul className="badge-celebration-names">
+          {badges.map(badge => <li key={badge.id}>{t(`badges.items.${badge.id}.name`)}</li>)}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * 本日の完了数と1日の目標の進捗、連続記録
+ * 目標を超えてもバーは満タンのまま、数はそのまま表示する
+ */
+export default function DailyGoal({ count, goal, streak }) {
+  const { t } = useI18n()
+  const progress = Math.min(1, count / goal)
+
+  return (
+    <div className="daily-goal">
+      <div className="pomodoro-count">
+        {t('count.today', {
+          value: <span key="value" className="count-value">{count}</span>,
+          goal,
+          // 複数形は目標の数に合わせる（英語の「of 4 pomodoros」）
+          count: goal,
+        })}
+      </div>
+      <div
+        className={`daily-goal-track ${count >= goal ? 'met' : ''}`}
+        role="progressbar"
+        aria-label={t('goals.progress')}
+        aria-valuemin={0}
+        aria-valuemax={goal}
+        aria-valuenow={Math.min(count, goal)}
+      >
+        <div className="daily-goal-fill" style={{ width: `${progress * 100}%` }} />
+      </div>
+      {streak.current > 0 && (
+        <div className="daily-goal-streak">
+          {t(streak.todayMet ? 'goals.streak' : 'goals.streakPending', { count: streak.current })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,128 @@
+import React, { useRef, useState } from 'react'
+import {
+  IMPORT_MODES,
+  BackupError,
+  applyBackup,
+  createBackup,
+  downloadFile,
+  parseBackup,
+  sessionsToCsv,
+  sessionsToIcs,
+} from '../backup'
+import { importSessions } from '../sessionHistory'
+import { TAB_MESSAGES, postTabMessage } from '../tabSync'
+import { getDayKey } from '../statistics'
+import { useI18n } from '../i18n/I18nProvider'
+
+const FILE_PREFIX = 'brown-noise-timer'
+
+/**
+ * データのエクスポート・インポート
+ * JSON バックアップの書き出しと復元（マージ／置き換え）、セッション履歴の CSV・.ics 書き出しを行う
+ * 復元後はすべての設定を読み込み直すためページを再読み込みする
+ */
+export default function DataManager({ sessions }) {
+  const { t } = useI18n()
+  const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE)
+  const [error, setError] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const today = getDayKey(Date.now())
+
+  const exportBackup = () => {
+    const backup = createBackup(sessions)
+    downloadFile(`${FILE_PREFIX}-backup-${today}.json`, JSON.stringify(backup, null, 2), 'application/json')
+  }
+
+  const exportCsv = () => {
+    downloadFile(`${FILE_PREFIX}-sessions-${today}.csv`, sessionsToCsv(sessions), 'text/csv;charset=utf-8')
+  }
+
+  const exportIcs = () => {
+    const ics = sessionsToIcs(sessions, session => (
+      session.taskTitle ? `${t('phase.focus')}: ${session.taskTitle}` : t('phase.focus')
+    ))
+    downloadFile(`${FILE_PREFIX}-focus-${today}.ics`, ics, 'text/calendar;charset=utf-8')
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    // 同じファイルを選び直しても change が発生するようにする
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    try {
+      const backup = parseBackup(await file.text())
+      if (importMode === IMPORT_MODES.REPLACE && !window.confirm(t('data.confirmReplace'))) return
+
+      setImporting(true)
+      const newSessions = applyBackup(backup, importMode, sessions)
+      await importSessions(newSessions, { replace: importMode === IMPORT_MODES.REPLACE })
+      // 設定は storage イベントで他のタブにも反映される。履歴は読み込み直してもらう
+      postTabMessage(TAB_MESSAGES.SESSIONS_CHANGED)
+      window.location.reload()
+    } catch (err) {
+      console.error('Failed to import backup:', err)
+      setError(err instanceof BackupError ? t(`data.error.${err.code}`) : t('data.error.failed'))
+      setImporting(false)
+    }
+  }
+
+  return (
+    <div className="data-manager">
+      <div className="data-actions">
+        <button className="btn btn-secondary" onClick={exportBackup}>
+          {t('data.exportBackup')}
+        </button>
+        <button className="btn btn-secondary" onClick={exportCsv} disabled={sessions.length === 0}>
+          {t('data.exportCsv')}
+        </button>
+        <button className="btn btn-secondary" onClick={exportIcs} disabled={sessions.length === 0}>
+          {t('data.exportIcs')}
+        </button>
+      </div>
+
+      <fieldset className="data-import">
+        <legend>{t('data.importMode')}</legend>
+        <label className="setting-toggle">
+          <input
+            type="radio"
+            name="import-mode"
+            value={IMPORT_MODES.MERGE}
+            checked={importMode === IMPORT_MODES.MERGE}
+            onChange={(e) => setImportMode(e.target.value)}
+          />
+          {t('data.merge')}
+        </label>
+        <label className="setting-toggle">
+          <input
+            type="radio"
+            name="import-mode"
+            value={IMPORT_MODES.REPLACE}
+            checked={importMode === IMPORT_MODES.REPLACE}
+            onChange={(e) => setImportMode(e.target.value)}
+          />
+          {t('data.replace')}
+        </label>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          hidden
+        />
+        <button
+          className="btn btn-secondary"
+          onClick={() => fileInputRef.current.click()}
+          disabled={importing}
+        >
+          {t('data.import')}
+        </button>
+      </fieldset>
+
+      {error && <p className="setting-note data-error" role="alert">{error}</p>}
+    </div>
+  )
+}
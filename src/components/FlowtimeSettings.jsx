@@ -0,0 +1,84 @@
+import React from 'react'
+import { BREAK_DIVISOR_OPTIONS, FLOWTIME_LIMITS, normalizeFlowtimeSettings } from '../flowtime'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * Flowtime の設定
+ * 休憩の割合（集中時間の 1/N）・休憩の最短と最長・チェックインのチャイム
+ */
+export default function FlowtimeSettings({ settings, onChange }) {
+  const { t } = useI18n()
+
+  // 範囲外の値や最短 > 最長は正規化で整える
+  const update = (changes) => onChange(normalizeFlowtimeSettings({ ...settings, ...changes }))
+
+  const handleMinutes = (key) => (e) => {
+    const value = parseInt(e.target.value)
+    if (Number.isFinite(value)) update({ [key]: value })
+  }
+
+  return (
+    <div className="flowtime-settings">
+      <label className="noise-tuning-row" htmlFor="flowtime-ratio-select">
+        <span>{t('flowtime.settings.ratio')}</span>
+        <select
+          id="flowtime-ratio-select"
+          value={settings.breakDivisor}
+          onChange={(e) => update({ breakDivisor: parseInt(e.target.value) })}
+          className="input-select"
+        >
+          {BREAK_DIVISOR_OPTIONS.map(divisor => (
+            <option key={divisor} value={divisor}>{t('flowtime.settings.ratioOption', { divisor })}</option>
+          ))}
+        </select>
+      </label>
+      <label className="noise-tuning-row" htmlFor="flowtime-min-break-input">
+        <span>{t('flowtime.settings.minBreak')}</span>
+        <input
+          id="flowtime-min-break-input"
+          type="number"
+          min={FLOWTIME_LIMITS.breakMinutes.min}
+          max={FLOWTIME_LIMITS.breakMinutes.max}
+          value={settings.minBreakMinutes}
+          onChange={handleMinutes('minBreakMinutes')}
+          className="input-number"
+        />
+      </label>
+      <label className="noise-tuning-row" htmlFor="flowtime-max-break-input">
+        <span>{t('flowtime.settings.maxBreak')}</span>
+        <input
+          id="flowtime-max-break-input"
+          type="number"
+          min={settings.minBreakMinutes}
+          max={FLOWTIME_LIMITS.breakMinutes.max}
+          value={settings.maxBreakMinutes}
+          onChange={handleMinutes('maxBreakMinutes')}
+          className="input-number"
+        />
+      </label>
+      <label className="setting-toggle">
+        <input
+          type="checkbox"
+          checked={settings.checkIn}
+          onChange={(e) => update({ checkIn: e.target.checked })}
+        />
+        {t('flowtime.settings.checkIn')}
+      </label>
+      {settings.checkIn && (
+        <label className="noise-tuning-row" htmlFor="flowtime-check-in-input">
+          <span>{t('flowtime.settings.checkInMinutes')}</span>
+          <input
+            id="flowtime-check-in-input"
+            type="number"
+            min={FLOWTIME_LIMITS.checkInMinutes.min}
+            max={FLOWTIME_LIMITS.checkInMinutes.max}
+            value={settings.checkInMinutes}
+            onChange={handleMinutes('checkInMinutes')}
+            className="input-number"
+          />
+        </label>
+      )}
+      <p className="setting-note">{t('flowtime.settings.note')}</p>
+    </div>
+  )
+}
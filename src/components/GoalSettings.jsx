@@ -0,0 +1,56 @@
+import React from 'react'
+import { DAILY_GOAL_LIMITS } from '../goals'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 2023-01-01 は日曜日。曜日名をロケールに合わせて作る
+const WEEKDAY_DATES = Array.from({ length: 7 }, (_, i) => new Date(2023, 0, 1 + i))
+
+/**
+ * 1日の目標と休息日の設定
+ */
+export default function GoalSettings({ settings, onChange }) {
+  const { t, formatters } = useI18n()
+
+  const toggleRestDay = (day) => {
+    const restDays = settings.restDays.includes(day)
+      ? settings.restDays.filter(item => item !== day)
+      : [...settings.restDays, day].sort()
+    onChange({ ...settings, restDays })
+  }
+
+  return (
+    <div className="goal-settings">
+      <label className="noise-tuning-row" htmlFor="daily-goal-input">
+        <span>{t('goals.dailyGoal')}</span>
+        <input
+          id="daily-goal-input"
+          type="number"
+          min={DAILY_GOAL_LIMITS.min}
+          max={DAILY_GOAL_LIMITS.max}
+          value={settings.dailyGoal}
+          onChange={(e) => {
+            const value = parseInt(e.target.value)
+            if (!Number.isFinite(value)) return
+            const { min, max } = DAILY_GOAL_LIMITS
+            onChange({ ...settings, dailyGoal: Math.min(max, Math.max(min, value)) })
+          }}
+          className="input-number"
+        />
+      </label>
+      <fieldset className="goal-rest-days">
+        <legend>{t('goals.restDays')}</legend>
+        {WEEKDAY_DATES.map(date => (
+          <label key={date.getDay()} className="goal-rest-day">
+            <input
+              type="checkbox"
+              checked={settings.restDays.includes(date.getDay())}
+              onChange={() => toggleRestDay(date.getDay())}
+            />
+            {formatters.weekday(date)}
+          </label>
+        ))}
+      </fieldset>
+      <p className="setting-note">{t('goals.restDaysNote')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { INTERRUPTION_KINDS } from '../interruptions'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * 中断の記録ダイアログ
+ * 内的・外的のボタンを押すとその種類で記録する（Enter は内的）。メモは任意
+ * source が reset の場合は、理由を残さずにリセットする onSkip も表示する
+ */
+export default function InterruptionDialog({ source, onSubmit, onSkip, onCancel }) {
+  const { t } = useI18n()
+  const [note, setNote] = useState('')
+  const noteRef = useRef(null)
+
+  // 閉じたら開く前の要素にフォーカスを戻す
+  useEffect(() => {
+    const previous = document.activeElement
+    noteRef.current?.focus()
+    return () => previous?.focus?.()
+  }, [])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      onCancel()
+    }
+  }
+
+  return (
+    <div className="alert-overlay" onKeyDown={handleKeyDown}>
+      <form
+        className="alert-content interruption-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="interruption-title"
+        onSubmit={(e) => {
+          e.preventDefault()
+          onSubmit({ kind: INTERRUPTION_KINDS[0], note })
+        }}
+      >
+        <h2 id="interruption-title">{t(`interruptions.prompt.${source}`)}</h2>
+        <input
+          ref={noteRef}
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={t('interruptions.note')}
+          className="input-text"
+          aria-label={t('interruptions.note')}
+          maxLength={200}
+        />
+        <div className="interruption-kinds">
+          {INTERRUPTION_KINDS.map(kind => (
+            <button
+              key={kind}
+              type="button"
+              className="btn btn-primary"
+              onClick={() => onSubmit({ kind, note })}
+            >
+              {t(`interruptions.kinds.${kind}`)}
+            </button>
+          ))}
+        </div>
+        <div className="interruption-actions">
+          {onSkip && (
+            <button type="button" className="btn btn-secondary" onClick={onSkip}>
+              {t('interruptions.resetWithoutReason')}
+            </button>
+          )}
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>
+            {t(source === 'pause' ? 'interruptions.skip' : 'interruptions.cancel')}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
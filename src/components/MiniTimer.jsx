@@ -0,0 +1,47 @@
+import React from 'react'
+import ProgressRing from './ProgressRing'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * ミニタイマー（Document Picture-in-Picture のウィンドウに描画）
+ * 進捗リング・残り時間・フェーズ名と、一時停止/再開・スキップのボタンだけを表示する
+ * スキップのボタン名は Flowtime の集中では「終了」になるため、表示名と読み上げ用の名前を受け取る
+ * テーマのクラスとフェーズの色はメインの画面と同じものを受け取る
+ */
+export default function MiniTimer({
+  className,
+  style,
+  progress,
+  time,
+  label,
+  ringLabel,
+  startPauseLabel,
+  onStartPause,
+  onSkip,
+  skipLabel,
+  skipAriaLabel,
+}) {
+  const { t } = useI18n()
+
+  return (
+    <div className={`${className} mini-timer`} style={style}>
+      <div className="timer-circle mini-timer-circle">
+        <ProgressRing progress={progress} label={ringLabel} />
+        <div className="mini-timer-text">
+          <div className="timer-text">{time}</div>
+          <div className="mini-timer-phase">{label}</div>
+        </div>
+      </div>
+      <div className="mini-timer-controls">
+        <button className="btn btn-primary" onClick={onStartPause}>
+          {startPauseLabel}
+        </button>
+        {onSkip && (
+          <button className="btn btn-secondary" onClick={onSkip} aria-label={skipAriaLabel ?? t('controls.skipLabel')}>
+            {skipLabel ?? t('controls.skip')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,165 @@
+import React from 'react'
+import { MAX_NOISE_COLOR, NOISE_COLOR_VALUES, NOISE_FILTER_LIMITS, TONE_LIMITS, TONE_MODES } from '../soundscape'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 周波数スライダーは対数で動かす（0〜1 の位置 ⇔ Hz）
+const toLogPosition = (value, { min, max }) => Math.log(value / min) / Math.log(max / min)
+const fromLogPosition = (position, { min, max }) => Math.round(min * Math.pow(max / min, position))
+
+/**
+ * ノイズの色・フィルタとトーンレイヤーの調整
+ * 色はホワイト（0）からピンク・ブラウンを経てさらに深い音（3）まで連続的に変えられる
+ */
+export default function NoiseTuning({
+  color,
+  onColorChange,
+  lowCut,
+  highCut,
+  onFiltersChange,
+  tone,
+  onToneChange,
+}) {
+  const { t } = useI18n()
+
+  const updateTone = (changes) => onToneChange({ ...tone, ...changes })
+
+  return (
+    <div className="noise-tuning">
+      {/* 色 */}
+      <label className="noise-tuning-row" htmlFor="noise-color-slider">
+        <span>{t('tuning.color')}</span>
+        <span className="volume-value">{t('tuning.slope', { value: (-3 * color).toFixed(1) })}</span>
+      </label>
+      <input
+        id="noise-color-slider"
+        type="range"
+        min="0"
+        max={MAX_NOISE_COLOR}
+        step="0.05"
+        value={color}
+        onChange={(e) => onColorChange(parseFloat(e.target.value))}
+        className="volume-slider"
+        list="noise-color-marks"
+      />
+      <datalist id="noise-color-marks">
+        {Object.values(NOISE_COLOR_VALUES).map(value => <option key={value} value={value} />)}
+      </datalist>
+      <div className="noise-color-labels" aria-hidden="true">
+        <span>{t('sound.white')}</span>
+        <span>{t('sound.pink')}</span>
+        <span>{t('sound.brown')}</span>
+        <span>{t('tuning.deep')}</span>
+      </div>
+
+      {/* フィルタ */}
+      <label className="noise-tuning-row" htmlFor="low-cut-slider">
+        <span>{t('tuning.lowCut')}</span>
+        <span className="volume-value">
+          {lowCut <= NOISE_FILTER_LIMITS.lowCut.min ? t('tuning.off') : `${lowCut} Hz`}
+        </span>
+      </label>
+      <input
+        id="low-cut-slider"
+        type="range"
+        min="0"
+        max="1"
+        step="0.01"
+        value={toLogPosition(lowCut, NOISE_FILTER_LIMITS.lowCut)}
+        onChange={(e) => onFiltersChange({
+          lowCut: fromLogPosition(parseFloat(e.target.value), NOISE_FILTER_LIMITS.lowCut),
+          highCut,
+        })}
+        className="volume-slider"
+      />
+      <label className="noise-tuning-row" htmlFor="high-cut-slider">
+        <span>{t('tuning.highCut')}</span>
+        <span className="volume-value">
+          {highCut >= NOISE_FILTER_LIMITS.highCut.max ? t('tuning.off') : `${highCut} Hz`}
+        </span>
+      </label>
+      <input
+        id="high-cut-slider"
+        type="range"
+        min="0"
+        max="1"
+        step="0.01"
+        value={toLogPosition(highCut, NOISE_FILTER_LIMITS.highCut)}
+        onChange={(e) => onFiltersChange({
+          lowCut,
+          highCut: fromLogPosition(parseFloat(e.target.value), NOISE_FILTER_LIMITS.highCut),
+        })}
+        className="volume-slider"
+      />
+
+      {/* トーンレイヤー */}
+      <label className="setting-toggle">
+        <input
+          type="checkbox"
+          checked={tone.enabled}
+          onChange={(e) => updateTone({ enabled: e.target.checked })}
+        />
+        {t('tuning.tone')}
+      </label>
+      {tone.enabled && (
+        <div className="noise-tuning-tone">
+          <select
+            value={tone.mode}
+            onChange={(e) => updateTone({ mode: e.target.value })}
+            className="input-select"
+            aria-label={t('tuning.toneMode')}
+          >
+            {TONE_MODES.map(mode => (
+              <option key={mode} value={mode}>{t(`tuning.modes.${mode}`)}</option>
+            ))}
+          </select>
+          {tone.mode === 'binaural' && <p className="setting-note">{t('tuning.headphones')}</p>}
+
+          <label className="noise-tuning-row" htmlFor="tone-carrier-slider">
+            <span>{t('tuning.carrier')}</span>
+            <span className="volume-value">{tone.carrier} Hz</span>
+          </label>
+          <input
+            id="tone-carrier-slider"
+            type="range"
+            min={TONE_LIMITS.carrier.min}
+            max={TONE_LIMITS.carrier.max}
+            step="10"
+            value={tone.carrier}
+            onChange={(e) => updateTone({ carrier: parseFloat(e.target.value) })}
+            className="volume-slider"
+          />
+
+          <label className="noise-tuning-row" htmlFor="tone-beat-slider">
+            <span>{t('tuning.beat')}</span>
+            <span className="volume-value">{tone.beat} Hz</span>
+          </label>
+          <input
+            id="tone-beat-slider"
+            type="range"
+            min={TONE_LIMITS.beat.min}
+            max={TONE_LIMITS.beat.max}
+            step="0.5"
+            value={tone.beat}
+            onChange={(e) => updateTone({ beat: parseFloat(e.target.value) })}
+            className="volume-slider"
+          />
+
+          <label className="noise-tuning-row" htmlFor="tone-volume-slider">
+            <span>{t('tuning.toneVolume')}</span>
+            <span className="volume-value">{Math.round(tone.volume * 100)}%</span>
+          </label>
+          <input
+            id="tone-volume-slider"
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={tone.volume}
+            onChange={(e) => updateTone({ volume: parseFloat(e.target.value) })}
+            className="volume-slider"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,188 @@
+import React, { useState } from 'react'
+import { PRESET_LIMITS, movePreset, normalizePreset } from '../presets'
+import { NOISE_COLORS, SOUND_OPTIONS, isAudioFileSound, toAudioFileSound } from '../soundscape'
+import { useI18n } from '../i18n/I18nProvider'
+
+const NOISE_OPTIONS = SOUND_OPTIONS.filter(option => NOISE_COLORS.includes(option.value))
+
+const LENGTH_FIELDS = [
+  { key: 'focus', labelKey: 'presets.focus' },
+  { key: 'break', labelKey: 'presets.break' },
+  { key: 'longBreak', labelKey: 'presets.longBreak' },
+  { key: 'cycle', labelKey: 'presets.cycle' },
+]
+
+/**
+ * プリセットの選択と管理
+ * 選択・現在の設定からの作成・名前や値の編集・並べ替え・削除・既定の指定を行う
+ * 音は、ノイズの種類のほかに取り込んだ音声も選べる
+ */
+export default function PresetManager({
+  presets,
+  audioFiles,
+  activePresetId,
+  defaultPresetId,
+  disabled,
+  onSelect,
+  onCreate,
+  onPresetsChange,
+  onDefaultChange,
+}) {
+  const { t } = useI18n()
+  const [editing, setEditing] = useState(false)
+
+  // 名前が空のプリセットは長さから表示名を作る
+  const getPresetName = (preset) => (
+    preset.name.trim() || t('preset.name', { focus: preset.focus, break: preset.break })
+  )
+
+  const updatePreset = (id, changes) => {
+    onPresetsChange(presets.map(preset => (
+      preset.id === id ? normalizePreset({ ...preset, ...changes }) : preset
+    )))
+  }
+
+  const removePreset = (id) => {
+    onPresetsChange(presets.filter(preset => preset.id !== id))
+  }
+
+  return (
+    <div className="preset-manager">
+      <div className="preset-buttons">
+        {presets.map(preset => (
+          <button
+            key={preset.id}
+            className={`preset-btn ${activePresetId === preset.id ? 'active' : ''}`}
+            onClick={() => onSelect(preset.id)}
+            disabled={disabled}
+            aria-pressed={activePresetId === preset.id}
+          >
+            {getPresetName(preset)}
+            {preset.id === defaultPresetId && (
+              <span className="preset-default-mark" aria-label={t('presets.isDefault')}> ★</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div className="preset-manager-actions">
+        <button className="btn btn-secondary" onClick={onCreate}>
+          {t('presets.saveCurrent')}
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => setEditing(!editing)}
+          aria-expanded={editing}
+        >
+          {editing ? t('presets.done') : t('presets.edit')}
+        </button>
+      </div>
+
+      {editing && (
+        <ul className="preset-list">
+          {presets.map((preset, idx) => {
+            const name = getPresetName(preset)
+            return (
+              <li key={preset.id} className="preset-edit">
+                <div className="preset-edit-header">
+                  <input
+                    type="text"
+                    value={preset.name}
+                    onChange={(e) => updatePreset(preset.id, { name: e.target.value })}
+                    placeholder={name}
+                    className="input-text"
+                    aria-label={t('presets.name')}
+                  />
+                  <button
+                    className="mixer-icon-btn"
+                    onClick={() => onPresetsChange(movePreset(presets, preset.id, -1))}
+                    disabled={idx === 0}
+                    aria-label={t('presets.moveUp', { name })}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="mixer-icon-btn"
+                    onClick={() => onPresetsChange(movePreset(presets, preset.id, 1))}
+                    disabled={idx === presets.length - 1}
+                    aria-label={t('presets.moveDown', { name })}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className={`mixer-icon-btn ${preset.id === defaultPresetId ? 'active' : ''}`}
+                    onClick={() => onDefaultChange(preset.id)}
+                    aria-pressed={preset.id === defaultPresetId}
+                    aria-label={t('presets.setDefault', { name })}
+                  >
+                    ★
+                  </button>
+                  <button
+                    className="mixer-icon-btn"
+                    onClick={() => removePreset(preset.id)}
+                    disabled={presets.length === 1}
+                    aria-label={t('presets.delete', { name })}
+                  >
+                    ✕
+                  </button>
+                </div>
+                <div className="preset-edit-lengths">
+                  {LENGTH_FIELDS.map(field => (
+                    <label key={field.key} className="setting-row-item">
+                      {t(field.labelKey)}
+                      <input
+                        type="number"
+                        min={PRESET_LIMITS[field.key].min}
+                        max={PRESET_LIMITS[field.key].max}
+                        value={preset[field.key]}
+                        onChange={(e) => {
+                          const value = parseInt(e.target.value)
+                          if (Number.isFinite(value)) updatePreset(preset.id, { [field.key]: value })
+                        }}
+                        className="input-number"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="preset-edit-sound">
+                  <select
+                    value={preset.noiseType}
+                    onChange={(e) => updatePreset(preset.id, { noiseType: e.target.value })}
+                    className="input-select"
+                    aria-label={t('presets.noiseType')}
+                  >
+                    {NOISE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                    ))}
+                    {audioFiles.length > 0 && (
+                      <optgroup label={t('audioFiles.title')}>
+                        {audioFiles.map(file => (
+                          <option key={file.id} value={toAudioFileSound(file.id)}>{file.name}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                    {isAudioFileSound(preset.noiseType)
+                      && !audioFiles.some(file => toAudioFileSound(file.id) === preset.noiseType) && (
+                      <option value={preset.noiseType} disabled>{t('presets.missingAudioFile')}</option>
+                    )}
+                  </select>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={preset.volume}
+                    onChange={(e) => updatePreset(preset.id, { volume: parseFloat(e.target.value) })}
+                    className="volume-slider"
+                    aria-label={t('presets.volume')}
+                  />
+                  <span className="volume-value">{Math.round(preset.volume * 100)}%</span>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
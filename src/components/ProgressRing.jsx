@@ -0,0 +1,42 @@
+import React from 'react'
+
+const RADIUS = 45
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS
+
+/**
+ * フェーズの進捗リング
+ * タイマー表示とミニタイマーで共通。色は --color-phase（App.css）に従う
+ * @param {number} progress - 0-100
+ * @param {string} label - 支援技術向けの説明
+ */
+export default function ProgressRing({ progress, label }) {
+  return (
+    <svg
+      className="progress-ring"
+      viewBox="0 0 100 100"
+      role="img"
+      aria-label={label}
+    >
+      <circle
+        cx="50"
+        cy="50"
+        r={RADIUS}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        className="progress-bg"
+      />
+      <circle
+        cx="50"
+        cy="50"
+        r={RADIUS}
+        fill="none"
+        strokeWidth="2"
+        strokeDasharray={`${CIRCUMFERENCE}`}
+        strokeDashoffset={`${CIRCUMFERENCE * (1 - progress / 100)}`}
+        strokeLinecap="round"
+        className="progress-fill"
+      />
+    </svg>
+  )
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { createDeepLink } from '../deepLink'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 「コピーしました」を表示しておく時間（ミリ秒）
+const COPIED_MESSAGE_MS = 2000
+
+/**
+ * 現在のセットアップ（長さ・ノイズ・音量）を再現するリンク
+ * ブックマークや共有に使う。クリップボードを使えない場合は、入力欄を選択して手動でコピーしてもらう
+ */
+export default function SetupLink({ setup }) {
+  const { t } = useI18n()
+  const [autostart, setAutostart] = useState(false)
+  const [status, setStatus] = useState(null)
+  const inputRef = useRef(null)
+  const statusTimeoutRef = useRef(null)
+
+  const link = createDeepLink(setup, { autostart })
+
+  useEffect(() => () => clearTimeout(statusTimeoutRef.current), [])
+
+  const showStatus = (message) => {
+    setStatus(message)
+    clearTimeout(statusTimeoutRef.current)
+    statusTimeoutRef.current = setTimeout(() => setStatus(null), COPIED_MESSAGE_MS)
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link)
+      showStatus(t('setupLink.copied'))
+    } catch (err) {
+      inputRef.current?.select()
+      showStatus(t('setupLink.copyManually'))
+    }
+  }
+
+  return (
+    <div className="setup-link">
+      <input
+        ref={inputRef}
+        type="text"
+        value={link}
+        readOnly
+        onFocus={(e) => e.target.select()}
+        className="input-text"
+        aria-label={t('setupLink.url')}
+      />
+      <label className="setting-toggle">
+        <input
+          type="checkbox"
+          checked={autostart}
+          onChange={(e) => setAutostart(e.target.checked)}
+        />
+        {t('setupLink.autostart')}
+      </label>
+      <button className="btn btn-secondary" onClick={handleCopy}>
+        {t('setupLink.copy')}
+      </button>
+      <p className="setting-note" role="status">{status}</p>
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from 'react'
+import { SHORTCUT_ACTIONS, HELP_KEY, getKeyLabel } from '../shortcuts'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * ショートカット一覧（「?」で表示）
+ * Escape・背景のクリック・閉じるボタンで閉じる
+ */
+export default function ShortcutHelp({ shortcuts, onClose }) {
+  const { t } = useI18n()
+  const closeRef = useRef(null)
+
+  // 閉じたら開く前の要素にフォーカスを戻す
+  useEffect(() => {
+    const previous = document.activeElement
+    closeRef.current?.focus()
+    return () => previous?.focus?.()
+  }, [])
+
+  return (
+    <div
+      className="alert-overlay"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault()
+          onClose()
+        }
+      }}
+    >
+      <div
+        className="alert-content shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="shortcut-help-title">{t('shortcuts.title')}</h2>
+        <dl className="shortcut-help-list">
+          {SHORTCUT_ACTIONS.map(action => (
+            <div key={action.id}>
+              <dt>
+                <kbd>{getKeyLabel(shortcuts[action.id])}</kbd>
+                {action.id === 'help' && <> / <kbd>{HELP_KEY}</kbd></>}
+              </dt>
+              <dd>{t(action.labelKey)}</dd>
+            </div>
+          ))}
+          <div>
+            <dt><kbd>Esc</kbd></dt>
+            <dd>{t('shortcuts.closeDialog')}</dd>
+          </div>
+        </dl>
+        <p className="setting-note">{t('shortcuts.note')}</p>
+        <button ref={closeRef} className="btn btn-secondary" onClick={onClose}>
+          {t('shortcuts.close')}
+        </button>
+      </div>
+    </div>
+  )
+}
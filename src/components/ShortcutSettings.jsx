@@ -0,0 +1,52 @@
+import React, { useState } from 'react'
+import { SHORTCUT_ACTIONS, assignShortcut, getDefaultShortcuts, getKeyLabel, isAssignableCode } from '../shortcuts'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * キーボードショートカットの割り当て
+ * 操作のボタンを押してから新しいキーを押すと割り当てる（Escape で取り消し）
+ * すでに使われているキーは、その操作と入れ替える
+ */
+export default function ShortcutSettings({ shortcuts, onChange }) {
+  const { t } = useI18n()
+  // キーの入力を待っている操作 id
+  const [recording, setRecording] = useState(null)
+
+  const handleKeyDown = (e, actionId) => {
+    if (recording !== actionId) return
+    // 割り当て中のキーが全体のショートカットとして動かないようにする
+    e.preventDefault()
+    e.stopPropagation()
+    if (e.code === 'Escape') {
+      setRecording(null)
+      return
+    }
+    if (!isAssignableCode(e.code) || e.ctrlKey || e.altKey || e.metaKey) return
+    onChange(assignShortcut(shortcuts, actionId, e.code))
+    setRecording(null)
+  }
+
+  return (
+    <div className="shortcut-settings">
+      <ul className="shortcut-list">
+        {SHORTCUT_ACTIONS.map(action => (
+          <li key={action.id} className="shortcut-row">
+            <span>{t(action.labelKey)}</span>
+            <button
+              className={`shortcut-key ${recording === action.id ? 'recording' : ''}`}
+              onClick={() => setRecording(recording === action.id ? null : action.id)}
+              onKeyDown={(e) => handleKeyDown(e, action.id)}
+              onBlur={() => setRecording(null)}
+              aria-label={t('shortcuts.change', { action: t(action.labelKey), key: getKeyLabel(shortcuts[action.id]) })}
+            >
+              {recording === action.id ? t('shortcuts.pressKey') : <kbd>{getKeyLabel(shortcuts[action.id])}</kbd>}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button className="btn btn-secondary" onClick={() => onChange(getDefaultShortcuts())}>
+        {t('shortcuts.restoreDefaults')}
+      </button>
+    </div>
+  )
+}
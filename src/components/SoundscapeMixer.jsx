@@ -0,0 +1,199 @@
+import React, { useState } from 'react'
+import { BASE_LAYER_ID, NOISE_COLORS, SOUND_OPTIONS, createLayer, toAudioFileSound } from '../soundscape'
+import { useI18n } from '../i18n/I18nProvider'
+
+const NOISE_OPTIONS = SOUND_OPTIONS.filter(option => NOISE_COLORS.includes(option.value))
+
+/**
+ * サウンドスケープミキサー
+ * レイヤーごとの音源・音量・ミュート・パンの調整と、名前付きミックスの保存・読み込みを行う
+ * ベースレイヤーではノイズのほかに取り込んだ音声ファイルを選べる
+ */
+export default function SoundscapeMixer({
+  layers,
+  onLayersChange,
+  noiseType,
+  onNoiseTypeChange,
+  audioFiles,
+  volume,
+  onVolumeChange,
+  soundscapes,
+  onSaveSoundscape,
+  onLoadSoundscape,
+  onDeleteSoundscape,
+}) {
+  const { t } = useI18n()
+  const [soundscapeName, setSoundscapeName] = useState('')
+  const [selectedSoundscape, setSelectedSoundscape] = useState('')
+
+  const updateLayer = (id, changes) => {
+    onLayersChange(layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)))
+  }
+
+  const removeLayer = (id) => {
+    onLayersChange(layers.filter(layer => layer.id !== id))
+  }
+
+  const addLayer = () => {
+    onLayersChange([...layers, createLayer()])
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const name = soundscapeName.trim()
+    if (!name) return
+    onSaveSoundscape(name)
+    setSoundscapeName('')
+  }
+
+  return (
+    <div className="mixer">
+      {/* マスター音量 */}
+      <div className="mixer-master">
+        <label htmlFor="volume-slider">{t('mixer.masterVolume')}</label>
+        <input
+          id="volume-slider"
+          type="range"
+          min="0"
+          max="1"
+          step="0.1"
+          value={volume}
+          onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
+          className="volume-slider"
+        />
+        <div className="volume-value">{Math.round(volume * 100)}%</div>
+      </div>
+
+      {/* レイヤー一覧 */}
+      <ul className="mixer-layers">
+        {layers.map((layer, idx) => {
+          const isBase = layer.id === BASE_LAYER_ID
+          return (
+            <li key={layer.id} className={`mixer-layer ${layer.muted ? 'muted' : ''}`}>
+              <div className="mixer-layer-header">
+                <select
+                  value={isBase ? noiseType : layer.sound}
+                  onChange={(e) => {
+                    if (isBase) {
+                      onNoiseTypeChange(e.target.value)
+                    } else {
+                      updateLayer(layer.id, { sound: e.target.value })
+                    }
+                  }}
+                  className="input-select"
+                  aria-label={t('mixer.layerSource', { index: idx + 1 })}
+                >
+                  {(isBase ? NOISE_OPTIONS : SOUND_OPTIONS).map(option => (
+                    <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                  ))}
+                  {isBase && audioFiles.length > 0 && (
+                    <optgroup label={t('audioFiles.title')}>
+                      {audioFiles.map(file => (
+                        <option key={file.id} value={toAudioFileSound(file.id)}>{file.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+                <button
+                  className={`mixer-icon-btn ${layer.muted ? 'active' : ''}`}
+                  onClick={() => updateLayer(layer.id, { muted: !layer.muted })}
+                  aria-pressed={layer.muted}
+                  aria-label={t('mixer.layerMute', { index: idx + 1 })}
+                >
+                  {layer.muted ? '🔇' : '🔊'}
+                </button>
+                {!isBase && (
+                  <button
+                    className="mixer-icon-btn"
+                    onClick={() => removeLayer(layer.id)}
+                    aria-label={t('mixer.layerRemove', { index: idx + 1 })}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              <div className="mixer-layer-controls">
+                <label>
+                  {t('mixer.volume')}
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={layer.gain}
+                    onChange={(e) => updateLayer(layer.id, { gain: parseFloat(e.target.value) })}
+                    className="volume-slider"
+                  />
+                </label>
+                <label>
+                  {t('mixer.pan')}
+                  <input
+                    type="range"
+                    min="-1"
+                    max="1"
+                    step="0.1"
+                    value={layer.pan}
+                    onChange={(e) => updateLayer(layer.id, { pan: parseFloat(e.target.value) })}
+                    className="volume-slider"
+                  />
+                </label>
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+
+      <button className="btn btn-secondary mixer-add" onClick={addLayer}>
+        {t('mixer.addLayer')}
+      </button>
+
+      {/* 名前付きサウンドスケープ */}
+      <form className="mixer-save" onSubmit={handleSave}>
+        <input
+          type="text"
+          value={soundscapeName}
+          onChange={(e) => setSoundscapeName(e.target.value)}
+          placeholder={t('mixer.name')}
+          className="input-text"
+          aria-label={t('mixer.name')}
+        />
+        <button type="submit" className="btn btn-secondary" disabled={!soundscapeName.trim()}>
+          {t('mixer.save')}
+        </button>
+      </form>
+
+      {soundscapes.length > 0 && (
+        <div className="mixer-saved">
+          <select
+            value={selectedSoundscape}
+            onChange={(e) => setSelectedSoundscape(e.target.value)}
+            className="input-select"
+            aria-label={t('mixer.saved')}
+          >
+            <option value="">{t('mixer.savedPlaceholder')}</option>
+            {soundscapes.map(soundscape => (
+              <option key={soundscape.id} value={soundscape.id}>{soundscape.name}</option>
+            ))}
+          </select>
+          <button
+            className="btn btn-secondary"
+            onClick={() => onLoadSoundscape(selectedSoundscape)}
+            disabled={!selectedSoundscape}
+          >
+            {t('mixer.load')}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              onDeleteSoundscape(selectedSoundscape)
+              setSelectedSoundscape('')
+            }}
+            disabled={!selectedSoundscape}
+          >
+            {t('mixer.delete')}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,257 @@
+import React, { useState } from 'react'
+import { getCompletedCountOn, getDailyStats, getMonthStats, getTotals, getWeeklyInterruptionStats, getFocusStatsByMode } from '../statistics'
+import { countInterruptions } from '../interruptions'
+import { getStreak } from '../goals'
+import { BADGES, getEarnedBadgeIds } from '../badges'
+import { useI18n } from '../i18n/I18nProvider'
+
+// 2023-01-01 は日曜日。ヒートマップの曜日見出し（日曜始まり）をロケールに合わせて作る
+const WEEKDAY_DATES = Array.from({ length: 7 }, (_, i) => new Date(2023, 0, 1 + i))
+
+// 最近のセッションに表示する件数
+const RECENT_SESSION_COUNT = 10
+
+/**
+ * 統計画面
+ * セッション履歴から本日の完了数・連続記録・7日間の棒グラフ・月間ヒートマップ・中断の推移・最近のセッション・
+ * 実績バッジ・累計を表示する
+ * Flowtime の記録がある場合は、ポモドーロとの集中時間の比較も表示する
+ */
+export default function StatsView({ sessions, goalSettings, onClose }) {
+  const { t, formatters } = useI18n()
+  const [month, setMonth] = useState(() => {
+    const now = new Date()
+    return { year: now.getFullYear(), month: now.getMonth() }
+  })
+
+  const todayCount = getCompletedCountOn(sessions)
+  const weekly = getDailyStats(sessions, 7)
+  const weeklyMax = Math.max(1, ...weekly.map(day => day.count))
+  const heatmap = getMonthStats(sessions, month.year, month.month)
+  const heatmapMax = Math.max(1, ...heatmap.days.map(day => day.count))
+  const totals = getTotals(sessions)
+  const focusByMode = getFocusStatsByMode(sessions)
+  const streak = getStreak(sessions, goalSettings)
+  const earnedBadges = getEarnedBadgeIds(sessions, goalSettings)
+  const interruptionWeeks = getWeeklyInterruptionStats(sessions, 4)
+  const interruptionMax = Math.max(1, ...interruptionWeeks.map(week => week.internal + week.external))
+  const recentSessions = sessions
+    .filter(session => session.phase === 'focus')
+    .slice(-RECENT_SESSION_COUNT)
+    .reverse()
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => {
+      const date = new Date(prev.year, prev.month + delta, 1)
+      return { year: date.getFullYear(), month: date.getMonth() }
+    })
+  }
+
+  return (
+    <div className="settings-panel stats-panel" role="dialog" aria-label={t('stats.title')}>
+      <div className="settings-header">
+        <h2>{t('stats.title')}</h2>
+        <button
+          className="close-btn"
+          onClick={onClose}
+          aria-label={t('stats.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="settings-content">
+        {/* 本日 */}
+        <div className="stats-today">
+          {t('stats.today', { value: <span key="value" className="count-value">{todayCount}</span>, count: todayCount })}
+          <div className="stats-streak">
+            {t('stats.streak', { current: streak.current, best: streak.best, goal: goalSettings.dailyGoal })}
+          </div>
+        </div>
+
+        {/* 7日間 */}
+        <section className="stats-section">
+          <h3>{t('stats.last7Days')}</h3>
+          <div className="stats-bars">
+            {weekly.map(day => (
+              <div
+                key={day.key}
+                className="stats-bar"
+                aria-label={t('stats.dayCount', { date: formatters.date(day.date), count: day.count })}
+              >
+                <span className="stats-bar-value">{day.count}</span>
+                <div className="stats-bar-track">
+                  <div
+                    className="stats-bar-fill"
+                    style={{ height: `${(day.count / weeklyMax) * 100}%` }}
+                  />
+                </div>
+                <span className="stats-bar-label">{formatters.weekday(day.date)}</span>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* 月間ヒートマップ */}
+        <section className="stats-section">
+          <div className="stats-month-header">
+            <button className="mixer-icon-btn" onClick={() => shiftMonth(-1)} aria-label={t('stats.previousMonth')}>‹</button>
+            <h3>{formatters.month(new Date(month.year, month.month, 1))}</h3>
+            <button className="mixer-icon-btn" onClick={() => shiftMonth(1)} aria-label={t('stats.nextMonth')}>›</button>
+          </div>
+          <div className="stats-heatmap">
+            {WEEKDAY_DATES.map(date => (
+              <span key={date.getDay()} className="stats-heatmap-weekday">{formatters.weekday(date)}</span>
+            ))}
+            {Array.from({ length: heatmap.leadingBlanks }, (_, i) => (
+              <span key={`blank-${i}`} />
+            ))}
+            {heatmap.days.map(day => (
+              <span
+                key={day.key}
+                className="stats-heatmap-cell"
+                style={{ '--intensity': day.count / heatmapMax }}
+                title={t('stats.dayCount', { date: formatters.date(day.date), count: day.count })}
+                aria-label={t('stats.dayCount', { date: formatters.date(day.date), count: day.count })}
+              >
+                {day.date.getDate()}
+              </span>
+            ))}
+          </div>
+        </section>
+
+        {/* 中断の推移 */}
+        <section className="stats-section">
+          <h3>{t('stats.interruptionTrend')}</h3>
+          <div className="stats-bars stats-bars-weeks">
+            {interruptionWeeks.map(week => (
+              <div
+                key={week.key}
+                className="stats-bar"
+                aria-label={t('stats.weekInterruptions', {
+                  date: formatters.date(week.start),
+                  internal: week.internal,
+                  external: week.external,
+                  perSession: week.perSession.toFixed(1),
+                })}
+              >
+                <span className="stats-bar-value">{week.perSession.toFixed(1)}</span>
+                <div className="stats-bar-track stats-bar-stack">
+                  <div
+                    className="stats-bar-fill interruption-external"
+                    style={{ height: `${(week.external / interruptionMax) * 100}%` }}
+                  />
+                  <div
+                    className="stats-bar-fill interruption-internal"
+                    style={{ height: `${(week.internal / interruptionMax) * 100}%` }}
+                  />
+                </div>
+                <span className="stats-bar-label">{formatters.date(week.start)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="stats-legend" aria-hidden="true">
+            <span className="stats-legend-item interruption-internal">{t('interruptions.kinds.internal')}</span>
+            <span className="stats-legend-item interruption-external">{t('interruptions.kinds.external')}</span>
+          </div>
+          <p className="setting-note">{t('stats.perSessionNote')}</p>
+        </section>
+
+        {/* 最近のセッション */}
+        <section className="stats-section">
+          <h3>{t('stats.recentSessions')}</h3>
+          {recentSessions.length === 0 ? (
+            <p className="setting-note">{t('stats.noSessions')}</p>
+          ) : (
+            <ul className="stats-sessions">
+              {recentSessions.map(session => {
+                const count = countInterruptions(session)
+                return (
+                  <li key={session.id ?? session.start} className="stats-session">
+                    <span className="stats-session-time">
+                      {formatters.date(session.start)} {formatters.time(session.start)}
+                    </span>
+                    <span className="stats-session-detail">
+                      {formatters.duration(session.actualSeconds / 60)} · {t(`stats.outcomes.${session.outcome}`)}
+                      {session.mode === 'flowtime' && ` · ${t('mode.flowtime')}`}
+                      {session.taskTitle && ` · ${session.taskTitle}`}
+                    </span>
+                    <span
+                      className={`stats-session-interruptions ${count > 0 ? 'has-interruptions' : ''}`}
+                      title={count > 0 ? session.interruptions.map(item => item.note).filter(Boolean).join('\n') : undefined}
+                    >
+                      {t('interruptions.count', { count })}
+                    </span>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </section>
+
+        {/* ポモドーロと Flowtime の比較 */}
+        {focusByMode.flowtime.count > 0 && (
+          <section className="stats-section">
+            <h3>{t('stats.modeComparison')}</h3>
+            <dl className="stats-totals">
+              {['pomodoro', 'flowtime'].map(mode => (
+                <div key={mode}>
+                  <dt>{t(`mode.${mode}`)}</dt>
+                  <dd>
+                    {t('stats.averageFocus', {
+                      duration: formatters.duration(focusByMode[mode].averageMinutes),
+                      count: focusByMode[mode].count,
+                    })}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        )}
+
+        {/* 実績バッジ */}
+        <section className="stats-section">
+          <h3>{t('badges.title', { earned: earnedBadges.size, total: BADGES.length })}</h3>
+          <ul className="badge-list">
+            {BADGES.map(badge => {
+              const earned = earnedBadges.has(badge.id)
+              return (
+                <li key={badge.id} className={`badge ${earned ? 'earned' : 'locked'}`}>
+                  <span className="badge-icon" aria-hidden="true">{badge.icon}</span>
+                  <span className="badge-name">
+                    {t(`badges.items.${badge.id}.name`)}
+                    <span className="visually-hidden">{t(earned ? 'badges.earnedLabel' : 'badges.lockedLabel')}</span>
+                  </span>
+                  <span className="badge-description">{t(`badges.items.${badge.id}.description`)}</span>
+                </li>
+              )
+            })}
+          </ul>
+        </section>
+
+        {/* 累計 */}
+        <section className="stats-section">
+          <h3>{t('stats.totals')}</h3>
+          <dl className="stats-totals">
+            <div>
+              <dt>{t('stats.completed')}</dt>
+              <dd>{t('stats.pomodoros', { count: totals.completed })}</dd>
+            </div>
+            <div>
+              <dt>{t('stats.focusTime')}</dt>
+              <dd>{formatters.duration(totals.focusMinutes)}</dd>
+            </div>
+            <div>
+              <dt>{t('stats.breakTime')}</dt>
+              <dd>{formatters.duration(totals.breakMinutes)}</dd>
+            </div>
+            <div>
+              <dt>{t('stats.skippedAborted')}</dt>
+              <dd>{totals.skipped} / {totals.aborted}</dd>
+            </div>
+          </dl>
+        </section>
+      </div>
+    </div>
+  )
+}
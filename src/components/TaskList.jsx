@@ -0,0 +1,121 @@
+import React, { useState } from 'react'
+import { createTask } from '../tasks'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * タスクリスト
+ * タスクの追加・完了・削除と、集中セッションを記録する「現在のタスク」の選択を行う
+ */
+export default function TaskList({ tasks, currentTaskId, onTasksChange, onSelectTask, onClose }) {
+  const { t } = useI18n()
+  const [title, setTitle] = useState('')
+  const [estimate, setEstimate] = useState(1)
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const trimmed = title.trim()
+    if (!trimmed) return
+    const task = createTask(trimmed, estimate)
+    onTasksChange([...tasks, task])
+    // 現在のタスクがなければ追加したタスクを選択
+    if (!currentTaskId) onSelectTask(task.id)
+    setTitle('')
+    setEstimate(1)
+  }
+
+  const updateTask = (id, changes) => {
+    onTasksChange(tasks.map(task => (task.id === id ? { ...task, ...changes } : task)))
+  }
+
+  const removeTask = (id) => {
+    onTasksChange(tasks.filter(task => task.id !== id))
+    if (id === currentTaskId) onSelectTask(null)
+  }
+
+  const toggleDone = (task) => {
+    updateTask(task.id, { done: !task.done })
+    // 完了したタスクは現在のタスクから外す
+    if (!task.done && task.id === currentTaskId) onSelectTask(null)
+  }
+
+  return (
+    <div className="settings-panel" role="dialog" aria-label={t('tasks.title')}>
+      <div className="settings-header">
+        <h2>{t('tasks.title')}</h2>
+        <button
+          className="close-btn"
+          onClick={onClose}
+          aria-label={t('tasks.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="settings-content">
+        <form className="task-form" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder={t('tasks.name')}
+            className="input-text"
+            aria-label={t('tasks.name')}
+          />
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={estimate}
+            onChange={(e) => setEstimate(parseInt(e.target.value) || 1)}
+            className="input-number task-estimate-input"
+            aria-label={t('tasks.estimate')}
+          />
+          <button type="submit" className="btn btn-secondary" disabled={!title.trim()}>
+            {t('tasks.add')}
+          </button>
+        </form>
+
+        {tasks.length === 0 ? (
+          <p className="setting-note">{t('tasks.empty')}</p>
+        ) : (
+          <ul className="task-list">
+            {tasks.map(task => (
+              <li
+                key={task.id}
+                className={`task-item ${task.done ? 'done' : ''} ${task.id === currentTaskId ? 'current' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={task.done}
+                  onChange={() => toggleDone(task)}
+                  aria-label={t('tasks.markDone', { title: task.title })}
+                />
+                <button
+                  className="task-title"
+                  onClick={() => onSelectTask(task.id === currentTaskId ? null : task.id)}
+                  disabled={task.done}
+                  aria-pressed={task.id === currentTaskId}
+                >
+                  {task.title}
+                </button>
+                <span
+                  className={`task-progress ${task.completedPomodoros > task.estimate ? 'over' : ''}`}
+                  aria-label={t('tasks.progress', { actual: task.completedPomodoros, estimate: task.estimate, count: task.estimate })}
+                >
+                  🍅 {task.completedPomodoros}/{task.estimate}
+                </span>
+                <button
+                  className="mixer-icon-btn"
+                  onClick={() => removeTask(task.id)}
+                  aria-label={t('tasks.remove', { title: task.title })}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
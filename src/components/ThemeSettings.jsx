@@ -0,0 +1,51 @@
+import React from 'react'
+import { THEME_MODES, PHASE_COLOR_KEYS, createDefaultThemeSettings } from '../theme'
+import { useI18n } from '../i18n/I18nProvider'
+
+/**
+ * テーマとフェーズの色の設定
+ * 選んだ色が背景に対して薄すぎる場合は、表示時に読める明るさへ調整される
+ */
+export default function ThemeSettings({ settings, onChange }) {
+  const { t } = useI18n()
+
+  const setPhaseColor = (key, color) => {
+    onChange({ ...settings, phaseColors: { ...settings.phaseColors, [key]: color } })
+  }
+
+  return (
+    <div className="theme-settings">
+      <select
+        id="theme-mode-select"
+        value={settings.mode}
+        onChange={(e) => onChange({ ...settings, mode: e.target.value })}
+        className="input-select"
+        aria-label={t('settings.theme')}
+      >
+        {THEME_MODES.map(mode => (
+          <option key={mode.value} value={mode.value}>{t(mode.labelKey)}</option>
+        ))}
+      </select>
+
+      <div className="theme-phase-colors">
+        {PHASE_COLOR_KEYS.map(key => (
+          <label key={key} className="theme-phase-color">
+            <input
+              type="color"
+              value={settings.phaseColors[key]}
+              onChange={(e) => setPhaseColor(key, e.target.value)}
+            />
+            {t(`phase.${key}`)}
+          </label>
+        ))}
+        <button
+          className="btn btn-secondary"
+          onClick={() => onChange({ ...settings, phaseColors: createDefaultThemeSettings().phaseColors })}
+        >
+          {t('theme.resetColors')}
+        </button>
+      </div>
+      <p className="setting-note">{t('theme.colorNote')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+/**
+ * IndexedDB の共通処理
+ * データベースの作成・アップグレードと、リクエストの Promise 化を行います
+ */
+
+const DB_NAME = 'brown-noise-timer';
+const DB_VERSION = 2;
+
+export const SESSION_STORE = 'sessions';
+// 取り込んだ音声ファイル（ファイル本体の Blob と解析結果）
+export const AUDIO_FILE_STORE = 'audioFiles';
+
+let dbPromise = null;
+
+/**
+ * データベースを開く（接続は使い回す）
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('start', 'start');
+        }
+        if (!db.objectStoreNames.contains(AUDIO_FILE_STORE)) {
+          db.createObjectStore(AUDIO_FILE_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // 新しいバージョンを開いた別のタブがアップグレードできるよう、接続を閉じて次回開き直す
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    // 失敗した場合は次回に再試行できるようにする
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * トランザクションの完了を Promise に変換
+ */
+export function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * IDBRequest を Promise に変換
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * ディープリンク
+ * `?focus=50&break=10&noise=pink&volume=0.4&autostart=1` のような URL パラメータで、
+ * 保存された設定の上から長さ・ノイズ・音量を指定し、そのまま開始できるようにします
+ * ブックマークや、ホーム画面のアイコンを長押ししたときのショートカット（manifest の shortcuts）から使います
+ *
+ * 読み込んだパラメータは URL から取り除き、再読み込みで同じ設定が適用され直さないようにします
+ */
+
+import { PRESET_LIMITS } from './presets';
+import { NOISE_COLORS } from './soundscape';
+
+// URL パラメータ名とプリセットの項目の対応
+const LENGTH_PARAMS = {
+  focus: 'focus',
+  break: 'break',
+  longBreak: 'longBreak',
+  cycle: 'cycle',
+};
+
+const LINK_PARAMS = [...Object.keys(LENGTH_PARAMS), 'noise', 'volume', 'autostart'];
+
+function parseInteger(value, { min, max }) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+  return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+/**
+ * URL パラメータからセットアップを読み取る
+ * 指定されていない項目・不正な値は含めない（保存された設定のまま）
+ * @param {string} search - location.search
+ * @returns {{ settings: { focus?: number, break?: number, longBreak?: number, cycle?: number, noiseType?: string, volume?: number }, autostart: boolean } | null}
+ *   対象のパラメータが1つもなければ null
+ */
+export function parseDeepLink(search) {
+  const params = new URLSearchParams(search);
+  if (!LINK_PARAMS.some(name => params.has(name))) return null;
+
+  const settings = {};
+  Object.entries(LENGTH_PARAMS).forEach(([param, field]) => {
+    const value = parseInteger(params.get(param), PRESET_LIMITS[field]);
+    if (value !== undefined) settings[field] = value;
+  });
+
+  const noise = params.get('noise');
+  if (NOISE_COLORS.includes(noise)) settings.noiseType = noise;
+
+  const volume = Number(params.get('volume'));
+  if (params.get('volume') && Number.isFinite(volume)) settings.volume = Math.min(1, Math.max(0, volume));
+
+  const autostart = ['1', 'true'].includes(params.get('autostart'));
+  return { settings, autostart };
+}
+
+/**
+ * 現在の URL のパラメータからセットアップを読み取り、URL から取り除く
+ * 他のパラメータとハッシュはそのまま残す
+ */
+export function consumeDeepLink() {
+  const link = parseDeepLink(window.location.search);
+  if (!link) return null;
+
+  const url = new URL(window.location.href);
+  LINK_PARAMS.forEach(name => url.searchParams.delete(name));
+  window.history.replaceState(window.history.state, '', url);
+  return link;
+}
+
+/**
+ * セットアップを再現するリンクを作成
+ * @param {{ focus: number, break: number, longBreak: number, cycle: number, noiseType: string, volume: number }} setup
+ * @param {{ autostart?: boolean }} options
+ * @returns {string} アプリの URL（絶対 URL）
+ */
+export function createDeepLink(setup, { autostart = false } = {}) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  Object.entries(LENGTH_PARAMS).forEach(([param, field]) => {
+    url.searchParams.set(param, String(setup[field]));
+  });
+  // 取り込んだ音声はこのブラウザにしかないため、リンクには含めない
+  if (NOISE_COLORS.includes(setup.noiseType)) url.searchParams.set('noise', setup.noiseType);
+  url.searchParams.set('volume', String(Math.round(setup.volume * 100) / 100));
+  if (autostart) url.searchParams.set('autostart', '1');
+  return url.toString();
+}
@@ -0,0 +1,66 @@
+/**
+ * 進捗を描いたファビコン
+ * タブの一覧でもフェーズの進み具合が分かるよう、進捗の円弧をファビコンとして描きます
+ * 止めたときは追加したアイコンを外し、元のファビコンに戻します
+ */
+
+const SIZE = 64;
+
+let canvas = null;
+let link = null;
+let lastKey = null;
+
+/**
+ * 進捗のファビコンを表示
+ * @param {{ progress: number, color: string, trackColor: string, paused: boolean }} options - progress は 0-1
+ */
+export function drawProgressFavicon({ progress, color, trackColor, paused }) {
+  // 同じ見た目なら描き直さない（1秒ごとに呼ばれても変化は小さいため）
+  const key = `${Math.round(progress * 100)}:${color}:${trackColor}:${paused}`;
+  if (key === lastKey && link?.isConnected) return;
+  lastKey = key;
+
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    canvas.width = SIZE;
+    canvas.height = SIZE;
+  }
+  const ctx = canvas.getContext('2d');
+  const center = SIZE / 2;
+  const radius = SIZE / 2 - 6;
+
+  ctx.clearRect(0, 0, SIZE, SIZE);
+  ctx.lineWidth = 10;
+  ctx.strokeStyle = trackColor;
+  ctx.beginPath();
+  ctx.arc(center, center, radius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  ctx.arc(center, center, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, Math.max(0, progress)));
+  ctx.stroke();
+
+  // 一時停止中は中央に2本線
+  if (paused) {
+    ctx.fillStyle = color;
+    ctx.fillRect(center - 11, center - 12, 8, 24);
+    ctx.fillRect(center + 3, center - 12, 8, 24);
+  }
+
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = 'icon';
+    link.type = 'image/png';
+  }
+  link.href = canvas.toDataURL('image/png');
+  if (!link.isConnected) document.head.appendChild(link);
+}
+
+/**
+ * 元のファビコンに戻す
+ */
+export function resetFavicon() {
+  lastKey = null;
+  link?.remove();
+}
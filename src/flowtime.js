@@ -0,0 +1,73 @@
+/**
+ * Flowtime モード
+ * 集中は決まった長さではなく 0 から数え上げ、終えたときの集中時間に比例した休憩を提案します
+ * 休憩の長さは「集中時間の 1/N」を最短・最長の範囲に収め、分単位に丸めます
+ * 集中中は N 分ごとに小さなチャイムで経過を知らせることもできます
+ */
+
+const STORAGE_KEY = 'flowtime';
+
+export const FLOWTIME_LIMITS = {
+  breakMinutes: { min: 1, max: 60 },
+  checkInMinutes: { min: 5, max: 120 },
+};
+
+// 休憩の割合の選択肢（集中時間の 1/N）
+export const BREAK_DIVISOR_OPTIONS = [2, 3, 4, 5, 6, 8, 10];
+
+export function createDefaultFlowtimeSettings() {
+  return {
+    breakDivisor: 5,
+    minBreakMinutes: 5,
+    maxBreakMinutes: 30,
+    checkIn: false,
+    checkInMinutes: 25,
+  };
+}
+
+function clampMinutes(value, { min, max }, fallback) {
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+/**
+ * 保存データから Flowtime の設定を復元
+ * 最長が最短より短い場合は最短に合わせる
+ */
+export function normalizeFlowtimeSettings(settings) {
+  const defaults = createDefaultFlowtimeSettings();
+  if (!settings || typeof settings !== 'object') return defaults;
+  const minBreakMinutes = clampMinutes(settings.minBreakMinutes, FLOWTIME_LIMITS.breakMinutes, defaults.minBreakMinutes);
+  return {
+    breakDivisor: BREAK_DIVISOR_OPTIONS.includes(settings.breakDivisor) ? settings.breakDivisor : defaults.breakDivisor,
+    minBreakMinutes,
+    maxBreakMinutes: Math.max(
+      minBreakMinutes,
+      clampMinutes(settings.maxBreakMinutes, FLOWTIME_LIMITS.breakMinutes, defaults.maxBreakMinutes),
+    ),
+    checkIn: settings.checkIn === true,
+    checkInMinutes: clampMinutes(settings.checkInMinutes, FLOWTIME_LIMITS.checkInMinutes, defaults.checkInMinutes),
+  };
+}
+
+export function loadFlowtimeSettings() {
+  try {
+    return normalizeFlowtimeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return createDefaultFlowtimeSettings();
+  }
+}
+
+export function saveFlowtimeSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * 集中時間から提案する休憩の長さ（秒）
+ * @param {number} focusSeconds - 実際に集中した秒数
+ * @param {{ breakDivisor: number, minBreakMinutes: number, maxBreakMinutes: number }} settings
+ */
+export function getSuggestedBreakSeconds(focusSeconds, settings) {
+  const minutes = Math.round(focusSeconds / 60 / settings.breakDivisor);
+  return Math.min(settings.maxBreakMinutes, Math.max(settings.minBreakMinutes, minutes)) * 60;
+}
@@ -0,0 +1,97 @@
+/**
+ * 1日の目標と連続記録（ストリーク）
+ * 目標のポモドーロ数を達成した日が何日続いているかを、セッション履歴から数えます
+ * 休息日に指定した曜日は、目標に届かなくても連続記録を途切れさせません（達成すれば1日として数える）
+ */
+
+import { getDayKey, isCompletedFocus, startOfDay } from './statistics';
+
+const STORAGE_KEY = 'goals';
+
+export const DAILY_GOAL_LIMITS = { min: 1, max: 24 };
+
+export function createDefaultGoalSettings() {
+  return {
+    dailyGoal: 4,
+    // 休息日の曜日（0 = 日曜 〜 6 = 土曜）
+    restDays: [],
+  };
+}
+
+/**
+ * 保存データから目標の設定を復元
+ */
+export function normalizeGoalSettings(settings) {
+  const defaults = createDefaultGoalSettings();
+  if (!settings || typeof settings !== 'object') return defaults;
+  const { min, max } = DAILY_GOAL_LIMITS;
+  return {
+    dailyGoal: Number.isFinite(settings.dailyGoal)
+      ? Math.min(max, Math.max(min, Math.round(settings.dailyGoal)))
+      : defaults.dailyGoal,
+    restDays: Array.isArray(settings.restDays)
+      ? [...new Set(settings.restDays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+      : defaults.restDays,
+  };
+}
+
+export function loadGoalSettings() {
+  try {
+    return normalizeGoalSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return createDefaultGoalSettings();
+  }
+}
+
+export function saveGoalSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * 日付キーごとの完了したポモドーロ数
+ * @returns {Map<string, number>}
+ */
+export function countCompletedByDay(sessions) {
+  const counts = new Map();
+  sessions.forEach(session => {
+    if (!isCompletedFocus(session)) return;
+    const key = getDayKey(session.end);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * 連続記録
+ * 今日はまだ終わっていないため、未達成でも途切れたとは扱わない
+ * @param {Array<Object>} sessions
+ * @param {{ dailyGoal: number, restDays: number[] }} goalSettings
+ * @returns {{ current: number, best: number, todayMet: boolean }}
+ */
+export function getStreak(sessions, goalSettings, now = Date.now()) {
+  const counts = countCompletedByDay(sessions);
+  const today = startOfDay(now);
+  const todayMet = (counts.get(getDayKey(today)) || 0) >= goalSettings.dailyGoal;
+  if (counts.size === 0) return { current: 0, best: 0, todayMet };
+
+  // 最初に記録がある日から今日まで、1日ずつ進める
+  const firstKey = [...counts.keys()].sort()[0];
+  const [year, month, day] = firstKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+
+  let run = 0;
+  let best = 0;
+  while (date <= today) {
+    const met = (counts.get(getDayKey(date)) || 0) >= goalSettings.dailyGoal;
+    const isToday = date.getTime() === today.getTime();
+    if (met) {
+      run += 1;
+      best = Math.max(best, run);
+    } else if (!isToday && !goalSettings.restDays.includes(date.getDay())) {
+      run = 0;
+    }
+    date.setDate(date.getDate() + 1);
+  }
+
+  return { current: run, best, todayMet };
+}
@@ -0,0 +1,40 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import { LOCALE_STORAGE_KEY, createTranslator, loadLocale, saveLocale } from './index'
+import { subscribeToStorageChanges } from '../tabSync'
+
+const I18nContext = createContext(null)
+
+/**
+ * 現在のロケールと翻訳関数をアプリ全体に提供する
+ * 選択したロケールだけを保存し（未選択のうちはブラウザの言語に従う）、<html lang> にも反映する
+ * 他のタブで切り替えた場合も追従する
+ */
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(loadLocale)
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale: (next) => {
+      saveLocale(next)
+      setLocaleState(next)
+    },
+    ...createTranslator(locale),
+  }), [locale])
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  useEffect(() => subscribeToStorageChanges((key) => {
+    if (key === LOCALE_STORAGE_KEY) setLocaleState(loadLocale())
+  }), [])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+/**
+ * @returns {{ locale: string, setLocale: (locale: string) => void, t: (key: string, params?: object) => any, formatters: object }}
+ */
+export function useI18n() {
+  return useContext(I18nContext)
+}
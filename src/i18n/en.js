@@ -0,0 +1,436 @@
+/**
+ * English message catalog
+ * Messages that need plural forms are objects keyed by Intl.PluralRules categories (one / other)
+ */
+export const en = {
+  header: {
+    openTasks: 'Open tasks',
+    openStats: 'Open statistics',
+    switchToLight: 'Switch to light mode',
+    switchToDark: 'Switch to dark mode',
+  },
+  update: {
+    available: 'A new version is available',
+    reload: 'Reload',
+    later: 'Later',
+  },
+  timer: {
+    remaining: 'Time remaining: {time}',
+  },
+  phase: {
+    focus: 'Focus',
+    break: 'Break',
+    longBreak: 'Long break',
+  },
+  status: {
+    idle: 'Idle',
+    paused: 'Paused',
+    break: 'On a break',
+    longBreak: 'On a long break',
+  },
+  currentTask: {
+    label: 'Current task: {title}',
+    select: 'Select a task',
+    selectButton: '+ Select a task',
+    progress: '{title} (🍅 {done}/{estimate})',
+  },
+  cycle: {
+    label: 'Cycle {current} of {total}',
+  },
+  count: {
+    today: {
+      one: 'Today: {value} of {goal} pomodoro',
+      other: 'Today: {value} of {goal} pomodoros',
+    },
+  },
+  controls: {
+    start: 'Start',
+    resume: 'Resume',
+    pause: 'Pause',
+    reset: 'Reset',
+    skip: 'Skip',
+    skipLabel: 'Skip to the next phase',
+  },
+  mode: {
+    label: 'Mode',
+    pomodoro: 'Pomodoro',
+    flowtime: 'Flowtime',
+    noiseOnly: 'Noise only',
+  },
+  noiseOnly: {
+    play: 'Play',
+    stop: 'Stop',
+    sleepTimer: 'Sleep timer',
+    customMinutes: 'Sleep timer (minutes)',
+    noTimer: 'No sleep timer',
+    options: {
+      off: 'Off',
+      custom: 'Custom',
+    },
+  },
+  flowtime: {
+    elapsed: 'Elapsed: {time}',
+    finish: 'Finish',
+    finishLabel: 'Finish focusing and take a break',
+    suggestedBreak: 'Finish now for a {duration} break',
+    started: 'Focus has started. Press Finish when you reach a good stopping point',
+    upNext: 'Up next: focus. Start when you are ready',
+    mediaTitle: '{phase} · {time} elapsed',
+    a11y: {
+      started: 'Focus started. Counting up',
+      paused: 'Paused. {time} elapsed',
+      resumed: 'Resumed. {time} elapsed',
+      checkIn: 'You have been focusing for {duration}',
+    },
+    settings: {
+      ratio: 'Break length (share of focus time)',
+      ratioOption: '1/{divisor}',
+      minBreak: 'Shortest break (minutes)',
+      maxBreak: 'Longest break (minutes)',
+      checkIn: 'Play a gentle chime at regular intervals while focusing',
+      checkInMinutes: 'Chime interval (minutes)',
+      note: 'Flowtime counts focus up instead of setting a length, then suggests a break based on how long you focused.',
+    },
+  },
+  interruptions: {
+    button: 'I got distracted',
+    count: {
+      one: '{count} interruption',
+      other: '{count} interruptions',
+    },
+    note: 'Note (optional)',
+    prompt: {
+      manual: 'What pulled you away?',
+      pause: 'Why are you pausing? (optional)',
+      reset: 'Why are you resetting? (optional)',
+    },
+    kinds: {
+      internal: 'Internal (thought, urge)',
+      external: 'External (people, notifications)',
+    },
+    resetWithoutReason: 'Reset without a reason',
+    skip: 'Skip',
+    cancel: 'Cancel',
+  },
+  shortcuts: {
+    title: 'Keyboard shortcuts',
+    close: 'Close',
+    closeDialog: 'Close a dialog',
+    note: 'Shortcuts are turned off while typing in a field. You can change the keys in the settings.',
+    change: 'Change the key for {action} (currently {key})',
+    pressKey: 'Press a key…',
+    restoreDefaults: 'Restore defaults',
+    actions: {
+      startPause: 'Start / pause',
+      reset: 'Reset',
+      skip: 'Skip to the next phase',
+      distracted: 'Log an interruption',
+      help: 'Show shortcuts',
+    },
+  },
+  a11y: {
+    started: '{phase} started. {time} left',
+    paused: 'Paused. {time} left',
+    resumed: 'Resumed. {time} left',
+    reset: 'Timer reset',
+    minutesLeft: {
+      one: '{count} minute left',
+      other: '{count} minutes left',
+    },
+  },
+  alert: {
+    focusDone: 'Focus complete!',
+    breakDone: 'Break is over!',
+  },
+  notification: {
+    startBreak: 'Start break',
+    startFocus: 'Start focus',
+    skip: 'Skip',
+    started: '{phase} ({duration}) has started',
+    upNext: 'Up next: {phase} ({duration})',
+  },
+  media: {
+    title: '{phase} · {time} left',
+  },
+  settings: {
+    open: 'Open settings',
+    title: 'Settings',
+    close: 'Close settings',
+    language: 'Language',
+    theme: 'Theme',
+    titleCountdown: 'Show remaining time in the tab title',
+    faviconProgress: 'Show progress in the tab icon',
+    presets: 'Presets',
+    focusMinutes: 'Focus (minutes)',
+    breakMinutes: 'Break (minutes)',
+    longBreakMinutes: 'Long break (minutes)',
+    cycleLength: 'Pomodoros before a long break',
+    autoStartBreaks: 'Start breaks automatically',
+    autoStartFocus: 'Start the next focus automatically',
+    askInterruptionReason: 'Ask for a reason when pausing or resetting a focus session',
+    milestones: 'Announce the time left at (screen readers)',
+    notifications: 'Show a system notification when a phase ends',
+    notificationsDenied: 'Notifications are blocked by the browser. Allow them in the site settings.',
+    notificationsUnsupported: 'This browser does not support notifications.',
+    vibration: 'Vibration pattern',
+    alertSounds: 'Alert sounds',
+    fade: 'Fade (seconds)',
+    fadeIn: 'In',
+    fadeOut: 'Out',
+    crossfade: 'Switch',
+    breakNoise: 'Keep noise playing during breaks',
+    breakNoiseLevel: 'Break volume',
+    sleepFade: 'Sleep timer fade-out (minutes)',
+    soundscape: 'Soundscape',
+    tuning: 'Tone shaping',
+    setupLink: 'Link to this setup',
+    goals: 'Daily goal and streak',
+    flowtime: 'Flowtime',
+    data: 'Data',
+  },
+  preset: {
+    name: '{focus}/{break} min',
+  },
+  presets: {
+    saveCurrent: '+ Create from current settings',
+    edit: 'Edit',
+    done: 'Done',
+    name: 'Preset name',
+    isDefault: 'Default',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    setDefault: 'Make {name} the default',
+    delete: 'Delete {name}',
+    focus: 'Focus (min)',
+    break: 'Break (min)',
+    longBreak: 'Long break (min)',
+    cycle: 'Cycle',
+    noiseType: 'Noise type',
+    missingAudioFile: 'Deleted recording (plays brown noise)',
+    volume: 'Volume',
+  },
+  sound: {
+    brown: 'Brown noise',
+    white: 'White noise',
+    pink: 'Pink noise',
+    rain: 'Rain',
+    fan: 'Fan',
+    ocean: 'Ocean',
+  },
+  alertSounds: {
+    focusEnd: 'End of focus',
+    breakEnd: 'End of break',
+    volume: 'Alert volume',
+    halfwayCue: 'Soft tick at the halfway point',
+    oneMinuteCue: 'Chime one minute before the end',
+    preview: 'Preview the sound for {name}',
+    sounds: {
+      bell: 'Bell',
+      doubleBeep: 'Double beep',
+      rising: 'Rising tone',
+      falling: 'Falling tone',
+      arpeggio: 'Arpeggio',
+      woodblock: 'Wood block',
+      blip: 'Beep (single)',
+      none: 'None',
+    },
+  },
+  vibration: {
+    none: 'None',
+    short: 'One short',
+    double: 'Two short',
+    long: 'One long',
+    pulse: 'Pulses',
+  },
+  tuning: {
+    color: 'Noise color',
+    slope: '{value} dB/oct',
+    deep: 'Deeper',
+    lowCut: 'Low cut',
+    highCut: 'High cut',
+    off: 'Off',
+    tone: 'Add a tone layer',
+    toneMode: 'Tone type',
+    modes: {
+      binaural: 'Binaural beats',
+      isochronic: 'Isochronic tones',
+    },
+    headphones: 'Binaural beats need headphones.',
+    carrier: 'Carrier frequency',
+    beat: 'Beat frequency',
+    toneVolume: 'Tone volume',
+  },
+  mixer: {
+    masterVolume: 'Master volume',
+    layerSource: 'Sound of layer {index}',
+    layerMute: 'Mute layer {index}',
+    layerRemove: 'Remove layer {index}',
+    volume: 'Volume',
+    pan: 'Pan',
+    addLayer: '+ Add layer',
+    name: 'Soundscape name',
+    save: 'Save',
+    saved: 'Saved soundscapes',
+    savedPlaceholder: 'Saved soundscapes…',
+    load: 'Load',
+    delete: 'Delete',
+  },
+  audioFiles: {
+    title: 'Imported audio',
+    import: '+ Import audio file',
+    importing: 'Importing…',
+    use: 'Use',
+    inUse: 'In use',
+    delete: 'Delete {name}',
+    confirmDelete: 'Delete "{name}"?',
+    normalize: 'Normalize volume',
+    crossfade: 'Loop crossfade',
+    seconds: '{value}s',
+    note: 'Loop your own recordings, such as café ambience or rain, instead of noise. Files are stored in this browser and work offline (up to {size} MB and {minutes} minutes).',
+    error: {
+      tooLarge: 'The file is too large.',
+      tooLong: 'The recording is too long.',
+      unsupported: 'This audio format cannot be played.',
+      failed: 'Could not import the file.',
+    },
+  },
+  stats: {
+    title: 'Statistics',
+    close: 'Close statistics',
+    today: {
+      one: '{value} pomodoro today',
+      other: '{value} pomodoros today',
+    },
+    streak: 'Streak: {current} days (best {best}, goal {goal} pomodoros a day)',
+    last7Days: 'Last 7 days',
+    dayCount: {
+      one: '{date}: {count} pomodoro',
+      other: '{date}: {count} pomodoros',
+    },
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    totals: 'All time',
+    completed: 'Completed',
+    pomodoros: {
+      one: '{count} pomodoro',
+      other: '{count} pomodoros',
+    },
+    focusTime: 'Focus time',
+    breakTime: 'Break time',
+    skippedAborted: 'Skipped / aborted',
+    interruptionTrend: 'Interruptions by week',
+    weekInterruptions: 'Week of {date}: {internal} internal, {external} external ({perSession} per session)',
+    perSessionNote: 'The number above each bar is interruptions per focus session.',
+    recentSessions: 'Recent focus sessions',
+    noSessions: 'No focus sessions recorded yet.',
+    modeComparison: 'Pomodoro vs. Flowtime (completed focus)',
+    averageFocus: {
+      one: '{duration} on average ({count} session)',
+      other: '{duration} on average ({count} sessions)',
+    },
+    outcomes: {
+      completed: 'Completed',
+      skipped: 'Skipped',
+      aborted: 'Aborted',
+    },
+  },
+  tasks: {
+    title: 'Tasks',
+    close: 'Close tasks',
+    name: 'Task name',
+    estimate: 'Estimated pomodoros',
+    add: 'Add',
+    empty: 'Add a task and select it to log your focus sessions against it.',
+    markDone: 'Mark {title} as done',
+    remove: 'Delete {title}',
+    progress: {
+      one: '{actual} of {estimate} estimated pomodoro',
+      other: '{actual} of {estimate} estimated pomodoros',
+    },
+  },
+  theme: {
+    modes: {
+      system: 'Match system',
+      light: 'Light',
+      dark: 'Dark',
+      highContrast: 'High contrast',
+    },
+    resetColors: 'Reset colors',
+    colorNote: 'Phase colors are adjusted automatically so they stay readable against the background.',
+  },
+  goals: {
+    progress: 'Progress toward today\'s goal',
+    streak: {
+      one: '🔥 Goal met {count} day in a row',
+      other: '🔥 Goal met {count} days in a row',
+    },
+    streakPending: {
+      one: '🔥 {count}-day streak (meet today\'s goal to extend it)',
+      other: '🔥 {count}-day streak (meet today\'s goal to extend it)',
+    },
+    dailyGoal: 'Daily goal (pomodoros)',
+    restDays: 'Rest days',
+    restDaysNote: 'Missing the goal on a rest day does not break your streak. Meeting it still counts as a day.',
+  },
+  badges: {
+    title: 'Badges ({earned}/{total})',
+    earned: {
+      one: 'Badge earned!',
+      other: 'Badges earned!',
+    },
+    announce: {
+      one: 'Badge earned: {names}.',
+      other: 'Badges earned: {names}.',
+    },
+    separator: ', ',
+    earnedLabel: ' (earned)',
+    lockedLabel: ' (locked)',
+    items: {
+      firstPomodoro: { name: 'First step', description: 'Complete your first pomodoro' },
+      tenPomodoros: { name: '10 pomodoros', description: 'Complete 10 pomodoros in total' },
+      hundredPomodoros: { name: '100 pomodoros', description: 'Complete 100 pomodoros in total' },
+      firstGoal: { name: 'Goal reached', description: 'Meet your daily goal for the first time' },
+      streak7: { name: 'One-week streak', description: 'Meet your goal 7 days in a row' },
+      streak30: { name: 'One-month streak', description: 'Meet your goal 30 days in a row' },
+      cleanWeek: { name: 'Clean week', description: 'Complete a pomodoro every day for 7 days without abandoning one' },
+      uninterrupted: { name: 'Undisturbed', description: 'Complete 10 focus sessions in a row without interruptions' },
+      marathonDay: { name: 'Marathon', description: 'Complete 8 pomodoros in one day' },
+      fiftyHours: { name: '50 hours', description: 'Reach 50 hours of total focus time' },
+    },
+  },
+  miniTimer: {
+    open: 'Open mini timer',
+    close: 'Close mini timer',
+    title: '{time} {phase}',
+    titlePaused: '⏸ {time} {phase}',
+    note: 'The mini timer (🪟) stays on top of other windows.',
+  },
+  setupLink: {
+    url: 'Setup link',
+    autostart: 'Start right away when opened',
+    copy: 'Copy link',
+    copied: 'Copied',
+    copyManually: 'Could not copy. The link is selected, so copy it manually.',
+  },
+  data: {
+    exportBackup: 'Backup (JSON)',
+    exportCsv: 'History (CSV)',
+    exportIcs: 'Calendar (.ics)',
+    importMode: 'Restore from a backup',
+    merge: 'Add to the current data',
+    replace: 'Replace the current data',
+    import: 'Choose file…',
+    confirmReplace: 'All current settings, tasks and history will be deleted. Restore the backup?',
+    error: {
+      invalidJson: 'The file could not be read because it is not JSON.',
+      notBackup: 'This is not a Brown Noise Timer backup file.',
+      unsupportedVersion: 'This backup was made by a newer version. Update the app and try again.',
+      invalidData: 'The backup is corrupted.',
+      failed: 'Restoring the backup failed.',
+    },
+  },
+  duration: {
+    minutes: '{minutes} min',
+    hoursMinutes: '{hours} h {minutes} min',
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * 国際化（i18n）
+ * メッセージカタログの切り替え、ロケールの検出・保存、複数形と日付・時間の書式化を行います
+ */
+
+import { ja } from './ja';
+import { en } from './en';
+
+export const LOCALE_STORAGE_KEY = 'locale';
+
+export const DEFAULT_LOCALE = 'ja';
+
+const CATALOGS = { ja, en };
+
+// 言語名は切り替え先の言語で表示する
+export const LOCALES = [
+  { value: 'ja', label: '日本語' },
+  { value: 'en', label: 'English' },
+];
+
+/**
+ * ブラウザの言語設定からロケールを決める
+ * @returns {'ja'|'en'}
+ */
+export function detectLocale() {
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const language of languages) {
+    const base = String(language || '').toLowerCase().split('-')[0];
+    if (base in CATALOGS) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 保存されたロケールを読み込む（未設定ならブラウザの言語から検出）
+ * @returns {'ja'|'en'}
+ */
+export function loadLocale() {
+  const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+  return saved in CATALOGS ? saved : detectLocale();
+}
+
+/**
+ * ロケールを保存
+ * @param {string} locale
+ */
+export function saveLocale(locale) {
+  localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * {name} を params の値で置き換える
+ * React 要素などの文字列以外の値を含む場合は、そのまま描画できるよう配列で返す
+ */
+function interpolate(message, params) {
+  const parts = message.split(/\{(\w+)\}/);
+  if (parts.length === 1) return message;
+
+  let hasElement = false;
+  const values = parts.map((part, i) => {
+    if (i % 2 === 0) return part;
+    const value = params[part];
+    if (value === undefined) return `{${part}}`;
+    if (typeof value === 'object' && value !== null) {
+      hasElement = true;
+      return value;
+    }
+    return String(value);
+  });
+
+  if (!hasElement) return values.join('');
+  return values.filter(value => value !== '');
+}
+
+/**
+ * 翻訳関数と書式化関数を作成
+ * 複数形のメッセージは params.count で形を選ぶ
+ * @param {string} locale
+ */
+export function createTranslator(locale) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+
+  const t = (key, params = {}) => {
+    let message = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+    if (message == null) return key;
+
+    if (typeof message === 'object') {
+      const category = pluralRules.select(Number(params.count) || 0);
+      message = message[category] ?? message.other;
+    }
+    return interpolate(message, params);
+  };
+
+  const monthFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long' });
+  const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+  const dateFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' });
+  const timeFormat = new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' });
+
+  const formatters = {
+    /** 年月（例: 2024年5月 / May 2024） */
+    month: (date) => monthFormat.format(date),
+    /** 曜日の短縮名 */
+    weekday: (date) => weekdayFormat.format(date),
+    /** 月日 */
+    date: (date) => dateFormat.format(date),
+    /** 時刻 */
+    time: (date) => timeFormat.format(date),
+    /** 分数を「○時間○分」の形式に */
+    duration: (minutes) => {
+      const total = Math.round(minutes);
+      const hours = Math.floor(total / 60);
+      if (hours === 0) return t('duration.minutes', { minutes: total });
+      return t('duration.hoursMinutes', { hours, minutes: total % 60 });
+    },
+  };
+
+  return { t, formatters };
+}
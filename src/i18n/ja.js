@@ -0,0 +1,400 @@
+/**
+ * 日本語メッセージカタログ
+ * 複数形が必要なメッセージは Intl.PluralRules のカテゴリ（one / other など）をキーにしたオブジェクトで定義します
+ */
+export const ja = {
+  header: {
+    openTasks: 'タスクを開く',
+    openStats: '統計を開く',
+    switchToLight: 'ライトモードに切り替え',
+    switchToDark: 'ダークモードに切り替え',
+  },
+  update: {
+    available: '新しいバージョンがあります',
+    reload: '再読み込み',
+    later: 'あとで',
+  },
+  timer: {
+    remaining: '残り時間: {time}',
+  },
+  phase: {
+    focus: '集中',
+    break: '休憩',
+    longBreak: '長い休憩',
+  },
+  status: {
+    idle: 'アイドル',
+    paused: '一時停止中',
+    break: '休憩中',
+    longBreak: '長い休憩中',
+  },
+  currentTask: {
+    label: '現在のタスク: {title}',
+    select: 'タスクを選択',
+    selectButton: '＋ タスクを選択',
+    progress: '{title}（🍅 {done}/{estimate}）',
+  },
+  cycle: {
+    label: 'サイクル {current}/{total}',
+  },
+  count: {
+    today: '本日: {value} / {goal} ポモドーロ',
+  },
+  controls: {
+    start: '開始',
+    resume: '再開',
+    pause: '一時停止',
+    reset: 'リセット',
+    skip: 'スキップ',
+    skipLabel: '次のフェーズへスキップ',
+  },
+  mode: {
+    label: 'モード',
+    pomodoro: 'ポモドーロ',
+    flowtime: 'Flowtime',
+    noiseOnly: 'ノイズのみ',
+  },
+  noiseOnly: {
+    play: '再生',
+    stop: '停止',
+    sleepTimer: 'スリープタイマー',
+    customMinutes: 'スリープタイマー（分）',
+    noTimer: 'スリープタイマーなし',
+    options: {
+      off: 'なし',
+      custom: 'カスタム',
+    },
+  },
+  flowtime: {
+    elapsed: '経過時間: {time}',
+    finish: '終了',
+    finishLabel: '集中を終えて休憩へ',
+    suggestedBreak: '今終えると休憩は {duration}',
+    started: '集中を開始しました。区切りのよいところで「終了」を押してください',
+    upNext: '次は集中です。準備ができたら開始してください',
+    mediaTitle: '{phase} ・ {time} 経過',
+    a11y: {
+      started: '集中を開始しました。経過時間を数えます',
+      paused: '一時停止しました。経過 {time}',
+      resumed: '再開しました。経過 {time}',
+      checkIn: '集中を始めて {duration} が経過しました',
+    },
+    settings: {
+      ratio: '休憩の長さ（集中時間に対する割合）',
+      ratioOption: '1/{divisor}',
+      minBreak: '休憩の最短（分）',
+      maxBreak: '休憩の最長（分）',
+      checkIn: '集中中に一定の間隔でチャイムを鳴らす',
+      checkInMinutes: 'チャイムの間隔（分）',
+      note: 'Flowtime では集中時間を決めずに数え上げ、終えたときの集中時間に応じて休憩の長さを提案します。',
+    },
+  },
+  interruptions: {
+    button: '気が散った',
+    count: '中断 {count}回',
+    note: 'メモ（任意）',
+    prompt: {
+      manual: '何に気を取られましたか？',
+      pause: '一時停止の理由は？（任意）',
+      reset: 'リセットの理由は？（任意）',
+    },
+    kinds: {
+      internal: '内的（考え・衝動）',
+      external: '外的（人・通知など）',
+    },
+    resetWithoutReason: '理由なしでリセット',
+    skip: 'スキップ',
+    cancel: 'キャンセル',
+  },
+  shortcuts: {
+    title: 'キーボードショートカット',
+    close: '閉じる',
+    closeDialog: 'ダイアログを閉じる',
+    note: '入力欄での入力中はショートカットは無効です。設定から割り当てを変更できます。',
+    change: '{action}のキーを変更（現在: {key}）',
+    pressKey: 'キーを押してください…',
+    restoreDefaults: '既定に戻す',
+    actions: {
+      startPause: '開始 / 一時停止',
+      reset: 'リセット',
+      skip: '次のフェーズへスキップ',
+      distracted: '中断を記録',
+      help: 'ショートカット一覧',
+    },
+  },
+  a11y: {
+    started: '{phase}を開始しました。残り {time}',
+    paused: '一時停止しました。残り {time}',
+    resumed: '再開しました。残り {time}',
+    reset: 'タイマーをリセットしました',
+    minutesLeft: '残り {count}分です',
+  },
+  alert: {
+    focusDone: '集中完了！',
+    breakDone: '休憩終了！',
+  },
+  notification: {
+    startBreak: '休憩を開始',
+    startFocus: '集中を開始',
+    skip: 'スキップ',
+    started: '{phase}（{duration}）を開始しました',
+    upNext: '次は{phase}（{duration}）です',
+  },
+  media: {
+    title: '{phase} ・ 残り {time}',
+  },
+  settings: {
+    open: '設定を開く',
+    title: '設定',
+    close: '設定を閉じる',
+    language: '言語',
+    theme: 'テーマ',
+    titleCountdown: 'タブのタイトルに残り時間を表示',
+    faviconProgress: 'タブのアイコンに進捗を表示',
+    presets: 'プリセット',
+    focusMinutes: '集中時間（分）',
+    breakMinutes: '休憩時間（分）',
+    longBreakMinutes: '長い休憩（分）',
+    cycleLength: '長い休憩までのポモドーロ数',
+    autoStartBreaks: '休憩を自動で開始',
+    autoStartFocus: '次の集中を自動で開始',
+    askInterruptionReason: '集中中の一時停止・リセットで理由を尋ねる',
+    milestones: '残り時間を読み上げるタイミング（スクリーンリーダー）',
+    notifications: 'フェーズ終了時にシステム通知を表示',
+    notificationsDenied: '通知がブラウザでブロックされています。サイトの設定から許可してください。',
+    notificationsUnsupported: 'このブラウザは通知に対応していません。',
+    vibration: '振動パターン',
+    alertSounds: 'アラート音',
+    fade: 'フェード（秒）',
+    fadeIn: 'イン',
+    fadeOut: 'アウト',
+    crossfade: '切り替え',
+    breakNoise: '休憩中もノイズを流す',
+    breakNoiseLevel: '休憩中の音量',
+    sleepFade: 'スリープタイマーのフェードアウト（分）',
+    soundscape: 'サウンドスケープ',
+    tuning: '音色とトーン',
+    setupLink: 'このセットアップへのリンク',
+    goals: '1日の目標と連続記録',
+    flowtime: 'Flowtime',
+    data: 'データ',
+  },
+  preset: {
+    name: '{focus}分/{break}分',
+  },
+  presets: {
+    saveCurrent: '＋ 現在の設定から作成',
+    edit: '編集',
+    done: '完了',
+    name: 'プリセット名',
+    isDefault: '既定',
+    moveUp: '{name}を上へ移動',
+    moveDown: '{name}を下へ移動',
+    setDefault: '{name}を既定にする',
+    delete: '{name}を削除',
+    focus: '集中（分）',
+    break: '休憩（分）',
+    longBreak: '長い休憩（分）',
+    cycle: 'サイクル',
+    noiseType: 'ノイズの種類',
+    missingAudioFile: '削除された音声（ブラウンノイズで再生）',
+    volume: '音量',
+  },
+  sound: {
+    brown: 'ブラウンノイズ',
+    white: 'ホワイトノイズ',
+    pink: 'ピンクノイズ',
+    rain: '雨',
+    fan: 'ファン',
+    ocean: '波',
+  },
+  alertSounds: {
+    focusEnd: '集中の終了',
+    breakEnd: '休憩の終了',
+    volume: 'アラートの音量',
+    halfwayCue: '半分経過で小さく鳴らす',
+    oneMinuteCue: '残り1分でチャイムを鳴らす',
+    preview: '{name}の音を試聴',
+    sounds: {
+      bell: 'ベル',
+      doubleBeep: 'ダブルビープ',
+      rising: '上昇音',
+      falling: '下降音',
+      arpeggio: 'アルペジオ',
+      woodblock: 'ウッドブロック',
+      blip: 'ビープ（単音）',
+      none: 'なし',
+    },
+  },
+  vibration: {
+    none: 'なし',
+    short: '短く1回',
+    double: '2回',
+    long: '長く1回',
+    pulse: '小刻みに',
+  },
+  tuning: {
+    color: 'ノイズの色',
+    slope: '{value} dB/oct',
+    deep: 'さらに深く',
+    lowCut: 'ローカット',
+    highCut: 'ハイカット',
+    off: 'オフ',
+    tone: 'トーンを重ねる',
+    toneMode: 'トーンの種類',
+    modes: {
+      binaural: 'バイノーラルビート',
+      isochronic: 'アイソクロニックトーン',
+    },
+    headphones: 'バイノーラルビートはヘッドホンで聴いてください。',
+    carrier: 'キャリア周波数',
+    beat: 'ビート周波数',
+    toneVolume: 'トーンの音量',
+  },
+  mixer: {
+    masterVolume: 'マスター音量',
+    layerSource: 'レイヤー{index}の音源',
+    layerMute: 'レイヤー{index}をミュート',
+    layerRemove: 'レイヤー{index}を削除',
+    volume: '音量',
+    pan: 'パン',
+    addLayer: '＋ レイヤーを追加',
+    name: 'サウンドスケープ名',
+    save: '保存',
+    saved: '保存したサウンドスケープ',
+    savedPlaceholder: '保存したサウンドスケープ…',
+    load: '読み込む',
+    delete: '削除',
+  },
+  audioFiles: {
+    title: '取り込んだ音声',
+    import: '＋ 音声ファイルを取り込む',
+    importing: '取り込み中…',
+    use: '使う',
+    inUse: '使用中',
+    delete: '{name}を削除',
+    confirmDelete: '「{name}」を削除しますか？',
+    normalize: '音量を正規化',
+    crossfade: 'ループのクロスフェード',
+    seconds: '{value}秒',
+    note: 'カフェの環境音や雨の録音などを、ノイズの代わりにループ再生できます。ファイルはこのブラウザに保存され、オフラインでも使えます（{size}MB・{minutes}分まで）。',
+    error: {
+      tooLarge: 'ファイルが大きすぎます。',
+      tooLong: '音声が長すぎます。',
+      unsupported: 'この形式の音声は再生できません。',
+      failed: '取り込みに失敗しました。',
+    },
+  },
+  stats: {
+    title: '統計',
+    close: '統計を閉じる',
+    today: '{value} ポモドーロ（本日）',
+    streak: '連続記録: {current}日（最長 {best}日、目標 {goal} ポモドーロ/日）',
+    last7Days: '過去7日間',
+    dayCount: '{date}: {count}ポモドーロ',
+    previousMonth: '前の月',
+    nextMonth: '次の月',
+    totals: '累計',
+    completed: '完了',
+    pomodoros: '{count} ポモドーロ',
+    focusTime: '集中時間',
+    breakTime: '休憩時間',
+    skippedAborted: 'スキップ / 中断',
+    interruptionTrend: '中断の推移（週ごと）',
+    weekInterruptions: '{date}からの週: 内的 {internal}回・外的 {external}回（1セッションあたり {perSession}回）',
+    perSessionNote: 'グラフ上の数字は集中セッション1回あたりの中断回数です。',
+    recentSessions: '最近の集中セッション',
+    noSessions: 'まだ集中セッションの記録がありません。',
+    modeComparison: 'ポモドーロと Flowtime の比較（完了した集中）',
+    averageFocus: '平均 {duration}（{count}回）',
+    outcomes: {
+      completed: '完了',
+      skipped: 'スキップ',
+      aborted: '中断',
+    },
+  },
+  tasks: {
+    title: 'タスク',
+    close: 'タスクを閉じる',
+    name: 'タスク名',
+    estimate: '見積もりポモドーロ数',
+    add: '追加',
+    empty: 'タスクを追加して、集中セッションを記録するタスクを選びましょう。',
+    markDone: '{title}を完了にする',
+    remove: '{title}を削除',
+    progress: '実績 {actual} / 見積もり {estimate} ポモドーロ',
+  },
+  theme: {
+    modes: {
+      system: 'システムに合わせる',
+      light: 'ライト',
+      dark: 'ダーク',
+      highContrast: 'ハイコントラスト',
+    },
+    resetColors: '色を元に戻す',
+    colorNote: 'フェーズの色は背景に対して見やすい明るさに自動で調整されます。',
+  },
+  goals: {
+    progress: '本日の目標の進捗',
+    streak: '🔥 {count}日連続で達成',
+    streakPending: '🔥 {count}日連続（今日の目標を達成すると更新）',
+    dailyGoal: '1日の目標（ポモドーロ）',
+    restDays: '休息日',
+    restDaysNote: '休息日は目標に届かなくても連続記録が途切れません。達成した場合は1日として数えます。',
+  },
+  badges: {
+    title: '実績バッジ（{earned}/{total}）',
+    earned: 'バッジを獲得しました！',
+    announce: 'バッジを獲得しました: {names}。',
+    separator: '、',
+    earnedLabel: '（獲得済み）',
+    lockedLabel: '（未獲得）',
+    items: {
+      firstPomodoro: { name: 'はじめの一歩', description: '最初のポモドーロを完了' },
+      tenPomodoros: { name: '10ポモドーロ', description: 'ポモドーロを合計10回完了' },
+      hundredPomodoros: { name: '100ポモドーロ', description: 'ポモドーロを合計100回完了' },
+      firstGoal: { name: '目標達成', description: '1日の目標をはじめて達成' },
+      streak7: { name: '1週間連続', description: '7日連続で目標を達成' },
+      streak30: { name: '1か月連続', description: '30日連続で目標を達成' },
+      cleanWeek: { name: 'やり抜いた1週間', description: '7日間毎日完了し、途中でやめた集中が1回もない' },
+      uninterrupted: { name: '邪魔なし', description: '中断なしの集中を10回続けて完了' },
+      marathonDay: { name: 'マラソン', description: '1日に8ポモドーロを完了' },
+      fiftyHours: { name: '50時間', description: '集中時間の合計が50時間に到達' },
+    },
+  },
+  miniTimer: {
+    open: 'ミニタイマーを開く',
+    close: 'ミニタイマーを閉じる',
+    title: '{time} {phase}',
+    titlePaused: '⏸ {time} {phase}',
+    note: 'ミニタイマー（🪟）は他のウィンドウの上に表示されます。',
+  },
+  setupLink: {
+    url: 'セットアップのリンク',
+    autostart: '開いたらすぐに開始する',
+    copy: 'リンクをコピー',
+    copied: 'コピーしました',
+    copyManually: 'コピーできませんでした。リンクを選択したので手動でコピーしてください。',
+  },
+  data: {
+    exportBackup: 'バックアップ（JSON）',
+    exportCsv: '履歴（CSV）',
+    exportIcs: 'カレンダー（.ics）',
+    importMode: 'バックアップから復元',
+    merge: '現在のデータに追加',
+    replace: '現在のデータを置き換える',
+    import: 'ファイルを選択…',
+    confirmReplace: '現在の設定・タスク・履歴はすべて削除されます。復元しますか？',
+    error: {
+      invalidJson: 'ファイルを読み込めませんでした。JSON 形式ではありません。',
+      notBackup: 'Brown Noise Timer のバックアップファイルではありません。',
+      unsupportedVersion: 'このバージョンでは読み込めないバックアップです。アプリを更新してください。',
+      invalidData: 'バックアップの内容が壊れています。',
+      failed: '復元に失敗しました。',
+    },
+  },
+  duration: {
+    minutes: '{minutes}分',
+    hoursMinutes: '{hours}時間{minutes}分',
+  },
+};
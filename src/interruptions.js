@@ -0,0 +1,51 @@
+/**
+ * 中断の記録
+ * 集中中に気が散ったことや割り込まれたことを、タイマーを止めずに記録します
+ * 自分の考えや衝動による「内的」と、人や通知による「外的」を区別し、任意でメモを残せます
+ * 一時停止・リセットの理由も同じ形式で記録します
+ */
+
+export const INTERRUPTION_KINDS = ['internal', 'external'];
+
+// 記録のきっかけ。manual は「気が散った」ボタン
+export const INTERRUPTION_SOURCES = ['manual', 'pause', 'reset'];
+
+/**
+ * 中断を作成
+ * @param {{ kind: 'internal'|'external', note?: string, source?: 'manual'|'pause'|'reset' }} values
+ * @param {number} time - 記録時刻（エポックミリ秒）
+ * @returns {{ time: number, kind: string, note: string, source: string }}
+ */
+export function createInterruption({ kind, note = '', source = 'manual' }, time = Date.now()) {
+  return {
+    time,
+    kind: INTERRUPTION_KINDS.includes(kind) ? kind : 'internal',
+    note: note.trim(),
+    source: INTERRUPTION_SOURCES.includes(source) ? source : 'manual',
+  };
+}
+
+/**
+ * 保存データから読み込んだ中断の一覧を検証する
+ * 不正な項目は取り除く
+ * @param {unknown} list
+ * @returns {Array<{ time: number, kind: string, note: string, source: string }>}
+ */
+export function normalizeInterruptions(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(item => item && typeof item === 'object' && Number.isFinite(item.time))
+    .map(item => createInterruption({
+      kind: item.kind,
+      note: typeof item.note === 'string' ? item.note : '',
+      source: item.source,
+    }, item.time));
+}
+
+/**
+ * セッションの中断回数
+ * 記録機能より前のセッションは 0 として扱う
+ */
+export function countInterruptions(session) {
+  return Array.isArray(session.interruptions) ? session.interruptions.length : 0;
+}
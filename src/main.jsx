@@ -1,10 +1,18 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { I18nProvider } from './i18n/I18nProvider'
+import { registerServiceWorker } from './serviceWorker'
+import { startTabSync } from './tabSync'
 import './index.css'
 
+registerServiceWorker()
+startTabSync()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>,
 )
@@ -0,0 +1,128 @@
+/**
+ * Media Session API 連携
+ * ロック画面・通知領域のメディアコントロールにフェーズ名・残り時間・ノイズの種類を表示し、
+ * ヘッドセットのボタンでタイマーを操作できるようにします
+ *
+ * Web Audio だけの再生ではメディアセッションとして認識されない環境があるため、
+ * タイマー動作中は無音の <audio> をループ再生してセッションを維持します
+ */
+
+const isSupported = typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+let anchorAudio = null;
+
+/**
+ * 無音の WAV（8bit モノラル）を生成
+ */
+function createSilentWavUrl(seconds = 1, sampleRate = 8000) {
+  const samples = seconds * sampleRate;
+  const view = new DataView(new ArrayBuffer(44 + samples));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // モノラル
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate, true);
+  view.setUint16(32, 1, true);
+  view.setUint16(34, 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples, true);
+  for (let i = 0; i < samples; i++) view.setUint8(44 + i, 128);
+
+  return URL.createObjectURL(new Blob([view], { type: 'audio/wav' }));
+}
+
+/**
+ * メディアセッションを有効化・無効化
+ * 有効化はユーザー操作（開始ボタンなど）の延長で呼び出すこと
+ * @param {boolean} active
+ */
+export function setMediaSessionActive(active) {
+  if (!isSupported) return;
+
+  if (active) {
+    if (!anchorAudio) {
+      anchorAudio = new Audio(createSilentWavUrl());
+      anchorAudio.loop = true;
+    }
+    anchorAudio.play().catch(() => {
+      // 自動再生が許可されていない場合は次のユーザー操作まで待つ
+    });
+    navigator.mediaSession.playbackState = 'playing';
+  } else {
+    anchorAudio?.pause();
+    navigator.mediaSession.playbackState = anchorAudio ? 'paused' : 'none';
+  }
+}
+
+/**
+ * 表示する情報を更新
+ * @param {{ title: string, artist: string, album: string }} metadata
+ */
+export function updateMediaMetadata({ title, artist, album }) {
+  if (!isSupported || typeof MediaMetadata === 'undefined') return;
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title,
+    artist,
+    album,
+    artwork: [
+      { src: '/icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: '/icon-512.png', sizes: '512x512', type: 'image/png' },
+    ],
+  });
+}
+
+/**
+ * フェーズの進捗をシークバーに反映
+ * @param {number} duration - フェーズの長さ（秒）
+ * @param {number} position - 経過秒数
+ */
+export function updateMediaPosition(duration, position) {
+  if (!isSupported || !navigator.mediaSession.setPositionState) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration,
+      position: Math.min(Math.max(0, position), duration),
+      playbackRate: 1,
+    });
+  } catch (e) {
+    // 不正な値は無視
+  }
+}
+
+/**
+ * メディアキーのハンドラを登録
+ * @param {{ play?: Function, pause?: Function, stop?: Function, nexttrack?: Function }} handlers
+ * @returns {() => void} 登録解除
+ */
+export function setMediaActionHandlers(handlers) {
+  if (!isSupported) return () => {};
+
+  const actions = Object.keys(handlers);
+  actions.forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, () => handlers[action]());
+    } catch (e) {
+      // 未対応のアクションは無視
+    }
+  });
+
+  return () => {
+    actions.forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, null);
+      } catch (e) {
+        // 未対応のアクションは無視
+      }
+    });
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * ノイズソースの生成
+ * AudioWorklet 対応環境ではサンプル単位で生成し、非対応環境ではループバッファで代替します
+ * 生成したソースは { output, stop, setColor } の形で返し、呼び出し側が output を任意のノードへ接続します
+ */
+
+import { NOISE_COLOR_VALUES, getNearestNoiseType } from './soundscape';
+
+// AudioWorklet モジュールの読み込み状態（一度だけ読み込む）
+let workletReady = null;
+
+/**
+ * ホワイトノイズバッファを生成
+ */
+function generateWhiteNoiseBuffer(ctx, duration = 2) {
+  const bufferSize = ctx.sampleRate * duration;
+  const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < bufferSize; i++) {
+    data[i] = Math.random() * 2 - 1;
+  }
+
+  return buffer;
+}
+
+/**
+ * AudioWorklet モジュールを読み込む
+ * 利用できない環境では false を返す
+ */
+function loadNoiseWorklet(ctx) {
+  if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+    return Promise.resolve(false);
+  }
+
+  if (!workletReady) {
+    workletReady = ctx.audioWorklet
+      .addModule('/noise-processor.js')
+      .then(() => true)
+      .catch((error) => {
+        console.warn('AudioWorklet の読み込みに失敗したため、バッファ方式で再生します:', error);
+        return false;
+      });
+  }
+
+  return workletReady;
+}
+
+/**
+ * AudioParam を現在値から目標値まで直線的に変化させる
+ */
+function glideParam(ctx, param, value, seconds) {
+  const now = ctx.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  if (seconds > 0) {
+    param.linearRampToValueAtTime(value, now + seconds);
+  } else {
+    param.setValueAtTime(value, now);
+  }
+}
+
+/**
+ * AudioWorklet によるノイズソースを作成
+ * サンプルごとに生成するためループがなく、ピンク・ブラウンも正しいスペクトルになる
+ */
+function createWorkletNoiseSource(ctx, color) {
+  const node = new AudioWorkletNode(ctx, 'noise-generator', {
+    numberOfInputs: 0,
+    outputChannelCount: [1],
+    parameterData: { color },
+  });
+  const colorParam = node.parameters.get('color');
+
+  return {
+    output: node,
+    stop() {
+      node.port.postMessage({ type: 'stop' });
+      node.disconnect();
+    },
+    setColor(value, seconds = 0) {
+      glideParam(ctx, colorParam, value, seconds);
+    },
+  };
+}
+
+/**
+ * ループするホワイトノイズバッファとフィルタによるノイズソースを作成
+ * AudioWorklet が利用できない環境向けのフォールバック
+ * 以前のバッファ方式と同じフィルタで鳴らし、色の値はもっとも近いノイズの種類に丸める
+ */
+function createBufferNoiseSource(ctx, color) {
+  // ホワイトノイズバッファを生成
+  const buffer = generateWhiteNoiseBuffer(ctx);
+
+  // バッファソースの作成
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+
+  // ピンクノイズ：ハイパスフィルタで低周波を減衰
+  const pinkFilter = ctx.createBiquadFilter();
+  pinkFilter.type = 'highpass';
+  pinkFilter.frequency.value = 100;
+  pinkFilter.Q.value = 0.707;
+
+  // ブラウンノイズ：複数のローパスフィルタで低周波を強調
+  const brownFilter1 = ctx.createBiquadFilter();
+  brownFilter1.type = 'lowpass';
+  brownFilter1.frequency.value = 500;
+  brownFilter1.Q.value = 0.707;
+
+  const brownFilter2 = ctx.createBiquadFilter();
+  brownFilter2.type = 'lowpass';
+  brownFilter2.frequency.value = 200;
+  brownFilter2.Q.value = 0.707;
+  brownFilter1.connect(brownFilter2);
+
+  // 種類を切り替えても呼び出し側の接続が変わらないよう、出力を固定する
+  const output = ctx.createGain();
+  pinkFilter.connect(output);
+  brownFilter2.connect(output);
+
+  let noiseType = null;
+  const setColor = (value) => {
+    const nextType = getNearestNoiseType(value);
+    if (nextType === noiseType) return;
+    noiseType = nextType;
+
+    source.disconnect();
+    if (noiseType === 'pink') {
+      source.connect(pinkFilter);
+    } else if (noiseType === 'brown') {
+      source.connect(brownFilter1);
+    } else {
+      // ホワイトノイズ：フィルタなし
+      source.connect(output);
+    }
+  };
+  setColor(color);
+
+  source.start(0);
+
+  return {
+    output,
+    stop() {
+      source.stop();
+    },
+    setColor,
+  };
+}
+
+/**
+ * ノイズソースを作成
+ * @param {AudioContext} ctx
+ * @param {string|number} noise - 'white', 'pink', 'brown' または色の値（0〜3）
+ * @returns {Promise<{ output: AudioNode, stop: Function, setColor: (color: number, seconds?: number) => void }>}
+ */
+export function createNoiseSource(ctx, noise) {
+  const color = typeof noise === 'number' ? noise : NOISE_COLOR_VALUES[noise] ?? NOISE_COLOR_VALUES.brown;
+
+  return loadNoiseWorklet(ctx).then((useWorklet) => {
+    if (useWorklet) {
+      try {
+        return createWorkletNoiseSource(ctx, color);
+      } catch (error) {
+        // ノード生成に失敗した場合はフォールバック
+      }
+    }
+    return createBufferNoiseSource(ctx, color);
+  });
+}
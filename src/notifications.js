@@ -0,0 +1,138 @@
+/**
+ * フェーズ終了の通知
+ * Service Worker 経由でシステム通知を表示し、通知のアクション（休憩開始・スキップ・集中開始）を
+ * ページに転送します。タブが非表示でも、画面がロックされていても気付けるようにします
+ */
+
+export const NOTIFICATION_ACTIONS = {
+  START_BREAK: 'start-break',
+  START_FOCUS: 'start-focus',
+  SKIP: 'skip',
+};
+
+// 通知から新しくウィンドウを開いたときにアクションを渡す URL パラメータ
+const LAUNCH_ACTION_PARAM = 'notificationAction';
+
+export const VIBRATION_PATTERNS = {
+  none: [],
+  short: [200],
+  double: [200, 100, 200],
+  long: [600],
+  pulse: [100, 50, 100, 50, 100, 50, 100],
+};
+
+export const VIBRATION_OPTIONS = [
+  { value: 'none', labelKey: 'vibration.none' },
+  { value: 'short', labelKey: 'vibration.short' },
+  { value: 'double', labelKey: 'vibration.double' },
+  { value: 'long', labelKey: 'vibration.long' },
+  { value: 'pulse', labelKey: 'vibration.pulse' },
+];
+
+/**
+ * 通知の許可状態
+ * @returns {'unsupported'|'default'|'granted'|'denied'}
+ */
+export function getNotificationPermission() {
+  if (!('Notification' in window)) return 'unsupported';
+  return Notification.permission;
+}
+
+/**
+ * 通知の許可を求める
+ * ユーザー操作のハンドラ内から呼び出すこと
+ * @returns {Promise<'unsupported'|'default'|'granted'|'denied'>}
+ */
+export function requestNotificationPermission() {
+  if (!('Notification' in window)) return Promise.resolve('unsupported');
+  return Notification.requestPermission();
+}
+
+/**
+ * 端末を振動させる（対応端末のみ）
+ * @param {number[]} pattern
+ */
+export function vibrate(pattern) {
+  if (pattern.length > 0 && 'vibrate' in navigator) {
+    navigator.vibrate(pattern);
+  }
+}
+
+/**
+ * フェーズ終了の通知を表示
+ * Service Worker に表示を依頼する。ページがまだ制御されていなければ登録から直接表示し、
+ * 登録もない環境ではアクションなしの通知で代替する
+ * 表示に失敗してもフェーズ終了の処理を止めないよう、例外は投げない
+ * @param {{ title: string, body: string, actions: Array<{ action: string, title: string }>, vibrate: number[] }} notification
+ */
+export async function showPhaseNotification(notification) {
+  if (getNotificationPermission() !== 'granted') return;
+
+  try {
+    if ('serviceWorker' in navigator) {
+      if (navigator.serviceWorker.controller) {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({
+          type: 'SHOW_NOTIFICATION',
+          notification,
+        });
+        return;
+      }
+
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration) {
+        await registration.showNotification(notification.title, {
+          body: notification.body,
+          actions: notification.actions,
+          vibrate: notification.vibrate,
+          tag: 'phase-end',
+          renotify: true,
+          icon: '/icon-192.png',
+        });
+        return;
+      }
+    }
+  } catch (e) {
+    console.error('Failed to show notification via service worker:', e);
+  }
+
+  // Android の Chrome などでは Notification のコンストラクタが使えない（TypeError になる）
+  try {
+    new Notification(notification.title, { body: notification.body, tag: 'phase-end' });
+  } catch (e) {
+    console.error('Failed to show notification:', e);
+  }
+}
+
+/**
+ * 通知アクションを購読
+ * @param {(action: string) => void} listener
+ * @returns {() => void} 購読解除
+ */
+export function subscribeToNotificationActions(listener) {
+  if (!('serviceWorker' in navigator)) return () => {};
+
+  const handleMessage = (event) => {
+    if (event.data?.type === 'NOTIFICATION_ACTION') {
+      listener(event.data.action);
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
+
+/**
+ * 通知から開かれた場合のアクションを取り出す
+ * 再読み込みで繰り返されないよう、URL からパラメータを取り除く
+ * @returns {string|null}
+ */
+export function consumeLaunchAction() {
+  const url = new URL(window.location.href);
+  const action = url.searchParams.get(LAUNCH_ACTION_PARAM);
+  if (!action) return null;
+
+  url.searchParams.delete(LAUNCH_ACTION_PARAM);
+  window.history.replaceState(null, '', url);
+  return Object.values(NOTIFICATION_ACTIONS).includes(action) ? action : null;
+}
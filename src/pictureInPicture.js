@@ -0,0 +1,117 @@
+/**
+ * ミニタイマー（ピクチャー・イン・ピクチャー）
+ * エディタなどに切り替えてもタイマーが見えるよう、常に手前に表示される小さなウィンドウを開きます
+ *
+ * - Document Picture-in-Picture API に対応していれば、React の画面をそのまま PiP ウィンドウに描画する
+ * - 対応していなければ、canvas に描いたタイマーを video で PiP 表示する
+ *   この場合のボタンはブラウザの PiP の操作（Media Session の再生/一時停止・次のトラック）になる
+ */
+
+/**
+ * 使える PiP の種類
+ * @returns {'document'|'video'|null}
+ */
+export function getPipSupport() {
+  if ('documentPictureInPicture' in window) return 'document';
+  if (document.pictureInPictureEnabled && 'captureStream' in HTMLCanvasElement.prototype) return 'video';
+  return null;
+}
+
+/**
+ * スタイルシートを PiP ウィンドウに写す
+ * 読み取れる（同一オリジンの）シートは規則を写し、読み取れないものは link で読み込み直す
+ */
+function copyStyleSheets(target) {
+  [...document.styleSheets].forEach(sheet => {
+    try {
+      const style = target.document.createElement('style');
+      style.textContent = [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+      target.document.head.appendChild(style);
+    } catch (e) {
+      if (!sheet.href) return;
+      const link = target.document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = sheet.href;
+      target.document.head.appendChild(link);
+    }
+  });
+}
+
+/**
+ * Document Picture-in-Picture のウィンドウを開く（ユーザー操作の中で呼ぶ）
+ * @param {{ width: number, height: number }} size
+ * @returns {Promise<Window>}
+ */
+export async function openDocumentPip({ width, height }) {
+  const pipWindow = await window.documentPictureInPicture.requestWindow({ width, height });
+  copyStyleSheets(pipWindow);
+  pipWindow.document.title = document.title;
+  return pipWindow;
+}
+
+/**
+ * canvas の内容を video の PiP で表示する（ユーザー操作の中で呼ぶ）
+ * canvas は開く前に一度描いておく。以降は canvas を描き直せば PiP にも反映される
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} onClose - PiP が閉じられたとき
+ * @returns {Promise<HTMLVideoElement>}
+ */
+export async function openVideoPip(canvas, onClose) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = canvas.captureStream();
+  await video.play();
+  await video.requestPictureInPicture();
+
+  video.addEventListener('leavepictureinpicture', () => {
+    video.srcObject.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+    onClose();
+  }, { once: true });
+  return video;
+}
+
+export function closeVideoPip() {
+  if (document.pictureInPictureElement) {
+    document.exitPictureInPicture().catch(() => {});
+  }
+}
+
+/**
+ * video の PiP 用にタイマーを canvas に描く
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ progress: number, time: string, label: string, color: string, textColor: string, background: string, trackColor: string }} frame
+ *   progress は 0-1
+ */
+export function drawPipFrame(canvas, { progress, time, label, color, textColor, background, trackColor }) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const center = { x: width / 2, y: height / 2 };
+  const radius = Math.min(width, height) * 0.42;
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.lineWidth = radius * 0.08;
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = trackColor;
+  ctx.beginPath();
+  ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  if (progress > 0) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, progress));
+    ctx.stroke();
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = textColor;
+  ctx.font = `700 ${Math.round(radius * 0.5)}px 'Courier New', monospace`;
+  ctx.fillText(time, center.x, center.y);
+  ctx.font = `600 ${Math.round(radius * 0.16)}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  ctx.fillText(label, center.x, center.y + radius * 0.45);
+}
@@ -0,0 +1,130 @@
+/**
+ * プリセット
+ * 集中・休憩・長い休憩の長さ、サイクル数、ノイズの種類（または取り込んだ音声）と音量をまとめて保存し、
+ * ワンタップで切り替えられるようにします。既定のプリセットと最後に選んだプリセットも保存します
+ */
+
+import { NOISE_COLORS, isAudioFileSound } from './soundscape';
+
+const PRESETS_KEY = 'presets';
+const ACTIVE_PRESET_KEY = 'activePresetId';
+const DEFAULT_PRESET_KEY = 'defaultPresetId';
+
+// 初回起動時のプリセット。name が空のものは長さから表示名を作る
+const BUILT_IN_PRESETS = [
+  { id: 'classic', name: '', focus: 25, break: 5, longBreak: 15, cycle: 4, noiseType: 'brown', volume: 0.3 },
+  { id: 'short', name: '', focus: 15, break: 3, longBreak: 10, cycle: 4, noiseType: 'brown', volume: 0.3 },
+  { id: 'long', name: '', focus: 45, break: 10, longBreak: 30, cycle: 3, noiseType: 'brown', volume: 0.3 },
+];
+
+// 各項目の範囲（設定画面の入力と同じ）
+export const PRESET_LIMITS = {
+  focus: { min: 1, max: 60 },
+  break: { min: 1, max: 30 },
+  longBreak: { min: 1, max: 60 },
+  cycle: { min: 1, max: 12 },
+};
+
+function createId() {
+  return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function clampInteger(value, { min, max }, fallback) {
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+/**
+ * プリセットを作成
+ * @param {{ name?: string, focus: number, break: number, longBreak: number, cycle: number, noiseType: string, volume: number }} values
+ */
+export function createPreset(values) {
+  return normalizePreset({ ...values, id: createId() });
+}
+
+/**
+ * 不正な値を範囲内に収めたプリセットを返す
+ * 取り込んだ音声はそのまま残す（削除済みの場合は、適用したときにブラウンノイズに戻る）
+ */
+export function normalizePreset(preset) {
+  return {
+    id: typeof preset.id === 'string' ? preset.id : createId(),
+    name: typeof preset.name === 'string' ? preset.name : '',
+    focus: clampInteger(preset.focus, PRESET_LIMITS.focus, 25),
+    break: clampInteger(preset.break, PRESET_LIMITS.break, 5),
+    longBreak: clampInteger(preset.longBreak, PRESET_LIMITS.longBreak, 15),
+    cycle: clampInteger(preset.cycle, PRESET_LIMITS.cycle, 4),
+    noiseType: NOISE_COLORS.includes(preset.noiseType) || isAudioFileSound(preset.noiseType) ? preset.noiseType : 'brown',
+    volume: Number.isFinite(preset.volume) ? Math.min(1, Math.max(0, preset.volume)) : 0.3,
+  };
+}
+
+/**
+ * 保存されたプリセットを読み込む（未保存なら組み込みのプリセット）
+ * @returns {Array<{ id: string, name: string, focus: number, break: number, longBreak: number, cycle: number, noiseType: string, volume: number }>}
+ */
+export function loadPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY));
+    // 1つもないと選べなくなるため、空の場合も組み込みのプリセットに戻す
+    if (!Array.isArray(saved) || saved.length === 0) return BUILT_IN_PRESETS.map(preset => ({ ...preset }));
+    return saved
+      .filter(preset => preset && typeof preset === 'object')
+      .map(normalizePreset);
+  } catch (e) {
+    return BUILT_IN_PRESETS.map(preset => ({ ...preset }));
+  }
+}
+
+export function savePresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+/**
+ * 既定のプリセットの id（未設定なら先頭のプリセット）
+ */
+export function loadDefaultPresetId(presets) {
+  const saved = localStorage.getItem(DEFAULT_PRESET_KEY);
+  if (presets.some(preset => preset.id === saved)) return saved;
+  return presets[0]?.id ?? null;
+}
+
+export function saveDefaultPresetId(id) {
+  if (id) {
+    localStorage.setItem(DEFAULT_PRESET_KEY, id);
+  } else {
+    localStorage.removeItem(DEFAULT_PRESET_KEY);
+  }
+}
+
+/**
+ * 最後に選んだプリセットの id
+ * 保存値がない場合は undefined を返し、呼び出し側で既定のプリセットを適用する
+ * 手動で値を変更してプリセットから外れた場合は null
+ * @returns {string|null|undefined}
+ */
+export function loadActivePresetId(presets) {
+  const saved = localStorage.getItem(ACTIVE_PRESET_KEY);
+  if (saved === null) return undefined;
+  return presets.some(preset => preset.id === saved) ? saved : null;
+}
+
+export function saveActivePresetId(id) {
+  localStorage.setItem(ACTIVE_PRESET_KEY, id ?? '');
+}
+
+/**
+ * プリセットを1つ上・下に移動
+ * @param {Array} presets
+ * @param {string} id
+ * @param {-1|1} direction
+ */
+export function movePreset(presets, id, direction) {
+  const index = presets.findIndex(preset => preset.id === id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= presets.length) return presets;
+
+  const next = [...presets];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
@@ -0,0 +1,85 @@
+/**
+ * Service Worker の登録と更新検知
+ * 新しいバージョンは自動で切り替えず、待機中の Service Worker を検知してページに通知します
+ * ユーザーが再読み込みを選んだときだけ切り替えるため、実行中のタイマーの下でコードが入れ替わりません
+ */
+
+let waitingWorker = null;
+const updateListeners = new Set();
+
+// 更新の定期確認間隔
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+function notifyUpdate(worker) {
+  waitingWorker = worker;
+  updateListeners.forEach(listener => listener(true));
+}
+
+/**
+ * インストール中の Service Worker が待機状態になるのを監視
+ */
+function trackInstalling(worker) {
+  worker.addEventListener('statechange', () => {
+    // 既存のコントローラーがある場合のみ「更新」として扱う（初回インストールは除く）
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      notifyUpdate(worker);
+    }
+  });
+}
+
+/**
+ * Service Worker を登録
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  const register = () => {
+    navigator.serviceWorker.register('/service-worker.js')
+      .then(registration => {
+        console.log('Service Worker registered');
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          notifyUpdate(registration.waiting);
+        }
+        if (registration.installing) {
+          trackInstalling(registration.installing);
+        }
+        registration.addEventListener('updatefound', () => {
+          trackInstalling(registration.installing);
+        });
+
+        // 開きっぱなしの PWA でも新しいデプロイに気付けるようにする
+        setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL);
+      })
+      .catch(error => console.error('Service Worker registration failed:', error));
+  };
+
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
+
+/**
+ * 更新の有無を購読
+ * @param {(available: boolean) => void} listener
+ * @returns {() => void} 購読解除
+ */
+export function subscribeToUpdates(listener) {
+  updateListeners.add(listener);
+  if (waitingWorker) listener(true);
+  return () => updateListeners.delete(listener);
+}
+
+/**
+ * 待機中の Service Worker に切り替えて再読み込み
+ */
+export function applyUpdate() {
+  if (!waitingWorker) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
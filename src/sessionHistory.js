@@ -0,0 +1,63 @@
+/**
+ * セッション履歴
+ * 完了・スキップ・中断した集中／休憩セッションを IndexedDB に記録します
+ */
+
+import { openDatabase, promisifyRequest, promisifyTransaction, SESSION_STORE } from './db';
+
+export const SESSION_PHASES = ['focus', 'break', 'longBreak'];
+export const SESSION_OUTCOMES = ['completed', 'skipped', 'aborted'];
+export const SESSION_MODES = ['pomodoro', 'flowtime'];
+
+/**
+ * セッションを記録
+ * @param {{
+ *   phase: 'focus'|'break'|'longBreak',
+ *   outcome: 'completed'|'skipped'|'aborted',
+ *   start: number,
+ *   end: number,
+ *   plannedSeconds: number,
+ *   actualSeconds: number,
+ *   preset: string|null,
+ *   noiseType: string,
+ *   mode?: 'pomodoro'|'flowtime',
+ *   taskId?: string|null,
+ *   taskTitle?: string|null,
+ *   interruptions?: Array<{ time: number, kind: 'internal'|'external', note: string, source: 'manual'|'pause'|'reset' }>
+ * }} session
+ * mode がない記録は以前のバージョンのポモドーロ。Flowtime の集中は plannedSeconds も実際の長さになる
+ * @returns {Promise<Object>} id を付与したレコード
+ */
+export async function addSession(session) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const id = await promisifyRequest(tx.objectStore(SESSION_STORE).add(session));
+  return { ...session, id };
+}
+
+/**
+ * 全セッションを開始時刻順に取得
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAllSessions() {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSION_STORE, 'readonly');
+  return promisifyRequest(tx.objectStore(SESSION_STORE).index('start').getAll());
+}
+
+/**
+ * 複数のセッションをまとめて取り込む（バックアップからの復元用）
+ * 既存の id は使わず、新しい id を振り直す
+ * @param {Array<Object>} sessions
+ * @param {{ replace?: boolean }} options - replace が true なら既存の履歴を消してから取り込む
+ * @returns {Promise<Array<Object>>} 取り込み後の全セッション
+ */
+export async function importSessions(sessions, { replace = false } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSION_STORE, 'readwrite');
+  const store = tx.objectStore(SESSION_STORE);
+  if (replace) store.clear();
+  sessions.forEach(({ id, ...session }) => store.add(session));
+  await promisifyTransaction(tx);
+  return getAllSessions();
+}
@@ -0,0 +1,119 @@
+/**
+ * キーボードショートカット
+ * 割り当ては KeyboardEvent.code（物理キー）で保存し、キーボード配列に左右されないようにします
+ * 入力欄での文字入力や、修飾キー付きのブラウザのショートカットとは衝突させません
+ */
+
+const STORAGE_KEY = 'shortcuts';
+
+// 操作と既定のキー
+export const SHORTCUT_ACTIONS = [
+  { id: 'startPause', defaultCode: 'Space', labelKey: 'shortcuts.actions.startPause' },
+  { id: 'reset', defaultCode: 'KeyR', labelKey: 'shortcuts.actions.reset' },
+  { id: 'skip', defaultCode: 'KeyS', labelKey: 'shortcuts.actions.skip' },
+  { id: 'distracted', defaultCode: 'KeyD', labelKey: 'shortcuts.actions.distracted' },
+  // Shift + / で「?」
+  { id: 'help', defaultCode: 'Slash', labelKey: 'shortcuts.actions.help' },
+];
+
+// 割り当てたキーとは別に、help をいつでも開ける文字
+// 配列によっては Slash 以外で「?」を入力するため
+export const HELP_KEY = '?';
+
+// 割り当てられないキー（フォーカス移動やダイアログを閉じる操作に使う）
+const RESERVED_CODES = ['Tab', 'Escape', 'Enter', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+const KEY_LABELS = {
+  Space: 'Space',
+  Slash: '/',
+  Backslash: '\\',
+  Period: '.',
+  Comma: ',',
+  Minus: '-',
+  Equal: '=',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  BracketLeft: '[',
+  BracketRight: ']',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+};
+
+export function getDefaultShortcuts() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.defaultCode]));
+}
+
+/**
+ * 保存された割り当てを読み込む（不正な値や未保存の操作は既定のキー）
+ * @returns {Object<string, string>} 操作 id → KeyboardEvent.code
+ */
+export function loadShortcuts() {
+  const shortcuts = getDefaultShortcuts();
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved === 'object') {
+      SHORTCUT_ACTIONS.forEach(action => {
+        if (isAssignableCode(saved[action.id])) shortcuts[action.id] = saved[action.id];
+      });
+    }
+  } catch (e) {
+    // 壊れたデータは無視して既定のキーを使う
+  }
+  return shortcuts;
+}
+
+export function saveShortcuts(shortcuts) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(shortcuts));
+}
+
+export function isAssignableCode(code) {
+  return typeof code === 'string' && code !== '' && !RESERVED_CODES.includes(code);
+}
+
+/**
+ * 操作にキーを割り当てる
+ * 他の操作が同じキーを使っていた場合は、その操作に元のキーを渡して入れ替える
+ */
+export function assignShortcut(shortcuts, actionId, code) {
+  const next = { ...shortcuts, [actionId]: code };
+  const conflict = Object.keys(shortcuts).find(id => id !== actionId && shortcuts[id] === code);
+  if (conflict) next[conflict] = shortcuts[actionId];
+  return next;
+}
+
+/**
+ * キーの表示名（KeyR → R、Digit1 → 1 など）
+ */
+export function getKeyLabel(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+/**
+ * ショートカットを無視すべきキー入力か
+ * 入力欄・選択肢・編集可能な要素での入力と、Ctrl / Alt / Meta 付きの入力は対象外
+ * フォーカス中のボタンでのスペースは、ボタン自体の操作を優先する
+ * Shift は「?」の入力に必要なため許可する
+ */
+export function shouldIgnoreKeyEvent(e) {
+  if (e.ctrlKey || e.altKey || e.metaKey || e.isComposing) return true;
+  const target = e.target;
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (e.code === 'Space' && ['BUTTON', 'A', 'SUMMARY'].includes(target.tagName)) return true;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * キー入力に対応する操作 id（なければ null）
+ */
+export function getShortcutAction(shortcuts, e) {
+  if (e.key === HELP_KEY) return 'help';
+  return Object.keys(shortcuts).find(id => shortcuts[id] === e.code) ?? null;
+}
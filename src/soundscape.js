@@ -0,0 +1,215 @@
+/**
+ * サウンドスケープ（複数レイヤーのミックス）の定義と保存
+ * 先頭のベースレイヤーは常に設定中の色のノイズを鳴らし、その上に任意のレイヤーを重ねます
+ * ノイズの色・フィルタと、ノイズの下に重ねるトーンレイヤーの設定もここで定義します
+ * ベースレイヤーはノイズの代わりに、取り込んだ音声ファイル（'file:<id>'）を鳴らすこともできます
+ */
+
+const LAYERS_KEY = 'soundscapeLayers';
+const SOUNDSCAPES_KEY = 'soundscapes';
+const TONE_KEY = 'toneLayer';
+
+export const BASE_LAYER_ID = 'base';
+
+export const NOISE_COLORS = ['brown', 'white', 'pink'];
+
+/**
+ * ノイズの色（スペクトルの傾き）
+ * 1 あたり -3dB/oct で、0 = ホワイト、1 = ピンク、2 = ブラウン、3 = ブラウンより深い -9dB/oct
+ */
+export const NOISE_COLOR_VALUES = { white: 0, pink: 1, brown: 2 };
+export const MAX_NOISE_COLOR = 3;
+
+// ローカット（ハイパス）・ハイカット（ローパス）の範囲（Hz）。端の値はフィルタなしと同等
+export const NOISE_FILTER_LIMITS = {
+  lowCut: { min: 20, max: 1000 },
+  highCut: { min: 1000, max: 20000 },
+};
+
+// 取り込んだ音声ファイルを表す noiseType の接頭辞
+export const AUDIO_FILE_PREFIX = 'file:';
+
+export function isAudioFileSound(sound) {
+  return typeof sound === 'string' && sound.startsWith(AUDIO_FILE_PREFIX) && sound.length > AUDIO_FILE_PREFIX.length;
+}
+
+export function toAudioFileSound(id) {
+  return `${AUDIO_FILE_PREFIX}${id}`;
+}
+
+/**
+ * noiseType から音声ファイルの id を取り出す（ノイズの場合は null）
+ */
+export function getAudioFileId(sound) {
+  return isAudioFileSound(sound) ? sound.slice(AUDIO_FILE_PREFIX.length) : null;
+}
+
+/**
+ * 色の値にもっとも近いノイズの種類
+ * @param {number} color
+ * @returns {'white'|'pink'|'brown'}
+ */
+export function getNearestNoiseType(color) {
+  return Object.keys(NOISE_COLOR_VALUES).reduce((nearest, type) => (
+    Math.abs(NOISE_COLOR_VALUES[type] - color) < Math.abs(NOISE_COLOR_VALUES[nearest] - color) ? type : nearest
+  ));
+}
+
+/**
+ * トーンレイヤー
+ * - binaural: 左右の耳に carrier ± beat/2 の正弦波を鳴らし、差の beat Hz をうなりとして知覚させる（要ヘッドホン）
+ * - isochronic: carrier の正弦波を beat Hz で断続させる（スピーカーでも有効）
+ */
+export const TONE_MODES = ['binaural', 'isochronic'];
+
+export const TONE_LIMITS = {
+  carrier: { min: 100, max: 1000 },
+  beat: { min: 0.5, max: 40 },
+};
+
+export const SOUND_OPTIONS = [
+  { value: 'brown', labelKey: 'sound.brown' },
+  { value: 'white', labelKey: 'sound.white' },
+  { value: 'pink', labelKey: 'sound.pink' },
+  { value: 'rain', labelKey: 'sound.rain' },
+  { value: 'fan', labelKey: 'sound.fan' },
+  { value: 'ocean', labelKey: 'sound.ocean' },
+];
+
+const SOUND_VALUES = SOUND_OPTIONS.map(option => option.value);
+
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function clamp(value, min, max, fallback) {
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * レイヤーを作成
+ * @param {string} sound - SOUND_OPTIONS の value
+ */
+export function createLayer(sound = 'rain') {
+  return { id: createId('layer'), sound, gain: 0.5, muted: false, pan: 0 };
+}
+
+export function createDefaultLayers() {
+  return [{ id: BASE_LAYER_ID, sound: null, gain: 1, muted: false, pan: 0 }];
+}
+
+/**
+ * 保存データからレイヤー配列を復元
+ * 不正な値を取り除き、ベースレイヤーが必ず先頭にあるようにする
+ */
+export function normalizeLayers(layers) {
+  if (!Array.isArray(layers)) return createDefaultLayers();
+
+  const normalized = layers
+    .filter(layer => layer && typeof layer === 'object')
+    .filter(layer => layer.id === BASE_LAYER_ID || SOUND_VALUES.includes(layer.sound))
+    .map(layer => ({
+      id: typeof layer.id === 'string' ? layer.id : createId('layer'),
+      sound: layer.id === BASE_LAYER_ID ? null : layer.sound,
+      gain: clamp(layer.gain, 0, 1, 0.5),
+      muted: layer.muted === true,
+      pan: clamp(layer.pan, -1, 1, 0),
+    }));
+
+  const base = normalized.find(layer => layer.id === BASE_LAYER_ID) || createDefaultLayers()[0];
+  return [base, ...normalized.filter(layer => layer.id !== BASE_LAYER_ID)];
+}
+
+export function loadSoundscapeLayers() {
+  try {
+    return normalizeLayers(JSON.parse(localStorage.getItem(LAYERS_KEY)));
+  } catch (e) {
+    return createDefaultLayers();
+  }
+}
+
+export function saveSoundscapeLayers(layers) {
+  localStorage.setItem(LAYERS_KEY, JSON.stringify(layers));
+}
+
+/**
+ * 保存データのサウンドスケープとして扱えるか（名前は補えないため必須）
+ */
+export function isValidSoundscape(item) {
+  return Boolean(item) && typeof item.name === 'string';
+}
+
+/**
+ * 不正な値を既定値に置き換えたサウンドスケープを返す
+ * @returns {{ id: string, name: string, noiseType: string, layers: Array }}
+ */
+export function normalizeSoundscape(item) {
+  return {
+    id: typeof item.id === 'string' ? item.id : createId('soundscape'),
+    name: item.name,
+    noiseType: NOISE_COLORS.includes(item.noiseType) || isAudioFileSound(item.noiseType) ? item.noiseType : 'brown',
+    layers: normalizeLayers(item.layers),
+  };
+}
+
+/**
+ * 名前付きサウンドスケープの一覧を読み込む
+ * @returns {Array<{ id: string, name: string, noiseType: string, layers: Array }>}
+ */
+export function loadSoundscapes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOUNDSCAPES_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved.filter(isValidSoundscape).map(normalizeSoundscape);
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveSoundscapes(soundscapes) {
+  localStorage.setItem(SOUNDSCAPES_KEY, JSON.stringify(soundscapes));
+}
+
+/**
+ * 現在のミックスを名前付きサウンドスケープにする
+ */
+export function createSoundscape(name, noiseType, layers) {
+  return {
+    id: createId('soundscape'),
+    name,
+    noiseType,
+    layers: layers.map(layer => ({ ...layer })),
+  };
+}
+
+export function createDefaultTone() {
+  return { enabled: false, mode: 'binaural', carrier: 200, beat: 10, volume: 0.3 };
+}
+
+/**
+ * 保存データからトーンレイヤーの設定を復元
+ */
+export function normalizeTone(tone) {
+  const defaults = createDefaultTone();
+  if (!tone || typeof tone !== 'object') return defaults;
+  return {
+    enabled: tone.enabled === true,
+    mode: TONE_MODES.includes(tone.mode) ? tone.mode : defaults.mode,
+    carrier: clamp(tone.carrier, TONE_LIMITS.carrier.min, TONE_LIMITS.carrier.max, defaults.carrier),
+    beat: clamp(tone.beat, TONE_LIMITS.beat.min, TONE_LIMITS.beat.max, defaults.beat),
+    volume: clamp(tone.volume, 0, 1, defaults.volume),
+  };
+}
+
+export function loadToneLayer() {
+  try {
+    return normalizeTone(JSON.parse(localStorage.getItem(TONE_KEY)));
+  } catch (e) {
+    return createDefaultTone();
+  }
+}
+
+export function saveToneLayer(tone) {
+  localStorage.setItem(TONE_KEY, JSON.stringify(tone));
+}
@@ -0,0 +1,173 @@
+/**
+ * セッション履歴の集計
+ * 日付はすべて端末のローカルタイムで区切ります
+ */
+
+/**
+ * 日付キー（YYYY-MM-DD）を取得
+ * @param {Date|number} date
+ */
+export function getDayKey(date) {
+  const d = new Date(date);
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const day = d.getDate().toString().padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+export function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * 完了したポモドーロ（集中セッション）かどうか
+ */
+export function isCompletedFocus(session) {
+  return session.phase === 'focus' && session.outcome === 'completed';
+}
+
+/**
+ * 日付キーごとの完了数と集中時間（分）を集計
+ * @returns {Map<string, { count: number, minutes: number }>}
+ */
+function groupFocusByDay(sessions) {
+  const days = new Map();
+  sessions.forEach(session => {
+    if (session.phase !== 'focus') return;
+    const key = getDayKey(session.end);
+    const day = days.get(key) || { count: 0, minutes: 0 };
+    if (session.outcome === 'completed') day.count += 1;
+    day.minutes += session.actualSeconds / 60;
+    days.set(key, day);
+  });
+  return days;
+}
+
+/**
+ * 指定日に完了したポモドーロ数
+ */
+export function getCompletedCountOn(sessions, date = Date.now()) {
+  const key = getDayKey(date);
+  return sessions.filter(session => isCompletedFocus(session) && getDayKey(session.end) === key).length;
+}
+
+/**
+ * 直近 n 日間の日別集計（古い順）
+ * @returns {Array<{ date: Date, key: string, count: number, minutes: number }>}
+ */
+export function getDailyStats(sessions, days = 7, now = Date.now()) {
+  const grouped = groupFocusByDay(sessions);
+  const today = startOfDay(now);
+
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(today);
+    date.setDate(today.getDate() - (days - 1 - i));
+    const key = getDayKey(date);
+    const day = grouped.get(key) || { count: 0, minutes: 0 };
+    return { date, key, count: day.count, minutes: Math.round(day.minutes) };
+  });
+}
+
+/**
+ * 月のヒートマップ用データ
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {{ leadingBlanks: number, days: Array<{ date: Date, key: string, count: number }> }}
+ */
+export function getMonthStats(sessions, year, month) {
+  const grouped = groupFocusByDay(sessions);
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const days = Array.from({ length: daysInMonth }, (_, i) => {
+    const date = new Date(year, month, i + 1);
+    const key = getDayKey(date);
+    return { date, key, count: grouped.get(key)?.count || 0 };
+  });
+
+  return { leadingBlanks: first.getDay(), days };
+}
+
+/**
+ * 全期間の合計
+ */
+export function getTotals(sessions) {
+  return sessions.reduce((totals, session) => {
+    if (session.phase === 'focus') {
+      totals.focusMinutes += session.actualSeconds / 60;
+      if (session.outcome === 'completed') totals.completed += 1;
+      if (session.outcome === 'skipped') totals.skipped += 1;
+      if (session.outcome === 'aborted') totals.aborted += 1;
+    } else {
+      totals.breakMinutes += session.actualSeconds / 60;
+    }
+    return totals;
+  }, { completed: 0, skipped: 0, aborted: 0, focusMinutes: 0, breakMinutes: 0 });
+}
+
+/**
+ * 完了した集中セッションの長さをモード（ポモドーロ / Flowtime）ごとに集計
+ * mode のない以前の記録はポモドーロとして数える
+ * @returns {{ pomodoro: { count: number, averageMinutes: number }, flowtime: { count: number, averageMinutes: number } }}
+ */
+export function getFocusStatsByMode(sessions) {
+  const modes = {
+    pomodoro: { count: 0, minutes: 0 },
+    flowtime: { count: 0, minutes: 0 },
+  };
+  sessions.forEach(session => {
+    if (!isCompletedFocus(session)) return;
+    const mode = modes[session.mode] ?? modes.pomodoro;
+    mode.count += 1;
+    mode.minutes += session.actualSeconds / 60;
+  });
+
+  const summarize = ({ count, minutes }) => ({ count, averageMinutes: count > 0 ? Math.round(minutes / count) : 0 });
+  return { pomodoro: summarize(modes.pomodoro), flowtime: summarize(modes.flowtime) };
+}
+
+/**
+ * 週（日曜始まり）の開始日
+ */
+export function startOfWeek(date) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - d.getDay());
+  return d;
+}
+
+/**
+ * 直近 n 週間の中断の集計（古い順）
+ * perSession は集中セッション 1 回あたりの中断回数
+ * @returns {Array<{ start: Date, key: string, internal: number, external: number, focusSessions: number, perSession: number }>}
+ */
+export function getWeeklyInterruptionStats(sessions, weeks = 4, now = Date.now()) {
+  const thisWeek = startOfWeek(now);
+  const result = Array.from({ length: weeks }, (_, i) => {
+    const start = new Date(thisWeek);
+    start.setDate(thisWeek.getDate() - (weeks - 1 - i) * 7);
+    return { start, key: getDayKey(start), internal: 0, external: 0, focusSessions: 0, perSession: 0 };
+  });
+  const byKey = new Map(result.map(week => [week.key, week]));
+
+  sessions.forEach(session => {
+    if (session.phase !== 'focus') return;
+    const week = byKey.get(getDayKey(startOfWeek(session.start)));
+    if (!week) return;
+    week.focusSessions += 1;
+    (session.interruptions || []).forEach(interruption => {
+      if (interruption.kind === 'external') {
+        week.external += 1;
+      } else {
+        week.internal += 1;
+      }
+    });
+  });
+
+  result.forEach(week => {
+    if (week.focusSessions > 0) {
+      week.perSession = (week.internal + week.external) / week.focusSessions;
+    }
+  });
+  return result;
+}
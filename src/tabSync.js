@@ -0,0 +1,120 @@
+/**
+ * タブ・ウィンドウ間の連携
+ * 同じアプリを複数のタブ（またはタブとインストールした PWA）で開いたとき、
+ * タイマーとノイズを持つのは1つのタブ（リーダー）だけにします
+ *
+ * - リーダーは Web Locks のロックで決める。リーダーのタブを閉じると、待っていたタブが引き継ぐ
+ * - リーダーはタイマーの状態を BroadcastChannel で送り、他のタブはそれを表示する
+ * - 他のタブでの操作は BroadcastChannel でリーダーに転送する
+ * - 設定は LocalStorage の storage イベントで他のタブに反映する
+ *
+ * BroadcastChannel か Web Locks に対応していないブラウザでは、各タブが独立して動く（以前と同じ動作）
+ */
+
+const CHANNEL_NAME = 'brown-noise-timer';
+const LEADER_LOCK_NAME = 'brown-noise-timer-leader';
+
+// メッセージの種類
+export const TAB_MESSAGES = {
+  // リーダー → 他のタブ: タイマーの状態
+  STATE: 'state',
+  // 他のタブ → リーダー: 状態の送信を依頼（開いた直後）
+  REQUEST_STATE: 'requestState',
+  // 他のタブ → リーダー: 操作の転送
+  ACTION: 'action',
+  // 履歴が変わった（各タブで読み込み直す）
+  SESSIONS_CHANGED: 'sessionsChanged',
+  // 取り込んだ音声ファイルが変わった（各タブで読み込み直す）
+  AUDIO_FILES_CHANGED: 'audioFilesChanged',
+};
+
+const isSupported = typeof window !== 'undefined'
+  && 'BroadcastChannel' in window
+  && Boolean(navigator.locks);
+
+let channel = null;
+let started = false;
+// 対応していない場合は、このタブだけで動くためリーダーとして扱う
+let leader = !isSupported;
+const leadershipListeners = new Set();
+const messageListeners = new Set();
+
+function setLeader(value) {
+  leader = value;
+  leadershipListeners.forEach(listener => listener(value));
+}
+
+/**
+ * 連携を開始
+ * リーダーのロックを要求し、取れるまで待つ（取れたらタブを閉じるまで保持する）
+ */
+export function startTabSync() {
+  if (started || !isSupported) return;
+  started = true;
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.addEventListener('message', (e) => {
+    const message = e.data;
+    if (!message || typeof message.type !== 'string') return;
+    messageListeners.forEach(listener => listener(message));
+  });
+
+  navigator.locks.request(LEADER_LOCK_NAME, () => {
+    setLeader(true);
+    // 解決しない Promise を返してロックを保持し続ける
+    return new Promise(() => {});
+  }).catch(error => {
+    // ロックを取れない環境では単独で動かす
+    console.error('Failed to acquire the leader lock:', error);
+    setLeader(true);
+  });
+}
+
+export function isLeaderTab() {
+  return leader;
+}
+
+/**
+ * リーダーかどうかの変化を購読
+ * @param {(isLeader: boolean) => void} listener
+ * @returns {Function} 購読解除
+ */
+export function subscribeToLeadership(listener) {
+  leadershipListeners.add(listener);
+  listener(leader);
+  return () => leadershipListeners.delete(listener);
+}
+
+/**
+ * 他のタブからのメッセージを購読
+ * @param {(message: { type: string, payload?: any }) => void} listener
+ * @returns {Function} 購読解除
+ */
+export function subscribeToTabMessages(listener) {
+  messageListeners.add(listener);
+  return () => messageListeners.delete(listener);
+}
+
+/**
+ * 他のタブにメッセージを送る（自分自身には届かない）
+ * @param {string} type - TAB_MESSAGES の値
+ * @param {any} payload - 構造化複製できる値
+ */
+export function postTabMessage(type, payload) {
+  channel?.postMessage({ type, payload });
+}
+
+/**
+ * 他のタブでの LocalStorage の変更を購読
+ * storage イベントは変更したタブ以外でだけ発生し、同じ値を書き込んだときは発生しない
+ * @param {(key: string, value: string|null) => void} listener
+ * @returns {Function} 購読解除
+ */
+export function subscribeToStorageChanges(listener) {
+  const handleStorage = (e) => {
+    if (e.storageArea !== localStorage || e.key === null) return;
+    listener(e.key, e.newValue);
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+}
@@ -0,0 +1,84 @@
+/**
+ * タスクリスト
+ * 集中セッションに紐付けるタスクと、見積もり・実績のポモドーロ数を保存します
+ */
+
+const TASKS_KEY = 'tasks';
+const CURRENT_TASK_KEY = 'currentTaskId';
+
+/**
+ * タスクを作成
+ * @param {string} title
+ * @param {number} estimate - 見積もりポモドーロ数
+ */
+export function createTask(title, estimate = 1) {
+  return {
+    id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    title,
+    estimate,
+    completedPomodoros: 0,
+    done: false,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * 保存データのタスクとして扱えるか（id とタイトルは補えないため必須）
+ */
+export function isValidTask(task) {
+  return Boolean(task) && typeof task.id === 'string' && typeof task.title === 'string';
+}
+
+/**
+ * 不正な値を既定値に置き換えたタスクを返す
+ * @returns {{ id: string, title: string, estimate: number, completedPomodoros: number, done: boolean, createdAt: number }}
+ */
+export function normalizeTask(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    estimate: Number.isInteger(task.estimate) && task.estimate > 0 ? task.estimate : 1,
+    completedPomodoros: Number.isInteger(task.completedPomodoros) ? task.completedPomodoros : 0,
+    done: task.done === true,
+    createdAt: Number.isFinite(task.createdAt) ? task.createdAt : Date.now(),
+  };
+}
+
+/**
+ * 保存されたタスクを読み込む
+ * @returns {Array<{ id: string, title: string, estimate: number, completedPomodoros: number, done: boolean, createdAt: number }>}
+ */
+export function loadTasks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TASKS_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved.filter(isValidTask).map(normalizeTask);
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveTasks(tasks) {
+  localStorage.setItem(TASKS_KEY, JSON.stringify(tasks));
+}
+
+export function loadCurrentTaskId() {
+  return localStorage.getItem(CURRENT_TASK_KEY);
+}
+
+export function saveCurrentTaskId(id) {
+  if (id) {
+    localStorage.setItem(CURRENT_TASK_KEY, id);
+  } else {
+    localStorage.removeItem(CURRENT_TASK_KEY);
+  }
+}
+
+/**
+ * 完了したポモドーロをタスクに加算
+ */
+export function creditPomodoro(tasks, taskId) {
+  return tasks.map(task => (
+    task.id === taskId ? { ...task, completedPomodoros: task.completedPomodoros + 1 } : task
+  ));
+}
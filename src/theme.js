@@ -0,0 +1,198 @@
+/**
+ * テーマ
+ * ライト・ダーク・システムの設定に合わせる・ハイコントラストの切り替えと、フェーズごとの色を扱います
+ * 色そのものは App.css のカスタムプロパティで定義し、ここではテーマの選択の保存、
+ * フェーズの色を背景に対して読める明るさへ調整する処理、<meta name="theme-color"> の更新を行います
+ */
+
+const STORAGE_KEY = 'theme';
+// 以前のバージョンの設定（true = ダーク）。theme が保存されていなければこちらを引き継ぐ
+const LEGACY_DARK_MODE_KEY = 'darkMode';
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+export const THEME_MODES = [
+  { value: 'system', labelKey: 'theme.modes.system' },
+  { value: 'light', labelKey: 'theme.modes.light' },
+  { value: 'dark', labelKey: 'theme.modes.dark' },
+  { value: 'highContrast', labelKey: 'theme.modes.highContrast' },
+];
+
+// 色を選べるフェーズ
+export const PHASE_COLOR_KEYS = ['focus', 'break', 'longBreak'];
+
+// ノイズのみモードの色（選択不可）
+const NOISE_ONLY_COLOR = '#a78bfa';
+
+// テーマごとのページの背景（theme-color に使う）
+const PAGE_BACKGROUNDS = { dark: '#1e1e1e', light: '#f5f5f5', highContrast: '#000000' };
+// フェーズの色のコントラストを確かめる背景
+// ダークはタイマーの円の明るい方の面、ライトは暗い方の面で確かめる
+const CONTRAST_BACKGROUNDS = { dark: '#2d2d2d', light: '#f5f5f5', highContrast: '#000000' };
+
+const THEME_CLASSES = { dark: 'dark', light: 'light', highContrast: 'high-contrast' };
+
+const MODE_VALUES = THEME_MODES.map(mode => mode.value);
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export function createDefaultThemeSettings() {
+  return {
+    mode: 'system',
+    phaseColors: {
+      focus: '#60a5fa',
+      break: '#22c55e',
+      longBreak: '#14b8a6',
+    },
+  };
+}
+
+/**
+ * 保存データからテーマの設定を復元
+ */
+export function normalizeThemeSettings(settings) {
+  const defaults = createDefaultThemeSettings();
+  if (!settings || typeof settings !== 'object') return defaults;
+  const phaseColors = settings.phaseColors && typeof settings.phaseColors === 'object' ? settings.phaseColors : {};
+  return {
+    mode: MODE_VALUES.includes(settings.mode) ? settings.mode : defaults.mode,
+    phaseColors: Object.fromEntries(PHASE_COLOR_KEYS.map(key => [
+      key,
+      HEX_COLOR.test(phaseColors[key]) ? phaseColors[key].toLowerCase() : defaults.phaseColors[key],
+    ])),
+  };
+}
+
+export function loadThemeSettings() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved !== null) return normalizeThemeSettings(JSON.parse(saved));
+
+    const settings = createDefaultThemeSettings();
+    const legacyDarkMode = localStorage.getItem(LEGACY_DARK_MODE_KEY);
+    if (legacyDarkMode !== null) settings.mode = JSON.parse(legacyDarkMode) ? 'dark' : 'light';
+    return settings;
+  } catch (e) {
+    return createDefaultThemeSettings();
+  }
+}
+
+export function saveThemeSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * OS・ブラウザがダークモードかどうか
+ */
+export function prefersDarkScheme() {
+  return window.matchMedia?.(DARK_SCHEME_QUERY).matches ?? true;
+}
+
+/**
+ * OS・ブラウザのダークモードの切り替えを購読
+ * @param {(prefersDark: boolean) => void} listener
+ * @returns {Function} 購読解除
+ */
+export function subscribeToSystemTheme(listener) {
+  const query = window.matchMedia?.(DARK_SCHEME_QUERY);
+  if (!query) return () => {};
+  const handleChange = (e) => listener(e.matches);
+  query.addEventListener('change', handleChange);
+  return () => query.removeEventListener('change', handleChange);
+}
+
+/**
+ * 実際に使うテーマ
+ * @param {string} mode - THEME_MODES の値
+ * @param {boolean} prefersDark - システムがダークモードか
+ * @returns {'dark'|'light'|'highContrast'}
+ */
+export function resolveTheme(mode, prefersDark) {
+  if (mode === 'system') return prefersDark ? 'dark' : 'light';
+  return mode;
+}
+
+export function getThemeClass(theme) {
+  return THEME_CLASSES[theme];
+}
+
+function parseHex(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// WCAG の相対輝度
+function getLuminance(rgb) {
+  const [r, g, b] = rgb.map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * 2色のコントラスト比（1〜21）
+ * @param {string} a - #rrggbb
+ * @param {string} b - #rrggbb
+ */
+export function getContrastRatio(a, b) {
+  const [lighter, darker] = [getLuminance(parseHex(a)), getLuminance(parseHex(b))].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * 背景に対して ratio 以上のコントラストになるまで、色を白（暗い背景）または黒（明るい背景）に近づける
+ * 足りている場合はそのまま返す
+ */
+export function ensureContrast(color, background, ratio) {
+  const rgb = parseHex(color);
+  const target = getLuminance(parseHex(background)) < 0.5 ? [255, 255, 255] : [0, 0, 0];
+  for (let step = 0; step <= 20; step++) {
+    const mixed = toHex(rgb.map((value, i) => Math.round(value + (target[i] - value) * (step / 20))));
+    if (getContrastRatio(mixed, background) >= ratio) return mixed;
+  }
+  return toHex(target);
+}
+
+/**
+ * フェーズの色
+ * 図形（リング・枠・ステータスバー）は 3:1、文字は 4.5:1 を満たすように調整する
+ * ハイコントラストでは図形も 4.5:1 にそろえる
+ * @param {{ phaseColors: Object }} settings
+ * @param {'dark'|'light'|'highContrast'} theme
+ * @param {'focus'|'break'|'longBreak'|'noiseOnly'} phase
+ * @returns {{ color: string, text: string, glow: string }}
+ */
+export function getPhaseColor(settings, theme, phase) {
+  const base = phase === 'noiseOnly' ? NOISE_ONLY_COLOR : settings.phaseColors[phase];
+  const background = CONTRAST_BACKGROUNDS[theme];
+  const color = ensureContrast(base, background, theme === 'highContrast' ? 4.5 : 3);
+  return {
+    color,
+    text: ensureContrast(base, background, 4.5),
+    // 8桁の16進数（透明度 20%）
+    glow: theme === 'highContrast' ? 'transparent' : `${color}33`,
+  };
+}
+
+export function getPageBackground(theme) {
+  return PAGE_BACKGROUNDS[theme];
+}
+
+/**
+ * ブラウザの UI の色（<meta name="theme-color">）を変更
+ * index.html にはシステムのテーマごとの初期値があるため、1つにまとめてから書き換える
+ */
+export function setThemeColor(color) {
+  const metas = document.querySelectorAll('meta[name="theme-color"]');
+  metas.forEach((meta, i) => {
+    if (i > 0) {
+      meta.remove();
+      return;
+    }
+    meta.removeAttribute('media');
+    meta.setAttribute('content', color);
+  });
+}
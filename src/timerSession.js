@@ -0,0 +1,113 @@
+/**
+ * タイマーセッションの永続化
+ * フェーズの終了時刻を絶対時刻で保持し、バックグラウンドでの interval の間引きや
+ * リロード・PWA再起動の影響を受けずに正しい残り時間を計算します
+ * 数え上げるフェーズ（Flowtime の集中）は、経過時間から逆算した開始時刻を保持します
+ */
+
+import { normalizeInterruptions } from './interruptions';
+
+const STORAGE_KEY = 'timerSession';
+
+/**
+ * 終了時刻から残り秒数を計算
+ * @param {number} endTime - フェーズ終了時刻（エポックミリ秒）
+ * @param {number} now - 現在時刻（エポックミリ秒）
+ * @returns {number} 残り秒数（0以上）
+ */
+export function getRemainingSeconds(endTime, now = Date.now()) {
+  return Math.max(0, Math.ceil((endTime - now) / 1000));
+}
+
+/**
+ * 開始時刻から経過秒数を計算
+ * @param {number} startTime - 数え上げの開始時刻（一時停止した分を差し引いた時刻。エポックミリ秒）
+ * @param {number} now - 現在時刻（エポックミリ秒）
+ * @returns {number} 経過秒数（0以上）
+ */
+export function getElapsedSeconds(startTime, now = Date.now()) {
+  return Math.max(0, Math.floor((now - startTime) / 1000));
+}
+
+/**
+ * 保存されたセッションを読み込む
+ * 保存データがない、または壊れている場合は既定値を返す
+ * @param {number} defaultSeconds - 既定の残り秒数
+ * @returns {{ isRunning: boolean, isPaused: boolean, isBreak: boolean, isLongBreak: boolean, cyclePosition: number, endTime: number|null, remaining: number, startedAt: number|null, interruptions: Array<Object>, countUpStart: number|null, elapsed: number, breakSeconds: number|null }}
+ */
+export function loadTimerSession(defaultSeconds = 25 * 60) {
+  const session = {
+    isRunning: false,
+    isPaused: false,
+    isBreak: false,
+    isLongBreak: false,
+    // 現在のサイクルで完了した集中セッション数
+    cyclePosition: 0,
+    endTime: null,
+    remaining: defaultSeconds,
+    // フェーズを最初に開始した時刻（履歴の記録用）
+    startedAt: null,
+    // 現在のフェーズで記録した中断
+    interruptions: [],
+    // 数え上げの開始時刻と経過秒数（Flowtime の集中）
+    countUpStart: null,
+    elapsed: 0,
+    // Flowtime で提案された休憩の長さ（秒）
+    breakSeconds: null,
+  };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return session;
+
+    session.isRunning = saved.isRunning === true;
+    session.isPaused = session.isRunning && saved.isPaused === true;
+    session.isBreak = saved.isBreak === true;
+    session.isLongBreak = session.isBreak && saved.isLongBreak === true;
+    if (Number.isInteger(saved.cyclePosition) && saved.cyclePosition >= 0) {
+      session.cyclePosition = saved.cyclePosition;
+    }
+    if (Number.isFinite(saved.remaining) && saved.remaining >= 0) {
+      session.remaining = saved.remaining;
+    }
+    if (Number.isFinite(saved.elapsed) && saved.elapsed >= 0) {
+      session.elapsed = saved.elapsed;
+    }
+    if (Number.isFinite(saved.breakSeconds) && saved.breakSeconds > 0) {
+      session.breakSeconds = saved.breakSeconds;
+    }
+    if (session.isRunning && Number.isFinite(saved.startedAt)) {
+      session.startedAt = saved.startedAt;
+      session.interruptions = normalizeInterruptions(saved.interruptions);
+    }
+
+    // 実行中のセッションは終了時刻（数え上げるフェーズは開始時刻）がなければ復元できない
+    if (session.isRunning && !session.isPaused) {
+      if (Number.isFinite(saved.countUpStart)) {
+        session.countUpStart = saved.countUpStart;
+        session.elapsed = getElapsedSeconds(saved.countUpStart);
+        return session;
+      }
+      if (!Number.isFinite(saved.endTime)) {
+        session.isRunning = false;
+        session.startedAt = null;
+        session.interruptions = [];
+        return session;
+      }
+      session.endTime = saved.endTime;
+      session.remaining = getRemainingSeconds(saved.endTime);
+    }
+  } catch (e) {
+    // 壊れたデータは無視して既定値で開始
+  }
+
+  return session;
+}
+
+/**
+ * セッションを保存
+ * @param {{ isRunning: boolean, isPaused: boolean, isBreak: boolean, isLongBreak: boolean, cyclePosition: number, endTime: number|null, remaining: number, startedAt: number|null, interruptions: Array<Object>, countUpStart: number|null, elapsed: number, breakSeconds: number|null }} session
+ */
+export function saveTimerSession(session) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
@@ -0,0 +1,75 @@
+/**
+ * タイマーの長さとサイクルの設定
+ * 閉じている間に終わったフェーズの終了処理は最初のレンダリングで走ることがあるため、
+ * 設定は mount 後の effect を待たずに保存値から直接読み込みます
+ */
+
+export function createDefaultTimerSettings() {
+  return {
+    focusMinutes: 25,
+    breakMinutes: 5,
+    longBreakMinutes: 15,
+    cycleLength: 4,
+    autoStartBreaks: false,
+    autoStartFocus: false,
+  };
+}
+
+function readMinutes(key, fallback) {
+  const value = parseInt(localStorage.getItem(key));
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function readFlag(key, fallback) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return typeof value === 'boolean' ? value : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * 保存されたタイマー設定を読み込む
+ * 保存されていない、または壊れている項目は既定値を使う
+ */
+export function loadTimerSettings() {
+  const defaults = createDefaultTimerSettings();
+  return {
+    focusMinutes: readMinutes('focusMinutes', defaults.focusMinutes),
+    breakMinutes: readMinutes('breakMinutes', defaults.breakMinutes),
+    longBreakMinutes: readMinutes('longBreakMinutes', defaults.longBreakMinutes),
+    cycleLength: readMinutes('cycleLength', defaults.cycleLength),
+    autoStartBreaks: readFlag('autoStartBreaks', defaults.autoStartBreaks),
+    autoStartFocus: readFlag('autoStartFocus', defaults.autoStartFocus),
+  };
+}
+
+/**
+ * ポモドーロの次のフェーズ
+ * スキップした集中はサイクルに数えず、長い休憩の後は新しいサイクルを始める
+ * @param {{ isBreak: boolean, isLongBreak: boolean, cyclePosition: number }} phase - 終わったフェーズ
+ * @param {boolean} completed - 最後まで完了したか
+ * @param {ReturnType<typeof createDefaultTimerSettings>} settings
+ * @returns {{ isBreak: boolean, isLongBreak: boolean, cyclePosition: number, seconds: number, autoStart: boolean }}
+ */
+export function getNextPhase(phase, completed, settings) {
+  if (!phase.isBreak) {
+    const cyclePosition = completed ? phase.cyclePosition + 1 : phase.cyclePosition;
+    const isLongBreak = cyclePosition >= settings.cycleLength;
+    return {
+      isBreak: true,
+      isLongBreak,
+      cyclePosition,
+      seconds: (isLongBreak ? settings.longBreakMinutes : settings.breakMinutes) * 60,
+      autoStart: settings.autoStartBreaks,
+    };
+  }
+  return {
+    isBreak: false,
+    isLongBreak: false,
+    cyclePosition: phase.isLongBreak ? 0 : phase.cyclePosition,
+    seconds: settings.focusMinutes * 60,
+    autoStart: settings.autoStartFocus,
+  };
+}
@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadTimerSettings, getNextPhase, createDefaultTimerSettings } from './timerSettings';
+import { loadTimerSession, saveTimerSession } from './timerSession';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', createStorage());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('loadTimerSettings', () => {
+  it('保存されていなければ既定値を返す', () => {
+    expect(loadTimerSettings()).toEqual(createDefaultTimerSettings());
+  });
+
+  it('壊れた値は項目ごとに既定値にする', () => {
+    localStorage.setItem('focusMinutes', 'abc');
+    localStorage.setItem('breakMinutes', '0');
+    localStorage.setItem('autoStartBreaks', '{');
+    localStorage.setItem('autoStartFocus', '"yes"');
+    localStorage.setItem('cycleLength', '3');
+
+    expect(loadTimerSettings()).toEqual({ ...createDefaultTimerSettings(), cycleLength: 3 });
+  });
+});
+
+describe('閉じている間に終わったセッションの復元', () => {
+  it('既定値ではなく保存された設定で次のフェーズを決める', () => {
+    localStorage.setItem('focusMinutes', '50');
+    localStorage.setItem('breakMinutes', '10');
+    localStorage.setItem('longBreakMinutes', '30');
+    localStorage.setItem('cycleLength', '2');
+    localStorage.setItem('autoStartBreaks', 'true');
+    localStorage.setItem('autoStartFocus', 'false');
+
+    const now = Date.now();
+    saveTimerSession({
+      isRunning: true,
+      isPaused: false,
+      isBreak: false,
+      isLongBreak: false,
+      cyclePosition: 1,
+      endTime: now - 60 * 1000,
+      remaining: 0,
+      startedAt: now - 51 * 60 * 1000,
+      interruptions: [],
+      countUpStart: null,
+      elapsed: 0,
+      breakSeconds: null,
+    });
+
+    const session = loadTimerSession();
+    expect(session.isRunning).toBe(true);
+    expect(session.remaining).toBe(0);
+
+    const next = getNextPhase(session, true, loadTimerSettings());
+    expect(next).toEqual({
+      isBreak: true,
+      isLongBreak: true,
+      cyclePosition: 2,
+      seconds: 30 * 60,
+      autoStart: true,
+    });
+  });
+
+  it('スキップした集中はサイクルに数えない', () => {
+    const settings = { ...createDefaultTimerSettings(), cycleLength: 2 };
+    const next = getNextPhase({ isBreak: false, isLongBreak: false, cyclePosition: 1 }, false, settings);
+    expect(next).toMatchObject({ isBreak: true, isLongBreak: false, cyclePosition: 1, seconds: 5 * 60 });
+  });
+
+  it('長い休憩の後は新しいサイクルを始める', () => {
+    const settings = { ...createDefaultTimerSettings(), focusMinutes: 40 };
+    const next = getNextPhase({ isBreak: true, isLongBreak: true, cyclePosition: 4 }, true, settings);
+    expect(next).toEqual({ isBreak: false, isLongBreak: false, cyclePosition: 0, seconds: 40 * 60, autoStart: false });
+  });
+});
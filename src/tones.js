@@ -0,0 +1,105 @@
+/**
+ * トーンの合成
+ * バイノーラルビートとアイソクロニックトーンをオシレーターで生成します
+ * 生成したソースは { output, update, stop } の形で返し、周波数の変更は再生成せずにランプで反映します
+ */
+
+// 正弦波はノイズより耳につきやすいため、音量 1 でもノイズより控えめになるよう抑える
+const TONE_LEVEL = 0.25;
+
+function glideParam(ctx, param, value, seconds) {
+  const now = ctx.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, now + Math.max(seconds, 0.01));
+}
+
+/**
+ * バイノーラルビート
+ * 左に carrier - beat/2、右に carrier + beat/2 の正弦波を鳴らす
+ */
+function createBinaural(ctx, tone) {
+  const left = ctx.createOscillator();
+  const right = ctx.createOscillator();
+  const merger = ctx.createChannelMerger(2);
+  const output = ctx.createGain();
+  output.gain.value = TONE_LEVEL;
+
+  left.frequency.value = tone.carrier - tone.beat / 2;
+  right.frequency.value = tone.carrier + tone.beat / 2;
+  left.connect(merger, 0, 0);
+  right.connect(merger, 0, 1);
+  merger.connect(output);
+  left.start();
+  right.start();
+
+  return {
+    output,
+    update(next, seconds) {
+      glideParam(ctx, left.frequency, next.carrier - next.beat / 2, seconds);
+      glideParam(ctx, right.frequency, next.carrier + next.beat / 2, seconds);
+    },
+    stop() {
+      left.stop();
+      right.stop();
+      output.disconnect();
+    },
+  };
+}
+
+/**
+ * アイソクロニックトーン
+ * carrier の正弦波の音量を beat Hz の矩形波で 0〜1 に変調する
+ * 矩形波の角はローパスで丸めてクリック音を防ぐ
+ */
+function createIsochronic(ctx, tone) {
+  const carrier = ctx.createOscillator();
+  const pulse = ctx.createGain();
+  const lfo = ctx.createOscillator();
+  const smoothing = ctx.createBiquadFilter();
+  const depth = ctx.createGain();
+  const output = ctx.createGain();
+  output.gain.value = TONE_LEVEL;
+
+  carrier.frequency.value = tone.carrier;
+  lfo.type = 'square';
+  lfo.frequency.value = tone.beat;
+  smoothing.type = 'lowpass';
+  smoothing.frequency.value = tone.beat * 8;
+
+  // ゲイン 0.5 を中心に ±0.5 で変調して 0〜1 にする
+  pulse.gain.value = 0.5;
+  depth.gain.value = 0.5;
+  lfo.connect(smoothing);
+  smoothing.connect(depth);
+  depth.connect(pulse.gain);
+
+  carrier.connect(pulse);
+  pulse.connect(output);
+  carrier.start();
+  lfo.start();
+
+  return {
+    output,
+    update(next, seconds) {
+      glideParam(ctx, carrier.frequency, next.carrier, seconds);
+      glideParam(ctx, lfo.frequency, next.beat, seconds);
+      glideParam(ctx, smoothing.frequency, next.beat * 8, seconds);
+    },
+    stop() {
+      carrier.stop();
+      lfo.stop();
+      output.disconnect();
+    },
+  };
+}
+
+/**
+ * トーンソースを作成
+ * @param {AudioContext} ctx
+ * @param {{ mode: 'binaural'|'isochronic', carrier: number, beat: number }} tone
+ * @returns {{ output: AudioNode, update: (tone: Object, seconds: number) => void, stop: Function }}
+ */
+export function createToneSource(ctx, tone) {
+  return tone.mode === 'isochronic' ? createIsochronic(ctx, tone) : createBinaural(ctx, tone);
+}
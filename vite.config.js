@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import precacheManifest from './scripts/precacheManifest'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   server: {
     port: 5173,
     open: true